@@ -0,0 +1,57 @@
+// backend/app.js
+// The Express app: middleware and routes, without a database connection or a listening port,
+// so tests can drive it directly. server.js connects to MongoDB and starts it.
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+
+const app = express();
+
+// --- Middleware ---
+app.use(cors()); // Enable CORS for all origins (for development, restrict in production)
+app.use(bodyParser.json({
+    // Keep the raw body so kiosk request signatures can be verified
+    verify: (req, res, buf) => { req.rawBody = buf.toString(); }
+})); // Parse JSON request bodies
+
+// --- Import Routes ---
+const authRoutes = require('./routes/auth');
+const esp32Routes = require('./routes/esp32');
+const doctorRoutes = require('./routes/doctor');
+const kioskRoutes = require('./routes/kiosks');
+const inventoryRoutes = require('./routes/inventory');
+const ruleRoutes = require('./routes/rules');
+const alertRoutes = require('./routes/alerts');
+const auditRoutes = require('./routes/audit');
+const adminRoutes = require('./routes/admin');
+const patientRoutes = require('./routes/patients');
+const exportRoutes = require('./routes/export');
+const analyticsRoutes = require('./routes/analytics');
+
+// --- Use Routes ---
+// Base paths for different route modules
+app.use('/api/auth', authRoutes); // Authentication routes (signup, login)
+app.use('/api/esp32', esp32Routes); // Routes for ESP32 data interaction
+app.use('/api/doctor', doctorRoutes); // Routes for doctor dashboard actions (patient, diagnosis, history)
+app.use('/api/kiosks', kioskRoutes); // Admin routes for the kiosk fleet (registration, credentials, health)
+app.use('/api/inventory', inventoryRoutes); // Admin routes for medications and kiosk slot stock
+app.use('/api/rules', ruleRoutes); // Versioned diagnosis rules used by predictDisease
+app.use('/api/alerts', alertRoutes); // Critical vital-sign alerts and acknowledgement
+app.use('/api/audit', auditRoutes); // Admin queries over the tamper-evident audit log
+app.use('/api/admin', adminRoutes); // Admin user management and doctor-to-kiosk assignment
+app.use('/api/patients', patientRoutes); // Patient lookup, demographics and longitudinal timeline
+app.use('/api/export', exportRoutes); // FHIR R4, PDF and CSV exports of diagnosis sessions
+app.use('/api/analytics', analyticsRoutes); // Throughput, turnaround, prediction agreement and kiosk utilisation
+
+// --- Simple Root Route ---
+app.get('/', (req, res) => {
+    res.send('Smart Medical Kiosk Backend API is Running!');
+});
+
+// --- Error Handling Middleware (Optional but good practice) ---
+app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).send('Something broke!');
+});
+
+module.exports = app;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { encryptedField } = require('../utils/fieldEncryption');
+
+const AlertSchema = new mongoose.Schema({
+    diagnosisId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Diagnosis',
+        required: true
+    },
+    patientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    doctorId: { // The owning doctor, notified first; empty while the session is unclaimed in the triage queue
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    kioskId: {
+        type: String,
+        required: true
+    },
+    vital: {
+        type: String,
+        enum: ['bpm', 'spo2', 'temperature'],
+        required: true
+    },
+    value: encryptedField(Number, { required: true }), // The reading that crossed the threshold (encrypted, as in the session)
+    threshold: { // The threshold that was crossed, e.g. { operator: 'lt', value: 88 }
+        operator: { type: String },
+        value: { type: Number }
+    },
+    message: encryptedField(String, { required: true }), // Names the patient, so encrypted (utils/fieldEncryption.js)
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'escalated'],
+        default: 'open'
+    },
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    acknowledgedAt: {
+        type: Date
+    },
+    escalatedAt: {
+        type: Date
+    },
+    notifications: [{ // Every notification attempt, for both the doctor and escalations
+        level: { type: String, enum: ['doctor', 'admin'] },
+        channel: { type: String },
+        recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        sentAt: { type: Date, default: Date.now },
+        success: { type: Boolean },
+        error: { type: String }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    toJSON: { getters: true, virtuals: false } // Decrypts value and message in responses
+});
+
+AlertSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Alert', AlertSchema);
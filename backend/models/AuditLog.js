@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Append-only, hash-chained log of clinical and administrative actions.
+// Each entry's hash covers its content and the previous entry's hash, so editing or
+// removing an entry breaks the chain (see verifyAuditChain in utils/audit.js).
+const AuditLogSchema = new mongoose.Schema({
+    seq: { // Position in the chain, starting at 1
+        type: Number,
+        required: true,
+        unique: true
+    },
+    action: { // e.g. 'auth.login', 'diagnosis.approve', 'dispense.confirmed'
+        type: String,
+        required: true
+    },
+    actor: {
+        kind: { type: String, enum: ['user', 'kiosk', 'system'], required: true },
+        id: { type: String }, // User ID or kiosk ID
+        role: { type: String },
+        name: { type: String }
+    },
+    target: {
+        kind: { type: String }, // e.g. 'Diagnosis', 'Kiosk', 'RuleSet'
+        id: { type: String }
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: {
+        type: String
+    },
+    at: {
+        type: Date,
+        required: true
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    }
+}, { minimize: false }); // Keep empty objects so stored entries hash exactly as written
+
+AuditLogSchema.index({ action: 1, at: -1 });
+AuditLogSchema.index({ 'actor.id': 1, at: -1 });
+AuditLogSchema.index({ 'target.id': 1, at: -1 });
+
+const rejectChange = function(next) {
+    next(new Error('Audit log entries are append-only'));
+};
+
+// Entries can only be inserted, never changed or removed through the application
+AuditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+    .forEach((operation) => AuditLogSchema.pre(operation, rejectChange));
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const eventBus = require('../utils/eventBus');
+const { encryptedField, decryptFields } = require('../utils/fieldEncryption');
+
+// Reading fields encrypted at rest, and their types
+const ENCRYPTED_READING_FIELDS = { bpm: Number, spo2: Number, temperature: Number };
 
 const DiagnosisSchema = new mongoose.Schema({
     patientId: {
@@ -6,36 +11,125 @@ const DiagnosisSchema = new mongoose.Schema({
         ref: 'Patient',
         required: true
     },
-    doctorId: {
+    doctorId: { // The doctor handling the session; empty while a kiosk-started session waits in the triage queue
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null
+    },
+    origin: { // Who started the session: a doctor on the dashboard, or the patient at a self-service kiosk
+        type: String,
+        enum: ['doctor', 'kiosk'],
+        default: 'doctor'
     },
     kioskId: { // The kiosk that sent the data
         type: String,
         required: true
     },
-    sensorData: [{ // Array to store multiple sensor readings over time for a single session
-        timestamp: { type: Date, default: Date.now },
-        bpm: { type: Number, default: 0 },
-        spo2: { type: Number, default: 0 },
-        temperature: { type: Number, default: 0 }
+    sensorData: [{ // Array to store multiple sensor readings over time for a single session, oldest measurement first
+        timestamp: { type: Date, default: Date.now }, // When the reading was measured (device time corrected for clock skew)
+        bpm: encryptedField(Number, { default: 0 }), // The vitals are encrypted (utils/fieldEncryption.js)
+        spo2: encryptedField(Number, { default: 0 }),
+        temperature: encryptedField(Number, { default: 0 }),
+        quality: { type: String, enum: ['ok', 'probe_off', 'out_of_range'], default: 'ok' }, // From assessReading
+        seq: { type: Number }, // The kiosk's sequence number for batched readings, used to drop retransmissions
+        deviceTime: { type: Number }, // The kiosk's own clock reading (ms) when it measured, before skew correction
+        receivedAt: { type: Date } // When the server received the reading
     }],
-    predictedDisease: {
+    signalQuality: { // Quality of the recent readings window the prediction is based on
+        state: {
+            type: String,
+            enum: ['no_data', 'probe_off', 'noisy', 'stabilising', 'good'],
+            default: 'no_data'
+        },
+        windowSize: { type: Number, default: 0 },
+        stableSamples: { type: Number, default: 0 },
+        rejected: {
+            probe_off: { type: Number, default: 0 },
+            out_of_range: { type: Number, default: 0 },
+            spike: { type: Number, default: 0 }
+        }
+    },
+    predictedDisease: { // A condition from the rule set, 'Undetermined', or 'N/A' when no prediction yet
         type: String,
-        enum: ['Disease A', 'Disease B', 'Undetermined', 'N/A'], // Add N/A for cases where no prediction yet
         default: 'N/A'
     },
+    predictedMedication: { // Medication suggested by the matching rule, if any
+        type: String
+    },
+    ruleSetVersion: { // Rule-set version that produced predictedDisease
+        type: Number
+    },
+    ruleId: { // Rule within that version that matched (null when Undetermined)
+        type: String
+    },
+    predictionConfidence: { // Share of stable readings agreeing with the prediction (0-1)
+        type: Number
+    },
+    predictionReasoning: [{ // Human-readable explanation of the prediction
+        type: String
+    }],
     approvedDisease: { // What the doctor actually approved
         type: String,
-        enum: ['Disease A', 'Disease B', 'Undetermined', 'N/A'],
         default: 'N/A'
     },
-    status: { // e.g., 'pending_doctor_review', 'approved', 'declined', 'medication_dispensed'
+    status: { // Changed only through utils/diagnosisLifecycle.js
         type: String,
-        enum: ['collecting_data', 'prediction_made', 'pending_approval', 'approved', 'declined', 'medication_dispensed', 'completed'],
+        enum: ['collecting_data', 'prediction_made', 'pending_approval', 'approved', 'declined', 'medication_dispensed', 'dispense_failed', 'cancelled', 'completed'],
         default: 'collecting_data'
     },
+    statusHistory: [{ // Timeline of every status change
+        from: { type: String },
+        to: { type: String, required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Empty for kiosk and system changes
+        source: { type: String, enum: ['doctor', 'admin', 'kiosk', 'system'], default: 'system' },
+        note: { type: String },
+        at: { type: Date, default: Date.now }
+    }],
+    triage: { // Severity from the current measurement's vitals, set by utils/triage.js; orders the triage queue
+        level: {
+            type: String,
+            enum: ['awaiting_vitals', 'routine', 'urgent', 'critical'],
+            default: 'awaiting_vitals'
+        },
+        score: { type: Number, default: 0 }, // Higher is more severe; the queue sorts on it, then on wait time
+        reasons: [{ type: String }],
+        assessedAt: { type: Date }
+    },
+    claimedAt: { // When the current doctor claimed or was handed the session
+        type: Date
+    },
+    claimHistory: [{ // Claims, releases and hand-offs of the session between doctors
+        action: { type: String, enum: ['claimed', 'released', 'handed_off'], required: true },
+        doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Who holds the session afterwards (empty once released)
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: { type: String },
+        at: { type: Date, default: Date.now }
+    }],
+    overridden: { // True when the doctor approved a different diagnosis than the prediction
+        type: Boolean,
+        default: false
+    },
+    declineReason: {
+        type: String
+    },
+    safetyCheck: { // Allergy and contraindication check of the dispensed medication against the patient
+        checkedAt: { type: Date },
+        conflicts: [{
+            type: { type: String, enum: ['allergy', 'contraindication'] },
+            patientValue: { type: String }, // The patient's allergy or condition
+            medicationValue: { type: String } // The allergen or contraindication it matched
+        }],
+        overridden: { type: Boolean, default: false },
+        overrideReason: { type: String },
+        overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    measurementStartIndex: { // Readings before this index were discarded by a re-measurement request
+        type: Number,
+        default: 0
+    },
+    measurementStartedAt: { // When the last re-measurement was requested; readings measured earlier are discarded
+        type: Date
+    },
     motorCommand: { // Command to be sent to ESP32 (e.g., 'activate_motor_1')
         type: String,
         default: 'none' // 'none', 'activate_motor_1', 'activate_motor_2'
@@ -44,6 +138,24 @@ const DiagnosisSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    dispensedMedication: { // What the approved motor command dispenses, captured at approval
+        medicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication' },
+        name: { type: String },
+        dose: { type: String },
+        slotNumber: { type: Number },
+        lotNumber: { type: String }
+    },
+    dispenseFailureReason: { // Set when status is 'dispense_failed' (e.g. 'jam', 'empty_slot', 'motor_fault', 'expired')
+        type: String
+    },
+    deletedAt: { // Soft delete: set instead of removing the record, which stays in the audit trail
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -52,12 +164,45 @@ const DiagnosisSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     }
+}, {
+    toJSON: { getters: true, virtuals: false } // Decrypts the vitals in responses and published events
 });
 
+// The triage queue: unclaimed active sessions, most severe first, then longest waiting
+DiagnosisSchema.index({ doctorId: 1, status: 1, 'triage.score': -1, createdAt: 1 });
+
+/**
+ * Decrypts the vitals of readings that did not come through the model, such as those of an
+ * aggregation result.
+ *
+ * @param {Array<Object>} sensorData - Plain objects; changed in place.
+ * @returns {Array<Object>} The readings.
+ */
+DiagnosisSchema.statics.decryptReadings = function (sensorData) {
+    return sensorData.map((reading) => decryptFields(reading, ENCRYPTED_READING_FIELDS));
+};
+
 // Update `updatedAt` field on save
 DiagnosisSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
+    this.$locals.statusChanged = this.isNew || this.isModified('status');
     next();
 });
 
+// Publish status changes so connected dashboards see them as they happen
+DiagnosisSchema.post('save', function(doc) {
+    if (!doc.$locals.statusChanged) {
+        return;
+    }
+    eventBus.emit('diagnosis:status', {
+        diagnosisId: doc._id.toString(),
+        doctorId: doc.doctorId ? doc.doctorId.toString() : null,
+        kioskId: doc.kioskId,
+        status: doc.status,
+        predictedDisease: doc.predictedDisease,
+        approvedDisease: doc.approvedDisease,
+        updatedAt: doc.updatedAt
+    });
+});
+
 module.exports = mongoose.model('Diagnosis', DiagnosisSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const DispenseCommandSchema = new mongoose.Schema({
+    diagnosisId: { // The approved diagnosis this command dispenses for
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Diagnosis',
+        required: true
+    },
+    kioskId: {
+        type: String,
+        required: true
+    },
+    command: { // Motor command sent to the ESP32 (e.g. 'activate_motor_1')
+        type: String,
+        required: true
+    },
+    slotNumber: { // The kiosk slot the command dispenses from
+        type: Number
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'leased', 'executed', 'failed', 'expired', 'cancelled'],
+        default: 'queued'
+    },
+    attempts: { // How many times the command has been delivered to the kiosk
+        type: Number,
+        default: 0
+    },
+    leaseExpiresAt: { // While leased, the command is not re-delivered until this time
+        type: Date
+    },
+    expiresAt: { // After this time the command is never delivered
+        type: Date,
+        required: true
+    },
+    result: { // Raw status string reported by the kiosk
+        type: String
+    },
+    failureReason: {
+        type: String,
+        enum: ['jam', 'empty_slot', 'motor_fault', 'expired', 'other']
+    },
+    completedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+DispenseCommandSchema.index({ kioskId: 1, status: 1, createdAt: 1 });
+
+// Update `updatedAt` field on save
+DispenseCommandSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('DispenseCommand', DispenseCommandSchema);
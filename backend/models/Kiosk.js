@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A kiosk that has not been heard from for this long is reported as offline
+const OFFLINE_AFTER_SECONDS = parseInt(process.env.KIOSK_OFFLINE_AFTER_SECONDS, 10) || 120;
+
+const KioskSchema = new mongoose.Schema({
+    kioskId: { // The identifier flashed into the ESP32 firmware (e.g. 'ESP32_Kiosk_001')
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    location: { // Where the kiosk is installed (e.g. 'Ward 3, City Hospital')
+        type: String,
+        trim: true
+    },
+    secret: { // Shared HMAC secret, only returned to the admin when issued or rotated
+        type: String,
+        required: true,
+        select: false
+    },
+    status: { // 'revoked' and 'retired' kiosks are rejected by the kioskAuth middleware
+        type: String,
+        enum: ['active', 'revoked', 'retired'],
+        default: 'active'
+    },
+    secretRotatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date
+    },
+    retiredAt: {
+        type: Date
+    },
+    lastSeenAt: { // Updated on every authenticated request and heartbeat
+        type: Date
+    },
+    clockSkewMs: { // Server time minus kiosk time, measured on the latest batched upload
+        type: Number
+    },
+    clockSkewMeasuredAt: {
+        type: Date
+    },
+    firmwareVersion: {
+        type: String,
+        trim: true
+    },
+    selfTest: { // Result of the sensor self-test reported with the latest heartbeat
+        reportedAt: { type: Date },
+        passed: { type: Boolean },
+        sensors: [{
+            name: { type: String }, // e.g. 'pulse_oximeter', 'thermometer', 'motor_1'
+            ok: { type: Boolean },
+            detail: { type: String }
+        }]
+    },
+    slots: [{ // Medication loaded behind each dispensing motor
+        slotNumber: { type: Number, required: true, min: 1 },
+        motorCommand: { type: String, required: true }, // e.g. 'activate_motor_1'
+        medication: { type: mongoose.Schema.Types.ObjectId, ref: 'Medication' },
+        stock: { type: Number, default: 0, min: 0 }, // Doses left in the slot
+        lotNumber: { type: String, trim: true },
+        expiryDate: { type: Date },
+        lowStockThreshold: { type: Number, default: 5, min: 0 }
+    }],
+    selfService: { // Patients may start their own sessions here; they wait in the triage queue for any on-duty doctor
+        type: Boolean,
+        default: false
+    },
+    assignedDoctors: [{ // Doctors allowed to start sessions on this kiosk
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// 'online', 'offline' or 'never_seen', derived from lastSeenAt
+KioskSchema.virtual('connectivity').get(function() {
+    if (!this.lastSeenAt) {
+        return 'never_seen';
+    }
+    return Date.now() - this.lastSeenAt.getTime() <= OFFLINE_AFTER_SECONDS * 1000 ? 'online' : 'offline';
+});
+
+// Update `updatedAt` field on save
+KioskSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Generate a fresh random secret for a kiosk
+KioskSchema.statics.generateSecret = function() {
+    return crypto.randomBytes(32).toString('hex');
+};
+
+KioskSchema.statics.OFFLINE_AFTER_SECONDS = OFFLINE_AFTER_SECONDS;
+
+module.exports = mongoose.model('Kiosk', KioskSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// How far a kiosk's clock may drift from ours before a signed request is rejected (checked in
+// utils/authMiddleware.js and the MQTT transport)
+const SIGNATURE_WINDOW_SECONDS = parseInt(process.env.KIOSK_SIGNATURE_WINDOW_SECONDS, 10) || 300;
+
+// Nonces already seen from each kiosk. The unique index rejects a replayed request,
+// and the TTL index drops entries once their timestamp is outside the accepted window.
+const KioskNonceSchema = new mongoose.Schema({
+    kioskId: {
+        type: String,
+        required: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        // A request timestamped up to the window ahead of us stays valid for two windows, and its
+        // nonce must be remembered until then. After changing the window, run KioskNonce.syncIndexes()
+        // on an existing database so the TTL index follows.
+        expires: SIGNATURE_WINDOW_SECONDS * 2
+    }
+});
+
+KioskNonceSchema.index({ kioskId: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model('KioskNonce', KioskNonceSchema);
+module.exports.SIGNATURE_WINDOW_SECONDS = SIGNATURE_WINDOW_SECONDS;
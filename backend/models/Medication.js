@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const MedicationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    dose: { // Dose dispensed per session (e.g. '500 mg tablet')
+        type: String,
+        required: true,
+        trim: true
+    },
+    indications: [{ // Conditions this medication is dispensed for (e.g. 'Disease A')
+        type: String,
+        trim: true
+    }],
+    allergens: [{ // Substances or drug classes a patient may be allergic to (e.g. 'penicillin', 'NSAID')
+        type: String,
+        trim: true
+    }],
+    contraindications: [{ // Patient conditions the medication must not be given with (e.g. 'asthma', 'pregnancy')
+        type: String,
+        trim: true
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update `updatedAt` field on save
+MedicationSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Medication', MedicationSchema);
@@ -1,28 +1,69 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encryptedField, decryptValue, decryptFields, blindIndex } = require('../utils/fieldEncryption');
+
+// Unambiguous characters only (no 0/O or 1/I), so codes can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Basic phone number validation (optional)
+const PHONE_PATTERN = /^\+?\d{1,3}?[-.\s]?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}$/;
+
+// Fields encrypted at rest, and their types
+const ENCRYPTED_FIELDS = { name: String, phoneNumber: String };
 
 const PatientSchema = new mongoose.Schema({
-    name: {
+    patientCode: { // Short stable identifier given to the patient, e.g. on a printed slip
         type: String,
-        required: true,
+        unique: true,
+        sparse: true, // Records from before codes existed get one on their next save
+        uppercase: true,
         trim: true
     },
-    age: {
+    name: encryptedField(String, { required: true }), // Encrypted (utils/fieldEncryption.js)
+    age: { // Kept for patients without a date of birth; derived from it otherwise
         type: Number,
-        required: true,
+        required: function () { return !this.dateOfBirth; },
         min: 0
     },
-    phoneNumber: {
+    dateOfBirth: {
+        type: Date
+    },
+    gender: {
         type: String,
-        trim: true,
-        // Basic regex for phone number validation (optional)
-        match: [/^\+?\d{1,3}?[-.\s]?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}$/, 'Please fill a valid phone number']
+        enum: ['male', 'female', 'other', 'unknown'],
+        default: 'unknown'
     },
-    doctorId: { // Links patient to the doctor who initiated the check
+    phoneNumber: encryptedField(String, { // Encrypted (utils/fieldEncryption.js)
+        validate: {
+            validator: (value) => !value || PHONE_PATTERN.test(decryptValue(value)),
+            message: 'Please fill a valid phone number'
+        }
+    }),
+    phoneIndex: { // Blind index of the phone's digits, used to find returning patients whatever the formatting
+        type: String,
+        index: true
+    },
+    nameIndex: { // Blind index of the whole name (case and spacing ignored), matched together with the phone
+        type: String
+    },
+    nameTokens: [{ // Blind indexes of each word of the name, so history search can match a name
+        type: String,
+        index: true
+    }],
+    allergies: [{ // Free-text allergens, e.g. 'penicillin'
+        type: String,
+        trim: true
+    }],
+    chronicConditions: [{
+        type: String,
+        trim: true
+    }],
+    doctorId: { // The doctor who first registered the patient; empty when they registered themselves at a kiosk
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null
     },
-    kioskId: { // To link to a specific ESP32 kiosk for live data
+    kioskId: { // The kiosk of the patient's current or most recent visit
         type: String,
         trim: true,
         required: false // Not always required if patient data is just stored
@@ -31,10 +72,137 @@ const PatientSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    lastVisitAt: {
+        type: Date
+    },
+    anonymisedAt: { // Set when the retention policy or an erasure request removed the identifying details
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
     }
+}, {
+    toJSON: { getters: true, virtuals: false } // Decrypts the encrypted fields in responses
+});
+
+/**
+ * Generates a patient code such as 'P-7KQ2M9XA'.
+ *
+ * @returns {string}
+ */
+PatientSchema.statics.generateCode = function () {
+    const bytes = crypto.randomBytes(8);
+    let code = '';
+    for (const byte of bytes) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return `P-${code}`;
+};
+
+/**
+ * Reduces a phone number to its digits so '+91 98765-43210' and '9876543210' compare equal
+ * on their last ten digits.
+ *
+ * @param {string} phoneNumber
+ * @returns {string|undefined}
+ */
+PatientSchema.statics.normalizePhone = function (phoneNumber) {
+    if (!phoneNumber) {
+        return undefined;
+    }
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+/**
+ * Normalises a name for matching: case and spacing are ignored.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+PatientSchema.statics.normalizeName = function (name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * The blind index to look a patient up by phone number.
+ *
+ * @param {string} phoneNumber
+ * @returns {string|undefined} undefined when the number has no digits.
+ */
+PatientSchema.statics.phoneIndexFor = function (phoneNumber) {
+    return blindIndex('phone', this.normalizePhone(phoneNumber));
+};
+
+/**
+ * The blind index to look a patient up by their whole name.
+ *
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+PatientSchema.statics.nameIndexFor = function (name) {
+    return blindIndex('name', this.normalizeName(name));
+};
+
+/**
+ * The blind indexes of the words in a name or search text. A search matches a patient whose
+ * name contains every word searched for (whole words, case ignored).
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+PatientSchema.statics.nameTokensFor = function (text) {
+    const words = this.normalizeName(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return [...new Set(words)].map((word) => blindIndex('name-token', word));
+};
+
+/**
+ * Decrypts the encrypted fields of a patient that did not come through the model, such as
+ * one joined in by an aggregation.
+ *
+ * @param {Object} record - Plain object; changed in place.
+ * @returns {Object} The record.
+ */
+PatientSchema.statics.decryptRecord = function (record) {
+    return decryptFields(record, ENCRYPTED_FIELDS);
+};
+
+/**
+ * Recomputes the blind indexes from the name and phone number, e.g. after PHI_INDEX_KEY changed.
+ * Anonymised patients are not indexed, so they can no longer be found by name or phone.
+ */
+PatientSchema.methods.refreshSearchIndexes = function () {
+    const indexed = !this.anonymisedAt;
+    this.phoneIndex = indexed ? this.constructor.phoneIndexFor(this.phoneNumber) : undefined;
+    this.nameIndex = indexed ? this.constructor.nameIndexFor(this.name) : undefined;
+    this.nameTokens = indexed ? this.constructor.nameTokensFor(this.name) : [];
+};
+
+PatientSchema.pre('validate', function (next) {
+    if (!this.patientCode && !this.anonymisedAt) {
+        this.patientCode = this.constructor.generateCode();
+    }
+    if (this.isModified('phoneNumber') || this.isModified('name') || this.isModified('anonymisedAt')) {
+        this.refreshSearchIndexes();
+    }
+    if (this.dateOfBirth) {
+        const now = new Date();
+        const age = now.getFullYear() - this.dateOfBirth.getFullYear();
+        const birthdayPassed = now.getMonth() > this.dateOfBirth.getMonth() ||
+            (now.getMonth() === this.dateOfBirth.getMonth() && now.getDate() >= this.dateOfBirth.getDate());
+        this.age = birthdayPassed ? age : age - 1;
+    }
+    next();
+});
+
+PatientSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
 });
 
-module.exports = mongoose.model('Patient', PatientSchema);
\ No newline at end of file
+module.exports = mongoose.model('Patient', PatientSchema);
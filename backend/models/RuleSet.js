@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A single threshold check, e.g. { field: 'temperature', operator: 'gte', value: 37.8 }
+const ConditionSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        enum: ['bpm', 'spo2', 'temperature'],
+        required: true
+    },
+    operator: {
+        type: String,
+        enum: ['lt', 'lte', 'gt', 'gte', 'eq', 'between'],
+        required: true
+    },
+    value: { // Lower bound for 'between'
+        type: Number,
+        required: true
+    },
+    max: { // Upper bound for 'between' (inclusive)
+        type: Number
+    }
+}, { _id: false });
+
+const RuleSchema = new mongoose.Schema({
+    ruleId: { // Stable identifier recorded on each Diagnosis the rule predicts
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        trim: true
+    },
+    priority: { // Higher priority rules are evaluated first; the first match wins
+        type: Number,
+        default: 0
+    },
+    conditions: { // All conditions must hold for the rule to match
+        type: [ConditionSchema],
+        validate: [(conditions) => conditions.length > 0, 'A rule needs at least one condition']
+    },
+    outcome: {
+        condition: { type: String, required: true, trim: true }, // The predicted disease
+        medication: { type: String, trim: true } // Suggested medication name, if any
+    }
+}, { _id: false });
+
+// Rule sets are never edited in place: every change is saved as a new version,
+// so each Diagnosis can be traced back to the exact rules that produced it.
+const RuleSetSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    rules: [RuleSchema],
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    activatedAt: {
+        type: Date
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('RuleSet', RuleSetSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Access tokens carry the session ID, so revoking the session
+// kills its tokens early; the refresh token is stored only as a hash and rotated on every use.
+const SessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: { // The refresh token cannot be used after this; the record is removed later by the TTL index
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: { // e.g. 'logout', 'logout_all', 'refresh_token_reuse', 'password_change'
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Keep expired sessions for a week so recent revocations can still be inspected
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -15,6 +15,10 @@ const UserSchema = new mongoose.Schema({
         lowercase: true,
         match: [/.+@.+\..+/, 'Please fill a valid email address'] // Basic email validation
     },
+    phoneNumber: { // Used for SMS notifications (e.g. escalated alerts)
+        type: String,
+        trim: true
+    },
     password: {
         type: String,
         required: true
@@ -24,6 +28,43 @@ const UserSchema = new mongoose.Schema({
         enum: ['doctor', 'admin'],
         default: 'doctor'
     },
+    status: { // New signups are 'pending' until an admin approves them
+        type: String,
+        enum: ['pending', 'active', 'suspended'],
+        default: 'active'
+    },
+    onDuty: { // Doctors on duty can claim sessions from the triage queue and receive hand-offs
+        type: Boolean,
+        default: false
+    },
+    onDutySince: {
+        type: Date
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: {
+        type: Date
+    },
+    passwordChangedAt: { // Tokens issued before this are rejected by protect
+        type: Date
+    },
+    failedLoginAttempts: { // Consecutive failures since the last successful login or lockout
+        type: Number,
+        default: 0
+    },
+    lockUntil: { // Login is refused until this time after too many failures
+        type: Date
+    },
+    passwordResetTokenHash: { // SHA-256 of the single-use reset token sent by email
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -37,6 +78,10 @@ UserSchema.pre('save', async function(next) {
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+        // Back-date by a second so a token issued in the same request is still accepted
+        this.passwordChangedAt = Date.now() - 1000;
+    }
     next();
 });
 
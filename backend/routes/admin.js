@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../utils/authMiddleware');
+const User = require('../models/User');
+const Kiosk = require('../models/Kiosk');
+const Diagnosis = require('../models/Diagnosis');
+const { recordAudit } = require('../utils/audit');
+const { releaseAllHeld } = require('../utils/triage');
+const { retentionPolicy, applyRetentionPolicy } = require('../utils/retention');
+const { CURRENT_KEY_ID } = require('../utils/fieldEncryption');
+
+// Shape of a user returned by the admin routes
+const userSummary = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    status: user.status,
+    approvedAt: user.approvedAt,
+    createdAt: user.createdAt
+});
+
+// Loads the doctor account an admin action targets, or sends the error response
+const findDoctor = async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ message: 'Invalid user ID format.' });
+        return null;
+    }
+    const user = await User.findById(id).select('-password');
+    if (!user || user.role !== 'doctor') {
+        res.status(404).json({ message: 'Doctor account not found' });
+        return null;
+    }
+    return user;
+};
+
+// @route   GET /api/admin/users?status=pending&role=doctor
+// @desc    List user accounts, optionally filtered by status and role
+// @access  Private (Admin)
+router.get('/users', protect, admin, async (req, res) => {
+    const { status, role } = req.query;
+
+    try {
+        // Only known values as plain strings, so ?status[$ne]=x cannot become a query operator
+        const query = {};
+        for (const [field, value] of Object.entries({ status, role })) {
+            if (value === undefined || value === '') {
+                continue;
+            }
+            const allowed = User.schema.path(field).enumValues;
+            if (!allowed.includes(String(value))) {
+                return res.status(400).json({ message: `${field} must be one of: ${allowed.join(', ')}` });
+            }
+            query[field] = String(value);
+        }
+
+        const users = await User.find(query).select('-password').sort({ createdAt: -1 });
+        res.status(200).json(users.map(userSummary));
+
+    } catch (err) {
+        console.error('List Users Error:', err.message);
+        res.status(500).json({ message: 'Server error listing users' });
+    }
+});
+
+// @route   POST /api/admin/users/:id/approve
+// @desc    Approve a pending doctor (or reinstate a suspended one)
+// @access  Private (Admin)
+router.post('/users/:id/approve', protect, admin, async (req, res) => {
+    try {
+        const user = await findDoctor(req, res);
+        if (!user) {
+            return;
+        }
+        if (user.status === 'active') {
+            return res.status(400).json({ message: 'Account is already active' });
+        }
+
+        const previousStatus = user.status;
+        user.status = 'active';
+        user.approvedBy = req.user.id;
+        user.approvedAt = Date.now();
+        await user.save();
+        await recordAudit('admin.user_approve', { req, target: { kind: 'User', id: user._id }, details: { previousStatus } });
+
+        res.status(200).json({ message: 'Doctor account approved', user: userSummary(user) });
+
+    } catch (err) {
+        console.error('Approve User Error:', err.message);
+        res.status(500).json({ message: 'Server error approving user' });
+    }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a doctor account; the doctor can no longer log in or use existing tokens, goes off
+//          duty and the sessions they hold go back to the triage queue
+// @access  Private (Admin)
+router.post('/users/:id/suspend', protect, admin, async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const user = await findDoctor(req, res);
+        if (!user) {
+            return;
+        }
+        if (user.status === 'suspended') {
+            return res.status(400).json({ message: 'Account is already suspended' });
+        }
+
+        user.status = 'suspended';
+        user.onDuty = false;
+        user.onDutySince = null;
+        await user.save();
+        const releasedSessions = await releaseAllHeld(user._id, { note: 'Doctor account suspended' });
+        await recordAudit('admin.user_suspend', {
+            req,
+            target: { kind: 'User', id: user._id },
+            details: { reason, releasedSessions }
+        });
+
+        res.status(200).json({ message: 'Doctor account suspended', user: userSummary(user), releasedSessions });
+
+    } catch (err) {
+        console.error('Suspend User Error:', err.message);
+        res.status(500).json({ message: 'Server error suspending user' });
+    }
+});
+
+// @route   DELETE /api/admin/users/:id
+// @desc    Delete a doctor account that has no clinical records (suspend it otherwise)
+// @access  Private (Admin)
+router.delete('/users/:id', protect, admin, async (req, res) => {
+    try {
+        const user = await findDoctor(req, res);
+        if (!user) {
+            return;
+        }
+
+        const records = await Diagnosis.countDocuments({ doctorId: user._id });
+        if (records > 0) {
+            return res.status(409).json({
+                message: `This doctor has ${records} diagnosis record(s), which must be kept. Suspend the account instead.`
+            });
+        }
+
+        await Kiosk.updateMany({ assignedDoctors: user._id }, { $pull: { assignedDoctors: user._id } });
+        await User.deleteOne({ _id: user._id });
+        await recordAudit('admin.user_delete', { req, target: { kind: 'User', id: user._id }, details: { email: user.email } });
+
+        res.status(200).json({ message: 'Doctor account deleted' });
+
+    } catch (err) {
+        console.error('Delete User Error:', err.message);
+        res.status(500).json({ message: 'Server error deleting user' });
+    }
+});
+
+// @route   GET /api/admin/users/:id/kiosks
+// @desc    List the kiosks a doctor is assigned to
+// @access  Private (Admin)
+router.get('/users/:id/kiosks', protect, admin, async (req, res) => {
+    try {
+        const user = await findDoctor(req, res);
+        if (!user) {
+            return;
+        }
+
+        const kiosks = await Kiosk.find({ assignedDoctors: user._id }).select('kioskId name location status');
+        res.status(200).json(kiosks);
+
+    } catch (err) {
+        console.error('Get Doctor Kiosks Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching doctor kiosks' });
+    }
+});
+
+// @route   PUT /api/admin/users/:id/kiosks
+// @desc    Replace the set of kiosks a doctor is assigned to. body: { kioskIds: [...] }
+// @access  Private (Admin)
+router.put('/users/:id/kiosks', protect, admin, async (req, res) => {
+    const { kioskIds } = req.body;
+
+    // Plain strings only: an object such as { $ne: null } would become a query operator in $in/$nin
+    if (!Array.isArray(kioskIds) || !kioskIds.every((kioskId) => typeof kioskId === 'string' && kioskId.trim() !== '')) {
+        return res.status(400).json({ message: 'kioskIds must be an array of kiosk IDs' });
+    }
+
+    try {
+        const user = await findDoctor(req, res);
+        if (!user) {
+            return;
+        }
+
+        const kiosks = await Kiosk.find({ kioskId: { $in: kioskIds } });
+        const unknown = kioskIds.filter((kioskId) => !kiosks.some((kiosk) => kiosk.kioskId === kioskId));
+        if (unknown.length > 0) {
+            return res.status(404).json({ message: `Unknown kiosk(s): ${unknown.join(', ')}` });
+        }
+
+        await Kiosk.updateMany(
+            { assignedDoctors: user._id, kioskId: { $nin: kioskIds } },
+            { $pull: { assignedDoctors: user._id } }
+        );
+        await Kiosk.updateMany({ kioskId: { $in: kioskIds } }, { $addToSet: { assignedDoctors: user._id } });
+        await recordAudit('admin.kiosk_assignment', { req, target: { kind: 'User', id: user._id }, details: { kioskIds } });
+
+        res.status(200).json({ message: 'Kiosk assignments updated', doctorId: user._id, kioskIds });
+
+    } catch (err) {
+        console.error('Assign Kiosks Error:', err.message);
+        res.status(500).json({ message: 'Server error assigning kiosks' });
+    }
+});
+
+// @route   GET /api/admin/data-protection
+// @desc    The retention policy (RETENTION_* settings) and the key encrypting new patient data
+// @access  Private (Admin)
+router.get('/data-protection', protect, admin, (req, res) => {
+    res.status(200).json({
+        retention: retentionPolicy(),
+        encryption: { enabled: Boolean(CURRENT_KEY_ID), currentKeyId: CURRENT_KEY_ID }
+    });
+});
+
+// @route   POST /api/admin/retention/run
+// @desc    Apply the retention policy now instead of waiting for the periodic run
+// @access  Private (Admin)
+router.post('/retention/run', protect, admin, async (req, res) => {
+    try {
+        const result = await applyRetentionPolicy({ req });
+        res.status(200).json({ message: 'Retention policy applied', policy: retentionPolicy(), ...result });
+
+    } catch (err) {
+        console.error('Retention Run Error:', err.message);
+        res.status(500).json({ message: 'Server error applying the retention policy' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../utils/authMiddleware');
+const Alert = require('../models/Alert');
+const { recordAudit } = require('../utils/audit');
+
+// @route   GET /api/alerts?status=open
+// @desc    List critical vital-sign alerts (doctors see their own and those of unclaimed triage sessions, admins see all)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    const { status } = req.query;
+
+    try {
+        const query = req.user.role === 'admin' ? {} : { doctorId: { $in: [req.user.id, null] } };
+        if (status) {
+            query.status = status;
+        }
+
+        const alerts = await Alert.find(query)
+                                  .populate('patientId', 'name age')
+                                  .populate('acknowledgedBy', 'name')
+                                  .sort({ createdAt: -1 })
+                                  .limit(200);
+
+        res.status(200).json(alerts);
+
+    } catch (err) {
+        console.error('List Alerts Error:', err.message);
+        res.status(500).json({ message: 'Server error listing alerts' });
+    }
+});
+
+// @route   POST /api/alerts/:id/acknowledge
+// @desc    Acknowledge an alert, stopping (or closing) its escalation
+// @access  Private (owning doctor, any doctor while the session is unclaimed, or admin)
+router.post('/:id/acknowledge', protect, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const query = { _id: id, status: { $in: ['open', 'escalated'] } };
+        if (req.user.role !== 'admin') {
+            query.doctorId = { $in: [req.user.id, null] };
+        }
+
+        const alert = await Alert.findOneAndUpdate(
+            query,
+            { $set: { status: 'acknowledged', acknowledgedBy: req.user.id, acknowledgedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!alert) {
+            return res.status(404).json({ message: 'Open alert not found or unauthorized.' });
+        }
+        await recordAudit('alert.acknowledge', { req, target: { kind: 'Alert', id: alert._id }, details: { vital: alert.vital } });
+
+        res.status(200).json({ message: 'Alert acknowledged', alert });
+
+    } catch (err) {
+        console.error('Acknowledge Alert Error:', err.message);
+        if (err.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid alert ID format.' });
+        }
+        res.status(500).json({ message: 'Server error acknowledging alert' });
+    }
+});
+
+module.exports = router;
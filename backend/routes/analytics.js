@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../utils/authMiddleware');
+const {
+    buildAnalyticsMatch,
+    sessionThroughput,
+    turnaroundTimes,
+    predictionAgreement,
+    dispenseFailureRates,
+    vitalsByAgeBand
+} = require('../utils/analytics');
+
+// Every analytics route takes ?from=&to=&kioskId=. Doctors always see their own sessions;
+// admins see the whole fleet, or one doctor's sessions with ?doctorId=.
+const scopeAnalytics = (req, res, next) => {
+    const { from, to, kioskId } = req.query;
+    const doctorId = req.user.role === 'admin' ? req.query.doctorId : req.user.id;
+
+    const { match, error } = buildAnalyticsMatch({ from, to, kioskId, doctorId });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    req.analyticsMatch = match;
+    next();
+};
+
+// @route   GET /api/analytics/throughput?groupBy=day|kiosk|doctor
+// @desc    Sessions per day, kiosk or doctor, with dispensed, declined and cancelled counts
+// @access  Private
+router.get('/throughput', protect, scopeAnalytics, async (req, res) => {
+    const groupBy = req.query.groupBy || 'day';
+
+    if (!['day', 'kiosk', 'doctor'].includes(groupBy)) {
+        return res.status(400).json({ message: 'groupBy must be day, kiosk or doctor.' });
+    }
+
+    try {
+        const groups = await sessionThroughput(req.analyticsMatch, groupBy);
+        res.status(200).json({ groupBy, groups });
+    } catch (err) {
+        console.error('Throughput Analytics Error:', err.message);
+        res.status(500).json({ message: 'Server error computing throughput' });
+    }
+});
+
+// @route   GET /api/analytics/turnaround
+// @desc    Time from session start to approval and to a confirmed dispense
+// @access  Private
+router.get('/turnaround', protect, scopeAnalytics, async (req, res) => {
+    try {
+        const times = await turnaroundTimes(req.analyticsMatch);
+        res.status(200).json(times);
+    } catch (err) {
+        console.error('Turnaround Analytics Error:', err.message);
+        res.status(500).json({ message: 'Server error computing turnaround times' });
+    }
+});
+
+// @route   GET /api/analytics/prediction-agreement
+// @desc    How often doctors agree with, override or decline the prediction, as a
+//          predicted-vs-approved confusion matrix per rule-set version
+// @access  Private
+router.get('/prediction-agreement', protect, scopeAnalytics, async (req, res) => {
+    try {
+        const versions = await predictionAgreement(req.analyticsMatch);
+        res.status(200).json({ versions });
+    } catch (err) {
+        console.error('Prediction Agreement Analytics Error:', err.message);
+        res.status(500).json({ message: 'Server error computing prediction agreement' });
+    }
+});
+
+// @route   GET /api/analytics/dispense-failures
+// @desc    Dispense command outcomes, failure reasons and failure rate per kiosk
+// @access  Private
+router.get('/dispense-failures', protect, scopeAnalytics, async (req, res) => {
+    try {
+        const kiosks = await dispenseFailureRates(req.analyticsMatch);
+        res.status(200).json({ kiosks });
+    } catch (err) {
+        console.error('Dispense Failure Analytics Error:', err.message);
+        res.status(500).json({ message: 'Server error computing dispense failures' });
+    }
+});
+
+// @route   GET /api/analytics/vitals-by-age
+// @desc    Average accepted vitals per patient age band
+// @access  Private
+router.get('/vitals-by-age', protect, scopeAnalytics, async (req, res) => {
+    try {
+        const bands = await vitalsByAgeBand(req.analyticsMatch);
+        res.status(200).json({ bands });
+    } catch (err) {
+        console.error('Vitals By Age Analytics Error:', err.message);
+        res.status(500).json({ message: 'Server error computing vitals by age' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../utils/authMiddleware');
+const AuditLog = require('../models/AuditLog');
+const { verifyAuditChain } = require('../utils/audit');
+
+// @route   GET /api/audit?action=&actorId=&targetId=&from=&to=&page=1&limit=50
+// @desc    Query the audit log, newest first
+// @access  Private (Admin)
+router.get('/', protect, admin, async (req, res) => {
+    const { action, actorId, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const query = {};
+        if (action) {
+            query.action = action;
+        }
+        if (actorId) {
+            query['actor.id'] = actorId;
+        }
+        if (targetId) {
+            query['target.id'] = targetId;
+        }
+        if (from || to) {
+            query.at = {};
+            if (from) {
+                query.at.$gte = new Date(from);
+            }
+            if (to) {
+                query.at.$lte = new Date(to);
+            }
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query).sort({ seq: -1 }).skip((page - 1) * limit).limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.status(200).json({ entries, page, limit, total, totalPages: Math.ceil(total / limit) });
+
+    } catch (err) {
+        console.error('Query Audit Log Error:', err.message);
+        res.status(500).json({ message: 'Server error querying audit log' });
+    }
+});
+
+// @route   GET /api/audit/verify
+// @desc    Recompute the hash chain and report the first tampered entry, if any
+// @access  Private (Admin)
+router.get('/verify', protect, admin, async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+        res.status(200).json(result);
+    } catch (err) {
+        console.error('Verify Audit Log Error:', err.message);
+        res.status(500).json({ message: 'Server error verifying audit log' });
+    }
+});
+
+module.exports = router;
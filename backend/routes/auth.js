@@ -2,16 +2,31 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { recordAudit } = require('../utils/audit');
+const { protect } = require('../utils/authMiddleware');
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { checkPasswordStrength, describePasswordProblems } = require('../utils/passwordPolicy');
+const { sendMail, isMailConfigured } = require('../utils/mailer');
 
-// Helper to generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '1h', // Token expires in 1 hour
+// Brute-force protection: lock the account after this many consecutive failed logins
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+// Where the frontend is served (the API does not serve it); reset links point to its reset-password.html
+const FRONTEND_URL = process.env.FRONTEND_URL;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Helper to generate a short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ACCESS_TOKEN_TTL || '15m', // Renewed with the refresh token
     });
 };
 
 // @route   POST /api/auth/signup
-// @desc    Register a new doctor
+// @desc    Register a new doctor (the account stays pending until an admin approves it)
 // @access  Public
 router.post('/signup', async (req, res) => {
     const { name, email, password } = req.body;
@@ -26,24 +41,29 @@ router.post('/signup', async (req, res) => {
             return res.status(400).json({ message: 'User with that email already exists' });
         }
 
+        const problems = checkPasswordStrength(password, { email, name });
+        if (problems.length > 0) {
+            return res.status(400).json({ message: describePasswordProblems(problems) });
+        }
+
         user = new User({
             name,
             email,
-            password // Password hashing is done in User model pre-save hook
+            password, // Password hashing is done in User model pre-save hook
+            status: 'pending'
         });
 
         await user.save();
-
-        const token = generateToken(user._id);
+        await recordAudit('auth.signup', { req, actor: { kind: 'user', id: user._id.toString(), role: user.role, name: user.name } });
 
         res.status(201).json({
-            message: 'User registered successfully',
-            token,
+            message: 'User registered successfully. Your account will be usable once an admin approves it.',
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                status: user.status
             }
         });
 
@@ -66,19 +86,49 @@ router.post('/login', async (req, res) => {
     try {
         const user = await User.findOne({ email });
         if (!user) {
+            await recordAudit('auth.login_failed', { req, details: { email } });
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
+        if (user.lockUntil && user.lockUntil > new Date()) {
+            await recordAudit('auth.login_failed', { req, target: { kind: 'User', id: user._id }, details: { email, locked: true } });
+            return res.status(423).json({ message: `Account locked after repeated failed logins. Try again after ${user.lockUntil.toISOString()}.` });
+        }
+
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            await recordAudit('auth.login_failed', { req, target: { kind: 'User', id: user._id }, details: { email } });
+
+            const updated = await User.findOneAndUpdate({ _id: user._id }, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+            if (updated.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS) {
+                await User.updateOne(
+                    { _id: user._id },
+                    { $set: { lockUntil: new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000), failedLoginAttempts: 0 } }
+                );
+                await recordAudit('auth.account_locked', { req, target: { kind: 'User', id: user._id }, details: { email } });
+            }
             return res.status(400).json({ message: 'Invalid credentials' });
         }
 
-        const token = generateToken(user._id);
+        if (user.failedLoginAttempts > 0 || user.lockUntil) {
+            await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } });
+        }
+
+        if (user.status !== 'active') {
+            await recordAudit('auth.login_failed', { req, target: { kind: 'User', id: user._id }, details: { email, status: user.status } });
+            const reason = user.status === 'pending' ? 'is awaiting admin approval' : 'has been suspended';
+            return res.status(403).json({ message: `Your account ${reason}.` });
+        }
+
+        await recordAudit('auth.login', { req, actor: { kind: 'user', id: user._id.toString(), role: user.role, name: user.name } });
+
+        const { session, refreshToken } = await createSession(user, req);
+        const token = generateToken(user._id, session._id);
 
         res.status(200).json({
             message: 'Logged in successfully',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 name: user.name,
@@ -93,4 +143,220 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link. Always answers the same way so
+//          the response does not reveal whether an account exists.
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Fail closed: without a mail transport the link would only end up in the logs
+    if (!FRONTEND_URL || !isMailConfigured()) {
+        console.error('Forgot Password Error: password reset needs FRONTEND_URL and a mail transport (SMTP_URL).');
+        return res.status(503).json({ message: 'Password reset by email is not available. Contact an administrator.' });
+    }
+
+    const genericResponse = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+    try {
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+        if (!user || user.status === 'suspended') {
+            return res.status(200).json(genericResponse);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                passwordResetTokenHash: hashResetToken(token),
+                passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+            }
+        });
+
+        const resetUrl = new URL('reset-password.html', FRONTEND_URL.endsWith('/') ? FRONTEND_URL : `${FRONTEND_URL}/`);
+        resetUrl.searchParams.set('token', token);
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your VitalsConnect password',
+            text: `Hello ${user.name},
+
+Use this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:
+` +
+                `${resetUrl}
+
+If you did not ask for a reset, you can ignore this email.`
+        });
+        await recordAudit('auth.password_reset_requested', { req, target: { kind: 'User', id: user._id } });
+
+        res.status(200).json(genericResponse);
+
+    } catch (err) {
+        console.error('Forgot Password Error:', err.message);
+        res.status(500).json({ message: 'Server error requesting password reset' });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; every session of the account is logged out
+// @access  Public (requires a valid reset token)
+router.post('/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        return res.status(400).json({ message: 'Reset token and new password are required' });
+    }
+
+    try {
+        const tokenHash = hashResetToken(token);
+        const user = await User.findOne({ passwordResetTokenHash: tokenHash, passwordResetExpires: { $gt: new Date() } });
+        if (!user) {
+            return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+        }
+
+        const problems = checkPasswordStrength(newPassword, user);
+        if (problems.length > 0) {
+            return res.status(400).json({ message: describePasswordProblems(problems) });
+        }
+
+        // Consume the token atomically so it can only ever be used once
+        const consumed = await User.findOneAndUpdate(
+            { _id: user._id, passwordResetTokenHash: tokenHash },
+            { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+        );
+        if (!consumed) {
+            return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+        }
+
+        user.password = newPassword;
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        await revokeAllSessions(user._id, 'password_reset');
+        await recordAudit('auth.password_reset', { req, target: { kind: 'User', id: user._id } });
+
+        res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+
+    } catch (err) {
+        console.error('Reset Password Error:', err.message);
+        res.status(500).json({ message: 'Server error resetting password' });
+    }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password of the logged-in user. Other devices are logged out and
+//          a fresh access token is returned for this one.
+// @access  Private
+router.post('/change-password', protect, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        const isMatch = await user.matchPassword(currentPassword);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        const problems = checkPasswordStrength(newPassword, user);
+        if (problems.length > 0) {
+            return res.status(400).json({ message: describePasswordProblems(problems) });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        await revokeAllSessions(user._id, 'password_change', req.sessionId);
+        await recordAudit('auth.password_change', { req, target: { kind: 'User', id: user._id } });
+
+        res.status(200).json({
+            message: 'Password changed successfully',
+            token: generateToken(user._id, req.sessionId)
+        });
+
+    } catch (err) {
+        console.error('Change Password Error:', err.message);
+        res.status(500).json({ message: 'Server error changing password' });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and a new (rotated) refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    try {
+        const result = await rotateRefreshToken(refreshToken);
+        if (result.error) {
+            if (result.reuse) {
+                await recordAudit('auth.refresh_reuse', {
+                    req,
+                    actor: { kind: 'user', id: result.session.userId.toString() },
+                    target: { kind: 'Session', id: result.session._id }
+                });
+            }
+            return res.status(401).json({ message: result.error });
+        }
+
+        const user = await User.findById(result.session.userId);
+        if (!user || user.status !== 'active') {
+            await revokeSession(result.session._id, 'account_inactive');
+            return res.status(401).json({ message: 'Account is not active' });
+        }
+
+        res.status(200).json({
+            token: generateToken(user._id, result.session._id),
+            refreshToken: result.refreshToken
+        });
+
+    } catch (err) {
+        console.error('Refresh Token Error:', err.message);
+        res.status(500).json({ message: 'Server error refreshing token' });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current device by revoking its session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId, 'logout');
+        await recordAudit('auth.logout', { req, target: { kind: 'Session', id: req.sessionId } });
+
+        res.status(200).json({ message: 'Logged out successfully' });
+
+    } catch (err) {
+        console.error('Logout Error:', err.message);
+        res.status(500).json({ message: 'Server error during logout' });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out every device of the current user
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+        await recordAudit('auth.logout_all', { req, details: { revokedSessions: revoked } });
+
+        res.status(200).json({ message: `Logged out of ${revoked} session(s)` });
+
+    } catch (err) {
+        console.error('Logout All Error:', err.message);
+        res.status(500).json({ message: 'Server error during logout' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,37 +1,87 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { protect, doctor } = require('../utils/authMiddleware'); // Make sure this path is correct
 const Patient = require('../models/Patient'); // Assuming you have a Patient model
 const Diagnosis = require('../models/Diagnosis'); // Assuming you have a Diagnosis model
+const Kiosk = require('../models/Kiosk');
+const User = require('../models/User');
+const DispenseCommand = require('../models/DispenseCommand');
+const eventBus = require('../utils/eventBus');
+const { enqueueCommand, cancelPendingCommands } = require('../utils/commandQueue');
+const { findSafeSlotForPatient, describeConflicts } = require('../utils/medicationSafety');
+const { getActiveRuleSet } = require('../utils/ruleSets');
+const { recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifier');
+const { transitionDiagnosis, recordCreation, LifecycleError, ACTIVE_STATUSES } = require('../utils/diagnosisLifecycle');
+const { findReturningPatient, applyVisitDemographics } = require('../utils/patientRecords');
+const { buildHistoryPipeline, decryptHistoryRecord } = require('../utils/history');
+const { listTriageQueue, claimDiagnosis, releaseDiagnosis, handOffDiagnosis, releaseAllHeld, publishTriageChange } = require('../utils/triage');
 
 // @route   POST /api/doctor/patient/start
-// @desc    Doctor initiates a new patient session and links to a kiosk
+// @desc    Doctor initiates a new patient session and links to a kiosk. A returning patient
+//          (matched by patientId, patientCode, or phone number and name) keeps their record.
 // @access  Private (Doctor)
 router.post('/patient/start', protect, doctor, async (req, res) => {
-    const { name, age, phoneNumber, kioskId } = req.body;
+    const { name, age, dateOfBirth, phoneNumber, patientId, patientCode, kioskId } = req.body;
     const doctorId = req.user.id; // From authMiddleware
 
-    if (!name || !age || !kioskId) {
-        return res.status(400).json({ message: 'Patient name, age, and kiosk ID are required' });
+    if (!kioskId) {
+        return res.status(400).json({ message: 'Kiosk ID is required' });
     }
 
     try {
+        // Only start a session on a registered kiosk that is in service and online
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk is not registered' });
+        }
+        if (kiosk.status !== 'active') {
+            return res.status(400).json({ message: `Kiosk is ${kiosk.status} and cannot start a session` });
+        }
+        if (!kiosk.assignedDoctors.some((assigned) => assigned.toString() === doctorId)) {
+            return res.status(403).json({ message: 'You are not assigned to this kiosk' });
+        }
+        if (kiosk.connectivity !== 'online') {
+            return res.status(409).json({ message: 'Kiosk is offline. Check its power and network connection.' });
+        }
+
+        let patient = await findReturningPatient({ patientId, patientCode, phoneNumber, name }, { user: req.user });
+        const returningPatient = Boolean(patient);
+        if (!patient) {
+            if (patientId || patientCode) {
+                return res.status(404).json({ message: 'Patient not found. Give the phone number and name on their record to confirm a returning patient.' });
+            }
+            if (!name || (!age && !dateOfBirth)) {
+                return res.status(400).json({ message: 'Patient name and age (or date of birth) are required for a new patient' });
+            }
+            patient = new Patient({ doctorId });
+        }
+
         // Deactivate any previous active sessions for this kiosk or doctor (optional, but good for cleanup)
-        await Patient.updateMany({ kioskId: kioskId, isActive: true }, { $set: { isActive: false } });
-        await Diagnosis.updateMany(
-            { kioskId: kioskId, status: { $in: ['collecting_data', 'prediction_made', 'pending_approval'] } },
-            { $set: { status: 'completed' } } // Mark as completed if left hanging
-        );
+        await Patient.updateMany({ kioskId: kioskId, isActive: true, _id: { $ne: patient._id } }, { $set: { isActive: false } });
+        const hangingSessions = await Diagnosis.find({ kioskId: kioskId, status: { $in: ACTIVE_STATUSES }, deletedAt: null });
+        for (const hanging of hangingSessions) {
+            // Cancel sessions left hanging
+            transitionDiagnosis(hanging, 'cancelled', { by: doctorId, source: 'doctor', note: 'Superseded by a new session on this kiosk' });
+            try {
+                await hanging.save();
+            } catch (saveErr) {
+                if (saveErr.name !== 'DocumentNotFoundError') {
+                    throw saveErr;
+                }
+                continue; // It ended meanwhile
+            }
+            if (!hanging.doctorId) {
+                publishTriageChange(hanging, 'left');
+            }
+        }
 
-        // Create new patient record
-        const patient = new Patient({
-            name,
-            age,
-            phoneNumber,
-            doctorId,
-            kioskId,
-            isActive: true
-        });
+        // Create or update the patient record for this visit
+        applyVisitDemographics(patient, req.body);
+        patient.kioskId = kioskId;
+        patient.isActive = true;
+        patient.lastVisitAt = new Date();
         await patient.save();
 
         // Create an initial diagnosis record for data collection
@@ -42,24 +92,64 @@ router.post('/patient/start', protect, doctor, async (req, res) => {
             status: 'collecting_data',
             predictedDisease: 'N/A'
         });
+        recordCreation(diagnosis, { by: doctorId, source: 'doctor', note: 'Session started' });
         await diagnosis.save();
 
+        await recordAudit('session.start', {
+            req,
+            target: { kind: 'Diagnosis', id: diagnosis._id },
+            details: {
+                kioskId,
+                patientId: patient._id.toString(),
+                returningPatient,
+                cancelledSessions: hangingSessions.map((hanging) => hanging._id.toString())
+            }
+        });
+
 
         res.status(201).json({
             message: 'Patient session started successfully',
             patientId: patient._id,
+            patientCode: patient.patientCode,
+            returningPatient,
             diagnosisId: diagnosis._id,
             kioskId: kioskId
         });
 
     } catch (err) {
         console.error('Start Patient Session Error:', err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: err.message });
+        }
         res.status(500).json({ message: 'Server error starting patient session' });
     }
 });
 
+// @route   GET /api/doctor/kiosks
+// @desc    List the kiosks the logged-in doctor is assigned to, with their connectivity
+// @access  Private (Doctor)
+router.get('/kiosks', protect, doctor, async (req, res) => {
+    try {
+        const kiosks = await Kiosk.find({ assignedDoctors: req.user.id, status: 'active' })
+                                  .select('kioskId name location lastSeenAt')
+                                  .sort({ kioskId: 1 });
+
+        res.status(200).json(kiosks.map((kiosk) => ({
+            kioskId: kiosk.kioskId,
+            name: kiosk.name,
+            location: kiosk.location,
+            connectivity: kiosk.connectivity
+        })));
+
+    } catch (err) {
+        console.error('List Doctor Kiosks Error:', err.message);
+        res.status(500).json({ message: 'Server error listing kiosks' });
+    }
+});
+
 // @route   GET /api/doctor/patient/:diagnosisId/live_data
-// @desc    Get live sensor data and current prediction for an active patient session
+// @desc    Get live sensor data and current prediction for an active patient session the doctor holds
+//          (sessions in the triage queue must be claimed first)
 // @access  Private (Doctor)
 router.get('/patient/:diagnosisId/live_data', protect, doctor, async (req, res) => {
     const { diagnosisId } = req.params;
@@ -68,9 +158,10 @@ router.get('/patient/:diagnosisId/live_data', protect, doctor, async (req, res)
     try {
         const diagnosis = await Diagnosis.findOne({
             _id: diagnosisId,
-            doctorId: doctorId,
-            status: { $in: ['collecting_data', 'prediction_made', 'pending_approval'] }
-        }).populate('patientId', 'name age phoneNumber'); // Populate patient details
+            doctorId,
+            status: { $in: ACTIVE_STATUSES },
+            deletedAt: null
+        }).populate('patientId', 'name age gender phoneNumber patientCode allergies chronicConditions'); // Populate patient details
 
         if (!diagnosis) {
             return res.status(404).json({ message: 'Active diagnosis session not found or already completed.' });
@@ -86,7 +177,14 @@ router.get('/patient/:diagnosisId/live_data', protect, doctor, async (req, res)
             kioskId: diagnosis.kioskId,
             latestData: latestSensorData,
             predictedDisease: diagnosis.predictedDisease,
+            predictedMedication: diagnosis.predictedMedication,
+            ruleSetVersion: diagnosis.ruleSetVersion,
+            ruleId: diagnosis.ruleId,
+            predictionConfidence: diagnosis.predictionConfidence,
+            predictionReasoning: diagnosis.predictionReasoning,
+            signalQuality: diagnosis.signalQuality,
             status: diagnosis.status,
+            triage: diagnosis.triage,
             diagnosisId: diagnosis._id
         });
 
@@ -96,11 +194,193 @@ router.get('/patient/:diagnosisId/live_data', protect, doctor, async (req, res)
     }
 });
 
+// @route   GET /api/doctor/stream?diagnosisId=...
+// @desc    Server-Sent Events stream of live readings, status changes and notifications for the doctor,
+//          and changes to the triage queue.
+//          EventSource clients pass the JWT as ?access_token=... since they cannot set headers.
+// @access  Private (Doctor)
+router.get('/stream', protect, doctor, (req, res) => {
+    const doctorId = req.user.id;
+    const { diagnosisId } = req.query; // Optional: only stream one session
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies such as nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event) => (payload) => {
+        if (payload.doctorId !== doctorId) {
+            return;
+        }
+        if (diagnosisId && payload.diagnosisId !== diagnosisId) {
+            return;
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+    const onReading = send('reading');
+    const onStatus = send('status');
+    // In-app notifications (e.g. critical alerts) are addressed to a user, not a session
+    const onNotification = (payload) => {
+        if (payload.recipientId === doctorId) {
+            res.write(`event: notification\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    };
+
+    // Triage queue changes go to every doctor; they carry no patient details
+    const onTriage = (payload) => res.write(`event: triage\ndata: ${JSON.stringify(payload)}\n\n`);
+
+    eventBus.on('diagnosis:reading', onReading);
+    eventBus.on('diagnosis:status', onStatus);
+    eventBus.on('notification', onNotification);
+    eventBus.on('triage:changed', onTriage);
+
+    // Comment lines keep idle connections from being closed by proxies
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+    res.write(': connected\n\n');
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        eventBus.off('diagnosis:reading', onReading);
+        eventBus.off('diagnosis:status', onStatus);
+        eventBus.off('notification', onNotification);
+        eventBus.off('triage:changed', onTriage);
+    });
+});
+
+// Sets the approved disease and queues the dispense for it.
+// Returns { error } when the kiosk cannot dispense the medication, { error, conflicts } when the
+// medication conflicts with the patient's allergies or conditions and no safety override reason
+// was given, otherwise { command }.
+const approveDiagnosis = async (req, diagnosis, approvedDisease, { note, overridden, safetyOverrideReason }) => {
+    const doctorId = req.user.id;
+
+    // Pick the slot holding medication for the approved disease that is safe for the patient;
+    // block if it cannot dispense
+    const patient = await Patient.findById(diagnosis.patientId);
+    const { slot, medication, conflicts, error } = await findSafeSlotForPatient(diagnosis.kioskId, approvedDisease, patient);
+    if (error) {
+        return { error };
+    }
+    if (conflicts.length > 0 && !safetyOverrideReason) {
+        return {
+            error: `Dispensing ${medication.name} is unsafe for this patient: ${describeConflicts(medication, conflicts)}. ` +
+                'Give a safetyOverrideReason to dispense it anyway.',
+            conflicts
+        };
+    }
+
+    transitionDiagnosis(diagnosis, 'approved', { by: doctorId, source: 'doctor', note });
+    diagnosis.approvedDisease = approvedDisease;
+    diagnosis.overridden = overridden;
+    diagnosis.safetyCheck = slot
+        ? {
+            checkedAt: new Date(),
+            conflicts,
+            overridden: conflicts.length > 0,
+            overrideReason: conflicts.length > 0 ? safetyOverrideReason : undefined,
+            overriddenBy: conflicts.length > 0 ? doctorId : undefined
+        }
+        : undefined;
+
+    // Set the motor command from the slot that holds the medication
+    if (slot) {
+        diagnosis.motorCommand = slot.motorCommand;
+        diagnosis.dispensedMedication = {
+            medicationId: medication._id,
+            name: medication.name,
+            dose: medication.dose,
+            slotNumber: slot.slotNumber,
+            lotNumber: slot.lotNumber
+        };
+    } else {
+        diagnosis.motorCommand = 'none'; // No medication is dispensed for this disease
+        diagnosis.dispensedMedication = undefined;
+    }
+
+    diagnosis.commandExecuted = false;
+    diagnosis.dispenseFailureReason = undefined;
+    await diagnosis.save();
+
+    // Queue the dispense so the kiosk receives it with its own command ID
+    let command = null;
+    if (diagnosis.motorCommand !== 'none') {
+        command = await enqueueCommand(diagnosis);
+    }
+
+    await recordAudit(overridden ? 'diagnosis.override' : 'diagnosis.approve', {
+        req,
+        target: { kind: 'Diagnosis', id: diagnosis._id },
+        details: { predictedDisease: diagnosis.predictedDisease, approvedDisease, note }
+    });
+    if (diagnosis.safetyCheck && diagnosis.safetyCheck.overridden) {
+        await recordAudit('diagnosis.safety_override', {
+            req,
+            target: { kind: 'Diagnosis', id: diagnosis._id },
+            details: { medication: medication.name, conflicts, reason: safetyOverrideReason }
+        });
+    }
+    if (command) {
+        await recordAudit('dispense.command_queued', {
+            req,
+            target: { kind: 'DispenseCommand', id: command._id },
+            details: {
+                diagnosisId: diagnosis._id.toString(),
+                kioskId: command.kioskId,
+                command: command.command,
+                medication: diagnosis.dispensedMedication.name,
+                lotNumber: diagnosis.dispensedMedication.lotNumber
+            }
+        });
+    }
+
+    // Also deactivate the patient's active session for this kiosk after approval
+    await Patient.updateOne({ _id: diagnosis.patientId }, { $set: { isActive: false } });
+
+    return { command };
+};
+
+// Loads a session the doctor holds. Saving it fails if the session was released or handed off
+// in the meantime, so a doctor can never act on a session someone else has taken over (and,
+// after a status change, if another request changed the status first).
+const findHeldDiagnosis = async (diagnosisId, doctorId) => {
+    const diagnosis = await Diagnosis.findOne({ _id: diagnosisId, doctorId: doctorId, deletedAt: null });
+    if (diagnosis) {
+        diagnosis.$where = { doctorId: diagnosis.doctorId };
+    }
+    return diagnosis;
+};
+
+// Only conditions the active rules can produce (or 'Undetermined') can be approved
+const isKnownCondition = async (disease) => {
+    const ruleSet = await getActiveRuleSet();
+    return ['Undetermined', ...ruleSet.rules.map((rule) => rule.outcome.condition)].includes(disease);
+};
+
+// Sends the error for a failed diagnosis action, using the lifecycle's status code for illegal transitions
+const sendDiagnosisError = (res, err, label, message) => {
+    if (err instanceof LifecycleError) {
+        return res.status(err.statusCode).json({ message: err.message });
+    }
+    if (err.name === 'DocumentNotFoundError') {
+        return res.status(409).json({ message: 'This session was changed, released or handed to another doctor while you were working on it.' });
+    }
+    console.error(`${label} Error:`, err.message);
+    if (err.name === 'CastError') {
+        return res.status(400).json({ message: 'Invalid diagnosis ID format.' });
+    }
+    res.status(500).json({ message });
+};
+
 // @route   POST /api/doctor/diagnosis/approve
-// @desc    Doctor approves a predicted diagnosis, setting motor command
+// @desc    Doctor approves the predicted diagnosis, setting motor command. A medication that
+//          conflicts with the patient's allergies or conditions needs a safetyOverrideReason.
 // @access  Private (Doctor)
 router.post('/diagnosis/approve', protect, doctor, async (req, res) => {
-    const { diagnosisId, approvedDisease } = req.body;
+    const { diagnosisId, approvedDisease, note, safetyOverrideReason } = req.body;
     const doctorId = req.user.id;
 
     if (!diagnosisId || !approvedDisease) {
@@ -108,74 +388,467 @@ router.post('/diagnosis/approve', protect, doctor, async (req, res) => {
     }
 
     try {
-        const diagnosis = await Diagnosis.findOne({ _id: diagnosisId, doctorId: doctorId });
+        const diagnosis = await findHeldDiagnosis(diagnosisId, doctorId);
 
         if (!diagnosis) {
             return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
         }
-        if (diagnosis.status === 'approved' || diagnosis.status === 'medication_dispensed') {
-             return res.status(400).json({ message: 'Diagnosis already approved or dispensed.' });
+        if (approvedDisease !== diagnosis.predictedDisease) {
+            return res.status(400).json({
+                message: `The prediction is "${diagnosis.predictedDisease}". Use the override route to approve a different diagnosis.`
+            });
         }
 
-        diagnosis.approvedDisease = approvedDisease;
-        diagnosis.status = 'approved';
+        if (!(await isKnownCondition(approvedDisease))) {
+            return res.status(400).json({ message: `Unknown disease "${approvedDisease}".` });
+        }
 
-        // Set the motor command based on approved disease
-        if (approvedDisease === 'Disease A') {
-            diagnosis.motorCommand = 'activate_motor_1';
-        } else if (approvedDisease === 'Disease B') {
-            diagnosis.motorCommand = 'activate_motor_2';
-        } else {
-            diagnosis.motorCommand = 'none'; // No specific medication for undetermined/other
+        const { command, error, conflicts } = await approveDiagnosis(req, diagnosis, approvedDisease, { note, overridden: false, safetyOverrideReason });
+        if (error) {
+            return res.status(409).json({ message: error, conflicts });
         }
 
-        await diagnosis.save();
+        res.status(200).json({
+            message: `Diagnosis "${approvedDisease}" approved. Motor command set for kiosk.`,
+            diagnosisId: diagnosis._id,
+            motorCommand: diagnosis.motorCommand,
+            dispensedMedication: diagnosis.dispensedMedication,
+            safetyCheck: diagnosis.safetyCheck,
+            commandId: command ? command._id : null
+        });
 
-        // Also deactivate the patient's active session for this kiosk after approval
-        await Patient.updateOne({ _id: diagnosis.patientId }, { $set: { isActive: false } });
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Approve Diagnosis', 'Server error approving diagnosis');
+    }
+});
+
+// @route   POST /api/doctor/diagnosis/override
+// @desc    Doctor approves a different diagnosis than the prediction, giving a reason
+// @access  Private (Doctor)
+router.post('/diagnosis/override', protect, doctor, async (req, res) => {
+    const { diagnosisId, approvedDisease, note, safetyOverrideReason } = req.body;
+    const doctorId = req.user.id;
+
+    if (!diagnosisId || !approvedDisease || !note) {
+        return res.status(400).json({ message: 'Diagnosis ID, approved disease and a reason (note) are required.' });
+    }
+
+    try {
+        const diagnosis = await findHeldDiagnosis(diagnosisId, doctorId);
 
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
+        }
+
+        if (!(await isKnownCondition(approvedDisease))) {
+            return res.status(400).json({ message: `Unknown disease "${approvedDisease}".` });
+        }
+
+        const overridden = approvedDisease !== diagnosis.predictedDisease;
+        const { command, error, conflicts } = await approveDiagnosis(req, diagnosis, approvedDisease, { note, overridden, safetyOverrideReason });
+        if (error) {
+            return res.status(409).json({ message: error, conflicts });
+        }
 
         res.status(200).json({
-            message: `Diagnosis "${approvedDisease}" approved. Motor command set for kiosk.`,
+            message: `Diagnosis "${approvedDisease}" approved${overridden ? ` over the prediction "${diagnosis.predictedDisease}"` : ''}.`,
             diagnosisId: diagnosis._id,
-            motorCommand: diagnosis.motorCommand
+            motorCommand: diagnosis.motorCommand,
+            dispensedMedication: diagnosis.dispensedMedication,
+            safetyCheck: diagnosis.safetyCheck,
+            commandId: command ? command._id : null
         });
 
     } catch (err) {
-        console.error('Approve Diagnosis Error:', err.message);
-        res.status(500).json({ message: 'Server error approving diagnosis' });
+        sendDiagnosisError(res, err, 'Override Diagnosis', 'Server error overriding diagnosis');
     }
 });
 
-// @route   GET /api/doctor/history
-// @desc    Get all diagnosis history for the logged-in doctor, with optional search
+// @route   POST /api/doctor/diagnosis/decline
+// @desc    Doctor declines the diagnosis; nothing is dispensed
 // @access  Private (Doctor)
-router.get('/history', protect, doctor, async (req, res) => {
+router.post('/diagnosis/decline', protect, doctor, async (req, res) => {
+    const { diagnosisId, reason } = req.body;
+    const doctorId = req.user.id;
+
+    if (!diagnosisId || !reason) {
+        return res.status(400).json({ message: 'Diagnosis ID and a reason are required.' });
+    }
+
+    try {
+        const diagnosis = await findHeldDiagnosis(diagnosisId, doctorId);
+
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
+        }
+
+        transitionDiagnosis(diagnosis, 'declined', { by: doctorId, source: 'doctor', note: reason });
+        diagnosis.declineReason = reason;
+        await diagnosis.save();
+        await recordAudit('diagnosis.decline', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { reason } });
+
+        await Patient.updateOne({ _id: diagnosis.patientId }, { $set: { isActive: false } });
+
+        res.status(200).json({ message: 'Diagnosis declined.', diagnosisId: diagnosis._id, status: diagnosis.status });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Decline Diagnosis', 'Server error declining diagnosis');
+    }
+});
+
+// @route   POST /api/doctor/diagnosis/remeasure
+// @desc    Doctor discards the current readings and prediction and asks the kiosk to measure again
+// @access  Private (Doctor)
+router.post('/diagnosis/remeasure', protect, doctor, async (req, res) => {
+    const { diagnosisId, note } = req.body;
+    const doctorId = req.user.id;
+
+    if (!diagnosisId) {
+        return res.status(400).json({ message: 'Diagnosis ID is required.' });
+    }
+
+    try {
+        const diagnosis = await findHeldDiagnosis(diagnosisId, doctorId);
+
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
+        }
+
+        transitionDiagnosis(diagnosis, 'collecting_data', { by: doctorId, source: 'doctor', note });
+        // Keep the old readings for the record, but predict only from new ones
+        diagnosis.measurementStartIndex = diagnosis.sensorData.length;
+        diagnosis.measurementStartedAt = new Date();
+        diagnosis.predictedDisease = 'N/A';
+        diagnosis.predictedMedication = undefined;
+        diagnosis.ruleId = undefined;
+        diagnosis.ruleSetVersion = undefined;
+        diagnosis.predictionConfidence = undefined;
+        diagnosis.predictionReasoning = [];
+        diagnosis.signalQuality = { state: 'no_data' };
+        await diagnosis.save();
+        await recordAudit('diagnosis.remeasure', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { note } });
+
+        res.status(200).json({ message: 'Re-measurement requested.', diagnosisId: diagnosis._id, status: diagnosis.status });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Remeasure Diagnosis', 'Server error requesting re-measurement');
+    }
+});
+
+// @route   POST /api/doctor/diagnosis/cancel
+// @desc    Doctor cancels a session that has not dispensed; any queued dispense command is withdrawn.
+//          Refused while the kiosk holds the command, since it may be dispensing.
+// @access  Private (Doctor)
+router.post('/diagnosis/cancel', protect, doctor, async (req, res) => {
+    const { diagnosisId, note } = req.body;
+    const doctorId = req.user.id;
+
+    if (!diagnosisId) {
+        return res.status(400).json({ message: 'Diagnosis ID is required.' });
+    }
+
+    try {
+        const diagnosis = await findHeldDiagnosis(diagnosisId, doctorId);
+
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
+        }
+
+        if (await DispenseCommand.exists({ diagnosisId: diagnosis._id, status: 'leased' })) {
+            return res.status(409).json({ message: 'The kiosk has received the dispense command and may be dispensing. Wait for it to report back.' });
+        }
+
+        transitionDiagnosis(diagnosis, 'cancelled', { by: doctorId, source: 'doctor', note });
+        await diagnosis.save();
+        await recordAudit('diagnosis.cancel', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { note } });
+
+        // A command the kiosk received in the meantime stays valid, so its confirmation still counts
+        await cancelPendingCommands(diagnosis._id, { leased: false });
+        await Patient.updateOne({ _id: diagnosis.patientId }, { $set: { isActive: false } });
+
+        res.status(200).json({ message: 'Session cancelled.', diagnosisId: diagnosis._id, status: diagnosis.status });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Cancel Diagnosis', 'Server error cancelling session');
+    }
+});
+
+// @route   POST /api/doctor/diagnosis/complete
+// @desc    Doctor closes a session once it has been approved, dispensed or declined
+// @access  Private (Doctor)
+router.post('/diagnosis/complete', protect, doctor, async (req, res) => {
+    const { diagnosisId, note } = req.body;
     const doctorId = req.user.id;
-    const { search } = req.query; // Get the search query from URL parameters
+
+    if (!diagnosisId) {
+        return res.status(400).json({ message: 'Diagnosis ID is required.' });
+    }
 
     try {
-        let query = { doctorId: doctorId }; // Base query: filter by logged-in doctor
+        const diagnosis = await findHeldDiagnosis(diagnosisId, doctorId);
 
-        if (search) {
-            const searchRegex = new RegExp(search, 'i'); // Case-insensitive search
-            query.$or = [
-                // Search in patient's name (requires population)
-                { 'patientId.name': searchRegex },
-                { kioskId: searchRegex },
-                { predictedDisease: searchRegex },
-                { approvedDisease: searchRegex },
-                { status: searchRegex },
-            ];
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
         }
+        if (diagnosis.status === 'approved' && diagnosis.motorCommand !== 'none') {
+            return res.status(409).json({ message: 'The medication has not been dispensed yet. Cancel the session instead.' });
+        }
+
+        transitionDiagnosis(diagnosis, 'completed', { by: doctorId, source: 'doctor', note });
+        await diagnosis.save();
+        await recordAudit('diagnosis.complete', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { note } });
 
-        // Fetch all diagnosis records for this doctor, populating patient details
-        // and applying search filter if present
-        const history = await Diagnosis.find(query)
-                                      .populate('patientId', 'name age phoneNumber') // Get patient details
-                                      .sort({ createdAt: -1 }); // Sort by newest first
+        await Patient.updateOne({ _id: diagnosis.patientId }, { $set: { isActive: false } });
 
-        res.status(200).json(history);
+        res.status(200).json({ message: 'Session completed.', diagnosisId: diagnosis._id, status: diagnosis.status });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Complete Diagnosis', 'Server error completing session');
+    }
+});
+
+// @route   PUT /api/doctor/availability
+// @desc    Go on or off duty. On-duty doctors can claim sessions from the triage queue and receive
+//          hand-offs; going off duty returns the sessions still being measured to the queue.
+// @access  Private (Doctor)
+router.put('/availability', protect, doctor, async (req, res) => {
+    const { onDuty } = req.body;
+
+    if (typeof onDuty !== 'boolean') {
+        return res.status(400).json({ message: 'onDuty must be true or false' });
+    }
+
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $set: { onDuty, onDutySince: onDuty ? (req.user.onDuty ? req.user.onDutySince : new Date()) : null } },
+            { new: true }
+        );
+        const released = onDuty ? [] : await releaseAllHeld(req.user.id, { note: 'Doctor went off duty' });
+        if (onDuty !== req.user.onDuty) {
+            await recordAudit(onDuty ? 'doctor.on_duty' : 'doctor.off_duty', {
+                req,
+                target: { kind: 'User', id: user._id },
+                details: { releasedSessions: released }
+            });
+        }
+
+        res.status(200).json({
+            message: onDuty ? 'You are on duty.' : 'You are off duty.',
+            onDuty: user.onDuty,
+            onDutySince: user.onDutySince,
+            releasedSessions: released
+        });
+
+    } catch (err) {
+        console.error('Update Availability Error:', err.message);
+        res.status(500).json({ message: 'Server error updating availability' });
+    }
+});
+
+// @route   GET /api/doctor/on_duty
+// @desc    List the doctors on duty, e.g. to pick who to hand a session to
+// @access  Private (Doctor)
+router.get('/on_duty', protect, doctor, async (req, res) => {
+    try {
+        const doctors = await User.find({ role: 'doctor', status: 'active', onDuty: true })
+                                  .select('name onDutySince')
+                                  .sort({ name: 1 });
+
+        res.status(200).json(doctors.map((onDutyDoctor) => ({
+            id: onDutyDoctor._id,
+            name: onDutyDoctor.name,
+            onDutySince: onDutyDoctor.onDutySince
+        })));
+
+    } catch (err) {
+        console.error('List On-Duty Doctors Error:', err.message);
+        res.status(500).json({ message: 'Server error listing on-duty doctors' });
+    }
+});
+
+// @route   GET /api/doctor/triage?limit=50
+// @desc    The triage queue: unclaimed sessions, such as those patients started at self-service kiosks,
+//          most severe vitals first and then longest waiting first
+// @access  Private (Doctor)
+router.get('/triage', protect, doctor, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const queue = await listTriageQueue({ limit });
+        const now = Date.now();
+
+        res.status(200).json({
+            onDuty: req.user.onDuty,
+            items: queue.map((diagnosis, index) => ({
+                position: index + 1,
+                diagnosisId: diagnosis._id,
+                kioskId: diagnosis.kioskId,
+                origin: diagnosis.origin,
+                patient: diagnosis.patientId,
+                status: diagnosis.status,
+                triage: diagnosis.triage,
+                predictedDisease: diagnosis.predictedDisease,
+                signalQuality: diagnosis.signalQuality.state,
+                latestData: diagnosis.sensorData.length > 0 ? diagnosis.sensorData[diagnosis.sensorData.length - 1] : null,
+                waitingSince: diagnosis.createdAt,
+                waitingMinutes: Math.floor((now - diagnosis.createdAt.getTime()) / 60000),
+                releasedBefore: diagnosis.claimHistory.some((entry) => entry.action === 'released')
+            }))
+        });
+
+    } catch (err) {
+        console.error('Get Triage Queue Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching the triage queue' });
+    }
+});
+
+// Sends the response for a claim, release or hand-off that did not go through
+const sendClaimConflict = (res, outcome) => {
+    if (outcome === 'not_found') {
+        return res.status(404).json({ message: 'Diagnosis record not found.' });
+    }
+    if (outcome === 'closed') {
+        return res.status(409).json({ message: 'This session is no longer being measured.' });
+    }
+    return res.status(409).json({ message: 'Another doctor is handling this session.' });
+};
+
+// @route   POST /api/doctor/triage/claim
+// @desc    Claim a session from the triage queue. Claims are exclusive: when two doctors claim the
+//          same session at once, one gets it and the other a 409.
+// @access  Private (Doctor, on duty)
+router.post('/triage/claim', protect, doctor, async (req, res) => {
+    const { diagnosisId } = req.body;
+
+    if (!diagnosisId) {
+        return res.status(400).json({ message: 'Diagnosis ID is required.' });
+    }
+    if (!req.user.onDuty) {
+        return res.status(409).json({ message: 'Go on duty before claiming sessions from the triage queue.' });
+    }
+
+    try {
+        const { outcome, diagnosis } = await claimDiagnosis(diagnosisId, req.user.id);
+        if (outcome !== 'claimed') {
+            if (outcome === 'held' && diagnosis.doctorId && diagnosis.doctorId.toString() === req.user.id) {
+                return res.status(200).json({ message: 'You already hold this session.', diagnosisId: diagnosis._id, claimedAt: diagnosis.claimedAt });
+            }
+            return sendClaimConflict(res, outcome);
+        }
+        await recordAudit('triage.claim', {
+            req,
+            target: { kind: 'Diagnosis', id: diagnosis._id },
+            details: { kioskId: diagnosis.kioskId, triageLevel: diagnosis.triage.level, waitedMs: Date.now() - diagnosis.createdAt.getTime() }
+        });
+
+        res.status(200).json({ message: 'Session claimed.', diagnosisId: diagnosis._id, claimedAt: diagnosis.claimedAt });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Claim Session', 'Server error claiming session');
+    }
+});
+
+// @route   POST /api/doctor/triage/release
+// @desc    Return a session the doctor holds to the triage queue for another doctor to pick up
+// @access  Private (Doctor)
+router.post('/triage/release', protect, doctor, async (req, res) => {
+    const { diagnosisId, note } = req.body;
+
+    if (!diagnosisId) {
+        return res.status(400).json({ message: 'Diagnosis ID is required.' });
+    }
+
+    try {
+        const { outcome, diagnosis } = await releaseDiagnosis(diagnosisId, req.user.id, { note });
+        if (outcome !== 'released') {
+            return sendClaimConflict(res, outcome);
+        }
+        await recordAudit('triage.release', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { note } });
+
+        res.status(200).json({ message: 'Session returned to the triage queue.', diagnosisId: diagnosis._id });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Release Session', 'Server error releasing session');
+    }
+});
+
+// @route   POST /api/doctor/triage/handoff
+// @desc    Hand a session the doctor holds to another on-duty doctor, with notes for them
+// @access  Private (Doctor)
+router.post('/triage/handoff', protect, doctor, async (req, res) => {
+    const { diagnosisId, toDoctorId, note } = req.body;
+
+    if (!diagnosisId || !toDoctorId) {
+        return res.status(400).json({ message: 'Diagnosis ID and the doctor to hand off to (toDoctorId) are required.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(toDoctorId)) {
+        return res.status(400).json({ message: 'Invalid doctor ID format.' });
+    }
+    if (toDoctorId === req.user.id) {
+        return res.status(400).json({ message: 'You cannot hand a session off to yourself.' });
+    }
+
+    try {
+        const { outcome, diagnosis, recipient } = await handOffDiagnosis(diagnosisId, req.user.id, toDoctorId, { note });
+        if (outcome === 'unavailable') {
+            return res.status(409).json({ message: 'That doctor is not on duty.' });
+        }
+        if (outcome !== 'handed_off') {
+            return sendClaimConflict(res, outcome);
+        }
+        await recordAudit('triage.handoff', {
+            req,
+            target: { kind: 'Diagnosis', id: diagnosis._id },
+            details: { toDoctorId: recipient._id.toString(), note }
+        });
+        await notify(recipient, ['in_app'], {
+            subject: 'Session handed off to you',
+            text: `Dr. ${req.user.name} handed you the session at kiosk ${diagnosis.kioskId}${note ? `: ${note}` : '.'}`,
+            data: { type: 'handoff', diagnosisId: diagnosis._id.toString() }
+        });
+
+        res.status(200).json({ message: `Session handed off to Dr. ${recipient.name}.`, diagnosisId: diagnosis._id, doctorId: recipient._id });
+
+    } catch (err) {
+        sendDiagnosisError(res, err, 'Hand Off Session', 'Server error handing off session');
+    }
+});
+
+// @route   GET /api/doctor/history?search=&status=&kioskId=&predictedDisease=&approvedDisease=&from=&to=&sortBy=createdAt&order=desc&page=1&limit=20
+// @desc    Get the logged-in doctor's diagnosis history, filtered, sorted and paginated.
+//          `search` matches whole words of the patient's name, or the patient's code, kiosk, diseases or status.
+// @access  Private (Doctor)
+router.get('/history', protect, doctor, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { pipeline, sort, error } = buildHistoryPipeline(req.query, { doctorId: req.user.id });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        pipeline.push({
+            $facet: {
+                items: [
+                    sort,
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    // Same shape as a populated patientId, with only the fields the history shows
+                    { $set: { patientId: { _id: '$patient._id', name: '$patient.name', age: '$patient.age', phoneNumber: '$patient.phoneNumber', patientCode: '$patient.patientCode' } } },
+                    { $unset: 'patient' }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        });
+
+        const [result] = await Diagnosis.aggregate(pipeline);
+        const items = await Diagnosis.populate(result.items, { path: 'statusHistory.by', select: 'name' }); // Who made each status change
+        items.forEach((item) => decryptHistoryRecord(item, 'patientId'));
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+
+        res.status(200).json({ items, page, limit, total, totalPages: Math.ceil(total / limit) });
 
     } catch (err) {
         console.error('Get History Error:', err.message);
@@ -184,21 +857,36 @@ router.get('/history', protect, doctor, async (req, res) => {
 });
 
 // @route   DELETE /api/doctor/history/:id
-// @desc    Delete a specific diagnosis history record for the logged-in doctor
+// @desc    Delete a specific diagnosis history record for the logged-in doctor.
+//          Records are soft-deleted (hidden from history) and the deletion is audited.
 // @access  Private (Doctor)
 router.delete('/history/:id', protect, doctor, async (req, res) => {
     const { id } = req.params; // Get the diagnosis ID from URL parameters
+    const { reason } = req.body || {};
     const doctorId = req.user.id; // Get doctor ID from authenticated user
 
     try {
-        // Find and delete the diagnosis record.
+        // Find the diagnosis record.
         // Important: Ensure the record belongs to the authenticated doctor.
-        const deletedDiagnosis = await Diagnosis.findOneAndDelete({ _id: id, doctorId: doctorId });
+        const diagnosis = await Diagnosis.findOne({ _id: id, doctorId: doctorId, deletedAt: null });
 
-        if (!deletedDiagnosis) {
+        if (!diagnosis) {
             // If no record was found or the doctor isn't authorized to delete it
             return res.status(404).json({ message: 'Diagnosis record not found or unauthorized to delete.' });
         }
+        if (ACTIVE_STATUSES.includes(diagnosis.status)) {
+            return res.status(409).json({ message: 'This session is still in progress. Cancel it before deleting it.' });
+        }
+
+        diagnosis.deletedAt = new Date();
+        diagnosis.deletedBy = doctorId;
+        await diagnosis.save();
+
+        await recordAudit('diagnosis.delete', {
+            req,
+            target: { kind: 'Diagnosis', id: diagnosis._id },
+            details: { status: diagnosis.status, patientId: diagnosis.patientId.toString(), reason }
+        });
 
         res.status(200).json({ message: 'Diagnosis record deleted successfully.' });
 
@@ -1,104 +1,117 @@
 const express = require('express');
 const router = express.Router();
-const Diagnosis = require('../models/Diagnosis');
+const mongoose = require('mongoose');
+const { kioskAuth } = require('../utils/authMiddleware');
+const { leaseNextCommand, confirmCommand, reconcileCommands } = require('../utils/commandQueue');
+const { processReading, processReadings, recordHeartbeat, MAX_BATCH_READINGS } = require('../utils/kioskTelemetry');
+const { recordAudit } = require('../utils/audit');
 const Patient = require('../models/Patient');
-const { predictDisease } = require('../utils/predictionLogic');
+const Diagnosis = require('../models/Diagnosis');
+const { recordCreation, transitionDiagnosis, ACTIVE_STATUSES } = require('../utils/diagnosisLifecycle');
+const { findReturningPatient, applyVisitDemographics } = require('../utils/patientRecords');
+const { queuePosition, publishTriageChange } = require('../utils/triage');
 
 // @route   POST /api/esp32/data_upload
-// @desc    Receive sensor data from ESP32, update diagnosis, and predict disease
-// @access  Public (ESP32 has no authentication for simplicity in this project)
-router.post('/data_upload', async (req, res) => {
-    const { bpm, spo2, temperature, kioskId } = req.body;
-
-    if (!kioskId || isNaN(bpm) || isNaN(spo2) || isNaN(temperature)) {
-        return res.status(400).json({ message: 'Invalid sensor data or missing kioskId' });
-    }
+// @desc    Receive sensor data from ESP32, update diagnosis, and predict disease over recent readings
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/data_upload', kioskAuth, async (req, res) => {
+    const { kioskId } = req.kiosk; // From kioskAuth
 
     try {
-        // Find the active patient session for this kiosk
-        // This assumes a patient session is initiated by a doctor on the dashboard
-        // and a kioskId is assigned to it.
-        let activePatient = await Patient.findOne({ kioskId, isActive: true });
-
-        if (!activePatient) {
-            // If no active patient, maybe store as a general kiosk log or error
-            console.warn(`Data received from unassigned kioskId: ${kioskId}`);
+        const { outcome, prediction, signalQuality } = await processReading(kioskId, req.body);
+
+        if (outcome === 'invalid') {
+            return res.status(400).json({ message: 'Invalid sensor data' });
+        }
+        if (outcome === 'no_session') {
             return res.status(404).json({ message: 'No active patient session found for this kiosk.' });
         }
 
-        // Find or create a Diagnosis record for this active patient
-        // We'll consider a single `Diagnosis` entry for one patient's session.
-        let diagnosisRecord = await Diagnosis.findOne({
-            patientId: activePatient._id,
-            kioskId: kioskId,
-            status: { $in: ['collecting_data', 'prediction_made', 'pending_approval'] } // Only update if not yet completed
-        }).sort({ createdAt: -1 }); // Get the latest one if multiple exist
-
-        if (!diagnosisRecord) {
-            // This should ideally not happen if Patient.isActive implies a Diagnosis record exists
-            // But as a fallback, create a new one (though it implies an issue in workflow)
-             console.warn(`No ongoing diagnosis record found for active patient ${activePatient._id}. Creating new.`);
-            diagnosisRecord = new Diagnosis({
-                patientId: activePatient._id,
-                doctorId: activePatient.doctorId,
-                kioskId: kioskId,
-                status: 'collecting_data'
-            });
-        }
+        res.status(200).json({
+            message: 'Sensor data received and diagnosis updated',
+            currentPrediction: prediction,
+            signalQuality
+        });
 
-        // Add the current sensor data to the array
-        diagnosisRecord.sensorData.push({ bpm, spo2, temperature });
+    } catch (err) {
+        console.error('Data Upload Error:', err.message);
+        res.status(500).json({ message: 'Server error processing sensor data' });
+    }
+});
 
-        // Predict disease based on the latest data (or averaged data if you modify predictDisease)
-        const prediction = predictDisease({ bpm, spo2, temperature });
-        diagnosisRecord.predictedDisease = prediction;
 
-        // Update status if it moves from collecting to prediction_made
-        if (diagnosisRecord.status === 'collecting_data' && prediction !== 'Undetermined') {
-            diagnosisRecord.status = 'prediction_made';
-        }
-        if (diagnosisRecord.status === 'prediction_made' && prediction !== 'Undetermined') {
-            diagnosisRecord.status = 'pending_approval'; // Ready for doctor review
-        }
+// @route   POST /api/esp32/data_upload_batch
+// @desc    Receive readings a kiosk buffered (e.g. while offline). body: { sentAt, readings: [{ seq, deviceTime,
+//          bpm, spo2, temperature }] }. seq numbers readings so retransmissions are dropped; deviceTime and sentAt
+//          are on the kiosk's millisecond clock and are corrected to server time. A 200 means every reading was
+//          handled (stored, a duplicate, or rejected for good), so the kiosk can drop the batch from its buffer.
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/data_upload_batch', kioskAuth, async (req, res) => {
+    const { readings, sentAt } = req.body;
+    const { kioskId } = req.kiosk; // From kioskAuth
+
+    if (!Array.isArray(readings) || readings.length === 0) {
+        return res.status(400).json({ message: 'readings must be a non-empty array' });
+    }
+    if (readings.length > MAX_BATCH_READINGS) {
+        return res.status(400).json({ message: `At most ${MAX_BATCH_READINGS} readings can be sent in one batch` });
+    }
+    if (readings.some((reading) => !reading || !Number.isInteger(reading.seq) || reading.seq < 0)) {
+        return res.status(400).json({ message: 'Every reading needs a non-negative integer seq' });
+    }
+    const timed = readings.some((reading) => reading.deviceTime !== undefined);
+    if (timed && (!Number.isFinite(sentAt) || readings.some((reading) => reading.deviceTime !== undefined && !Number.isFinite(reading.deviceTime)))) {
+        return res.status(400).json({ message: 'deviceTime and sentAt must be numbers on the kiosk clock (ms)' });
+    }
 
+    try {
+        const result = await processReadings(kioskId, readings, { sentAt: timed ? sentAt : undefined });
 
-        await diagnosisRecord.save();
+        if (result.outcome === 'no_session') {
+            return res.status(404).json({ message: 'No active patient session found for this kiosk.' });
+        }
 
         res.status(200).json({
-            message: 'Sensor data received and diagnosis updated',
-            currentPrediction: prediction
+            message: 'Readings received and diagnosis updated',
+            accepted: result.accepted,
+            duplicates: result.duplicates,
+            rejected: result.rejected,
+            lastSeq: result.lastSeq,
+            clockSkewMs: result.clockSkewMs,
+            currentPrediction: result.prediction,
+            signalQuality: result.signalQuality
         });
 
     } catch (err) {
-        console.error('Data Upload Error:', err.message);
-        res.status(500).json({ message: 'Server error processing sensor data' });
+        console.error('Batch Data Upload Error:', err.message);
+        res.status(500).json({ message: 'Server error processing buffered sensor data' });
     }
 });
 
 
-// @route   GET /api/esp32/get_motor_command?kioskId=ESP32_Kiosk_001
-// @desc    ESP32 polls this endpoint to get pending motor commands
-// @access  Public (ESP32)
-router.get('/get_motor_command', async (req, res) => {
-    const { kioskId } = req.query; // Get kioskId from query parameters
-  
-    if (!kioskId) {
-        return res.status(400).json({ message: 'kioskId is required' });
-    }
+// @route   GET /api/esp32/get_motor_command
+// @desc    ESP32 polls this endpoint to get the next pending motor command.
+//          The command is leased to the kiosk and re-delivered if not confirmed in time.
+// @access  Private (Kiosk, HMAC-signed)
+router.get('/get_motor_command', kioskAuth, async (req, res) => {
+    const { kioskId } = req.kiosk; // From kioskAuth
 
     try {
-        // Find the latest approved diagnosis for this kiosk that hasn't had its command executed
-        const diagnosis = await Diagnosis.findOne({
-            kioskId: kioskId,
-            commandExecuted: false,
-            status: 'approved', // Only send command if doctor approved
-            motorCommand: { $ne: 'none' } // And there's an actual command
-        }).sort({ createdAt: -1 }); // Get the most recent one
-
-        if (diagnosis) {
-            // Send the command
-            console.log(`Kiosk ${kioskId} requested command. No pending command.`);
-            res.status(200).json({ command: diagnosis.motorCommand });
+        const command = await leaseNextCommand(kioskId);
+
+        if (command) {
+            console.log(`Kiosk ${kioskId} requested command. Sending ${command.command} (command ${command._id}, attempt ${command.attempts}).`);
+            await recordAudit('dispense.command_delivered', {
+                req,
+                target: { kind: 'DispenseCommand', id: command._id },
+                details: { diagnosisId: command.diagnosisId.toString(), command: command.command, attempt: command.attempts }
+            });
+            res.status(200).json({
+                command: command.command,
+                commandId: command._id,
+                diagnosisId: command.diagnosisId,
+                leaseExpiresAt: command.leaseExpiresAt
+            });
         } else {
             console.log(`Kiosk ${kioskId} requested command. No pending command.`);
             res.status(200).json({ command: 'none' }); // No command pending
@@ -112,37 +125,51 @@ router.get('/get_motor_command', async (req, res) => {
 
 
 // @route   POST /api/esp32/command_executed
-// @desc    ESP32 confirms motor command execution
-// @access  Public (ESP32)
-router.post('/command_executed', async (req, res) => {
-    const { kioskId, status } = req.body; // Status might be "motor_1_activated" etc.
+// @desc    ESP32 confirms (or reports the failure of) a motor command by its ID.
+//          body: { commandId, status, failureReason } where status is 'failed' for a failed
+//          dispense and failureReason is one of 'jam', 'empty_slot', 'motor_fault' or 'other'.
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/command_executed', kioskAuth, async (req, res) => {
+    const { commandId, status, failureReason } = req.body; // Status might be "motor_1_activated" etc.
+    const { kioskId } = req.kiosk; // From kioskAuth
 
-    if (!kioskId || !status) {
-        return res.status(400).json({ message: 'kioskId and status are required' });
+    if (!commandId || !status) {
+        return res.status(400).json({ message: 'commandId and status are required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(commandId)) {
+        return res.status(400).json({ message: 'Invalid command ID format.' });
     }
 
     try {
-        // Find the diagnosis record that corresponds to the executed command
-        // This is a bit tricky, ideally you'd send a diagnosis ID from ESP32
-        // For simplicity, we'll find the latest 'approved' diagnosis for this kiosk
-        const diagnosis = await Diagnosis.findOne({
-            kioskId: kioskId,
-            status: 'approved',
-            commandExecuted: false, // Find the one pending execution
-            motorCommand: { $ne: 'none' } // Ensure it had a command
-        }).sort({ createdAt: -1 });
-
-        if (diagnosis) {
-            console.log(`Kiosk ${kioskId} confirmed execution of command for diagnosis ${diagnosis._id}. Status: ${status}`);
-            diagnosis.commandExecuted = true;
-            diagnosis.status = 'medication_dispensed'; // Update status to reflect dispensing
-            await diagnosis.save();
-            return res.status(200).json({ message: 'Motor command execution confirmed.', diagnosisId: diagnosis._id });
-        } else {
-            console.warn(`Kiosk ${kioskId} sent execution confirmation, but no pending diagnosis found.`);
-            console.warn(`No pending approved diagnosis found for kiosk ${kioskId} to confirm.`);
-            return res.status(404).json({ message: 'No pending approved diagnosis found for this kiosk.' });
+        const { outcome, command } = await confirmCommand(kioskId, commandId, { status, failureReason });
+
+        if (outcome === 'not_found') {
+            console.warn(`Kiosk ${kioskId} sent a confirmation for unknown command ${commandId}.`);
+            return res.status(404).json({ message: 'Command not found for this kiosk.' });
         }
+        if (outcome === 'conflict') {
+            return res.status(409).json({
+                message: `Command is already ${command.status}; the report was not applied.`,
+                commandId: command._id,
+                commandStatus: command.status
+            });
+        }
+
+        if (outcome === 'confirmed') {
+            console.log(`Kiosk ${kioskId} reported command ${command._id} for diagnosis ${command.diagnosisId}. Status: ${status}`);
+            await recordAudit(command.status === 'failed' ? 'dispense.failed' : 'dispense.confirmed', {
+                req,
+                target: { kind: 'DispenseCommand', id: command._id },
+                details: { diagnosisId: command.diagnosisId.toString(), status, failureReason: command.failureReason }
+            });
+        }
+        res.status(200).json({
+            message: command.status === 'failed' ? 'Motor command failure recorded.' : 'Motor command execution confirmed.',
+            duplicate: outcome === 'duplicate',
+            commandId: command._id,
+            commandStatus: command.status,
+            diagnosisId: command.diagnosisId
+        });
 
     } catch (err) {
         console.error('Command Executed Confirmation Error:', err.message);
@@ -150,4 +177,221 @@ router.post('/command_executed', async (req, res) => {
     }
 });
 
+// @route   POST /api/esp32/reconcile
+// @desc    A kiosk back online reconciles its dispense commands. body: { reports: [{ commandId, status,
+//          failureReason }], held: [commandId] }: what happened to commands it carried out while offline,
+//          and the commands it received but has not carried out. The response says which held commands
+//          to keep and which to discard (cancelled or expired meanwhile).
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/reconcile', kioskAuth, async (req, res) => {
+    const { reports = [], held = [] } = req.body;
+    const { kioskId } = req.kiosk; // From kioskAuth
+
+    if (!Array.isArray(reports) || !Array.isArray(held)) {
+        return res.status(400).json({ message: 'reports and held must be arrays' });
+    }
+    if (reports.some((report) => !report || !report.status || !mongoose.Types.ObjectId.isValid(report.commandId)) ||
+        held.some((commandId) => !mongoose.Types.ObjectId.isValid(commandId))) {
+        return res.status(400).json({ message: 'Every report needs a valid commandId and a status, and held must list valid command IDs' });
+    }
+
+    try {
+        const result = await reconcileCommands(kioskId, { reports, held });
+
+        for (const { outcome, command } of result.reports) {
+            if (outcome !== 'confirmed' && outcome !== 'late_confirmed') {
+                continue;
+            }
+            const action = outcome === 'late_confirmed'
+                ? 'dispense.reconciled'
+                : (command.status === 'failed' ? 'dispense.failed' : 'dispense.confirmed');
+            await recordAudit(action, {
+                req,
+                target: { kind: 'DispenseCommand', id: command._id },
+                details: { diagnosisId: command.diagnosisId.toString(), status: command.result, failureReason: command.failureReason, reconciled: true }
+            });
+        }
+        console.log(`Kiosk ${kioskId} reconciled ${result.reports.length} report(s); keeping ${result.keep.length}, discarding ${result.discard.length} held command(s).`);
+
+        res.status(200).json({
+            message: 'Commands reconciled',
+            reports: result.reports.map(({ commandId, outcome, command }) => ({
+                commandId,
+                outcome,
+                commandStatus: command ? command.status : undefined
+            })),
+            keep: result.keep.map((command) => ({
+                command: command.command,
+                commandId: command._id,
+                diagnosisId: command.diagnosisId,
+                leaseExpiresAt: command.leaseExpiresAt
+            })),
+            discard: result.discard
+        });
+
+    } catch (err) {
+        console.error('Reconcile Commands Error:', err.message);
+        res.status(500).json({ message: 'Server error reconciling commands' });
+    }
+});
+
+// @route   POST /api/esp32/session/start
+// @desc    A patient starts their own session at a self-service kiosk. body: { name, age, dateOfBirth, gender,
+//          phoneNumber, patientCode, allergies, chronicConditions }. A returning patient is matched by phone
+//          number and name (a patient code must come with both). The session waits in the triage queue until an
+//          on-duty doctor claims it.
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/session/start', kioskAuth, async (req, res) => {
+    const { name, age, dateOfBirth, phoneNumber, patientCode } = req.body;
+    const { kioskId } = req.kiosk; // From kioskAuth
+
+    if (!req.kiosk.selfService) {
+        return res.status(403).json({ message: 'This kiosk does not allow patients to start their own sessions' });
+    }
+
+    try {
+        const ongoing = await Diagnosis.exists({ kioskId, status: { $in: ACTIVE_STATUSES }, deletedAt: null });
+        if (ongoing) {
+            return res.status(409).json({ message: 'A session is already in progress on this kiosk.' });
+        }
+
+        let patient = await findReturningPatient({ patientCode, phoneNumber, name });
+        const returningPatient = Boolean(patient);
+        if (!patient) {
+            if (patientCode) {
+                return res.status(404).json({ message: 'Patient not found. Give the phone number and name on the record with the patient code.' });
+            }
+            if (!name || (!age && !dateOfBirth)) {
+                return res.status(400).json({ message: 'Patient name and age (or date of birth) are required for a new patient' });
+            }
+            patient = new Patient({ doctorId: null });
+        }
+
+        await Patient.updateMany({ kioskId, isActive: true, _id: { $ne: patient._id } }, { $set: { isActive: false } });
+        applyVisitDemographics(patient, req.body);
+        patient.kioskId = kioskId;
+        patient.isActive = true;
+        patient.lastVisitAt = new Date();
+        await patient.save();
+
+        const diagnosis = new Diagnosis({
+            patientId: patient._id,
+            doctorId: null,
+            origin: 'kiosk',
+            kioskId,
+            status: 'collecting_data',
+            predictedDisease: 'N/A'
+        });
+        recordCreation(diagnosis, { source: 'kiosk', note: 'Started by the patient at the kiosk' });
+        await diagnosis.save();
+        publishTriageChange(diagnosis, 'queued');
+
+        await recordAudit('session.self_start', {
+            req,
+            target: { kind: 'Diagnosis', id: diagnosis._id },
+            details: { kioskId, patientId: patient._id.toString(), returningPatient }
+        });
+
+        res.status(201).json({
+            message: 'Session started. A doctor will review your readings shortly.',
+            diagnosisId: diagnosis._id,
+            patientCode: patient.patientCode,
+            returningPatient,
+            queuePosition: await queuePosition(diagnosis)
+        });
+
+    } catch (err) {
+        console.error('Self-Start Session Error:', err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error starting session' });
+    }
+});
+
+// @route   GET /api/esp32/session
+// @desc    The kiosk's ongoing session, for its screen: whether a doctor has it yet or where it is in the triage queue
+// @access  Private (Kiosk, HMAC-signed)
+router.get('/session', kioskAuth, async (req, res) => {
+    const { kioskId } = req.kiosk; // From kioskAuth
+
+    try {
+        const diagnosis = await Diagnosis.findOne({ kioskId, status: { $in: ACTIVE_STATUSES }, deletedAt: null })
+                                         .sort({ createdAt: -1 });
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'No active patient session found for this kiosk.' });
+        }
+
+        res.status(200).json({
+            diagnosisId: diagnosis._id,
+            status: diagnosis.status,
+            claimed: Boolean(diagnosis.doctorId),
+            triageLevel: diagnosis.triage.level,
+            queuePosition: await queuePosition(diagnosis)
+        });
+
+    } catch (err) {
+        console.error('Get Kiosk Session Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching session' });
+    }
+});
+
+// @route   POST /api/esp32/session/cancel
+// @desc    The patient leaves a session they started before a doctor has claimed it
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/session/cancel', kioskAuth, async (req, res) => {
+    const { kioskId } = req.kiosk; // From kioskAuth
+
+    try {
+        const diagnosis = await Diagnosis.findOne({ kioskId, status: { $in: ACTIVE_STATUSES }, deletedAt: null })
+                                         .sort({ createdAt: -1 });
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'No active patient session found for this kiosk.' });
+        }
+        if (diagnosis.origin !== 'kiosk' || diagnosis.doctorId) {
+            return res.status(409).json({ message: 'A doctor is handling this session; only they can end it.' });
+        }
+
+        transitionDiagnosis(diagnosis, 'cancelled', { source: 'kiosk', note: 'Patient left before a doctor claimed the session' });
+        // If a doctor claims the session in the meantime, the save fails and their claim stands
+        diagnosis.$where = { ...diagnosis.$where, doctorId: null };
+        await diagnosis.save();
+        publishTriageChange(diagnosis, 'left');
+        await recordAudit('session.kiosk_cancel', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { kioskId } });
+
+        await Patient.updateOne({ _id: diagnosis.patientId }, { $set: { isActive: false } });
+
+        res.status(200).json({ message: 'Session cancelled.', diagnosisId: diagnosis._id, status: diagnosis.status });
+
+    } catch (err) {
+        if (err.name === 'DocumentNotFoundError') {
+            return res.status(409).json({ message: 'A doctor is handling this session; only they can end it.' });
+        }
+        console.error('Kiosk Cancel Session Error:', err.message);
+        res.status(500).json({ message: 'Server error cancelling session' });
+    }
+});
+
+// @route   POST /api/esp32/heartbeat
+// @desc    ESP32 reports that it is alive, with firmware version and sensor self-test results
+// @access  Private (Kiosk, HMAC-signed)
+router.post('/heartbeat', kioskAuth, async (req, res) => {
+    const { firmwareVersion, selfTest } = req.body; // selfTest: [{ name, ok, detail }]
+    const { kioskId } = req.kiosk; // From kioskAuth
+
+    if (selfTest !== undefined && !Array.isArray(selfTest)) {
+        return res.status(400).json({ message: 'selfTest must be an array of sensor results' });
+    }
+
+    try {
+        const lastSeenAt = await recordHeartbeat(kioskId, { firmwareVersion, selfTest });
+
+        res.status(200).json({ message: 'Heartbeat received', serverTime: lastSeenAt });
+
+    } catch (err) {
+        console.error('Heartbeat Error:', err.message);
+        res.status(500).json({ message: 'Server error recording heartbeat' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
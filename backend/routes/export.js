@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const { protect } = require('../utils/authMiddleware');
+const Diagnosis = require('../models/Diagnosis');
+const User = require('../models/User');
+const { buildBundle } = require('../utils/fhir');
+const { buildHistoryPipeline, decryptHistoryRecord } = require('../utils/history');
+const { CSV_COLUMNS, csvLine, historyRecordToCsv, writeConsultationPdf } = require('../utils/reports');
+const { recordAudit } = require('../utils/audit');
+
+// Upper bound on sessions in one range export; larger exports should use narrower ranges
+const EXPORT_MAX_DIAGNOSES = parseInt(process.env.EXPORT_MAX_DIAGNOSES, 10) || 500;
+
+// Doctors export their own sessions, admins any session
+const scopeToUser = (req, query) => (req.user.role === 'admin' ? query : { ...query, doctorId: req.user.id });
+
+// Resolves once the response can take more data, or the client has gone away
+const waitForDrain = (res) => new Promise((resolve) => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+const sendBundle = (res, bundle) => {
+    res.status(200).type('application/fhir+json').send(JSON.stringify(bundle));
+};
+
+// @route   GET /api/export/fhir/diagnosis/:id
+// @desc    Export one diagnosis session as a FHIR R4 Bundle (Patient, Observations, Condition, MedicationDispense)
+// @access  Private (owning doctor or admin)
+router.get('/fhir/diagnosis/:id', protect, async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid diagnosis ID format.' });
+    }
+
+    try {
+        const diagnosis = await Diagnosis.findOne(scopeToUser(req, { _id: id, deletedAt: null }))
+                                         .populate('patientId')
+                                         .populate('doctorId', 'name');
+
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
+        }
+
+        await recordAudit('export.fhir', { req, target: { kind: 'Diagnosis', id: diagnosis._id }, details: { diagnoses: 1 } });
+        sendBundle(res, buildBundle([diagnosis]));
+
+    } catch (err) {
+        console.error('FHIR Export Error:', err.message);
+        res.status(500).json({ message: 'Server error exporting diagnosis' });
+    }
+});
+
+// @route   GET /api/export/fhir?from=&to=&patientId=
+// @desc    Export the diagnosis sessions started in a date range as a FHIR R4 Bundle
+// @access  Private (doctors get their own sessions, admins all)
+router.get('/fhir', protect, async (req, res) => {
+    const { from, to, patientId } = req.query;
+
+    if (!from || !to) {
+        return res.status(400).json({ message: 'A date range (from and to) is required.' });
+    }
+    const range = { $gte: new Date(from), $lte: new Date(to) };
+    if (isNaN(range.$gte.getTime()) || isNaN(range.$lte.getTime())) {
+        return res.status(400).json({ message: 'Invalid date range.' });
+    }
+    if (patientId && !mongoose.Types.ObjectId.isValid(patientId)) {
+        return res.status(400).json({ message: 'Invalid patient ID format.' });
+    }
+
+    try {
+        const query = scopeToUser(req, { createdAt: range, deletedAt: null });
+        if (patientId) {
+            query.patientId = patientId;
+        }
+
+        const count = await Diagnosis.countDocuments(query);
+        if (count > EXPORT_MAX_DIAGNOSES) {
+            return res.status(400).json({
+                message: `The range holds ${count} sessions; at most ${EXPORT_MAX_DIAGNOSES} can be exported at once. Narrow the range.`
+            });
+        }
+
+        const diagnoses = await Diagnosis.find(query)
+                                         .populate('patientId')
+                                         .populate('doctorId', 'name')
+                                         .sort({ createdAt: 1 });
+
+        await recordAudit('export.fhir', { req, details: { from, to, patientId, diagnoses: diagnoses.length } });
+        sendBundle(res, buildBundle(diagnoses));
+
+    } catch (err) {
+        console.error('FHIR Range Export Error:', err.message);
+        res.status(500).json({ message: 'Server error exporting diagnoses' });
+    }
+});
+
+// @route   GET /api/export/diagnosis/:id/pdf
+// @desc    Printable consultation summary of one session, to hand to the patient
+// @access  Private (owning doctor or admin)
+router.get('/diagnosis/:id/pdf', protect, async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: 'Invalid diagnosis ID format.' });
+    }
+
+    try {
+        const diagnosis = await Diagnosis.findOne(scopeToUser(req, { _id: id, deletedAt: null }))
+                                         .populate('patientId')
+                                         .populate('doctorId', 'name');
+
+        if (!diagnosis) {
+            return res.status(404).json({ message: 'Diagnosis record not found or unauthorized.' });
+        }
+
+        await recordAudit('export.pdf', { req, target: { kind: 'Diagnosis', id: diagnosis._id } });
+
+        res.status(200);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="consultation-${diagnosis._id}.pdf"`);
+
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Consultation Summary' } });
+        doc.pipe(res);
+        writeConsultationPdf(doc, diagnosis);
+        doc.end();
+
+    } catch (err) {
+        console.error('PDF Export Error:', err.message);
+        if (res.headersSent) {
+            return res.end(); // Part of the file was sent; all that can be done is to stop
+        }
+        res.status(500).json({ message: 'Server error generating PDF' });
+    }
+});
+
+// @route   GET /api/export/history.csv?search=&status=&kioskId=&predictedDisease=&approvedDisease=&from=&to=&sortBy=&order=&doctorId=
+// @desc    Stream the filtered diagnosis history as CSV (same filters as /api/doctor/history).
+//          Doctors export their own history; admins everyone's, or one doctor's with doctorId.
+// @access  Private
+router.get('/history.csv', protect, async (req, res) => {
+    let doctorId = req.user.id;
+    if (req.user.role === 'admin') {
+        doctorId = req.query.doctorId;
+        if (doctorId && !mongoose.Types.ObjectId.isValid(doctorId)) {
+            return res.status(400).json({ message: 'Invalid doctor ID format.' });
+        }
+    }
+
+    const { pipeline, sort, error } = buildHistoryPipeline(req.query, { doctorId });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        pipeline.push(
+            sort,
+            { $lookup: { from: User.collection.name, localField: 'doctorId', foreignField: '_id', as: 'doctor', pipeline: [{ $project: { name: 1 } }] } },
+            { $unwind: { path: '$doctor', preserveNullAndEmptyArrays: true } },
+            { $project: { statusHistory: 0, predictionReasoning: 0 } }
+        );
+
+        await recordAudit('export.csv', { req, details: { filters: req.query } });
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="diagnosis-history-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(csvLine(CSV_COLUMNS));
+
+        // Rows are written as they come from the cursor, so large histories are never held in memory
+        const cursor = Diagnosis.aggregate(pipeline).cursor();
+        for await (const record of cursor) {
+            if (res.destroyed) {
+                break; // Client went away
+            }
+            if (!res.write(historyRecordToCsv(decryptHistoryRecord(record)))) {
+                await waitForDrain(res);
+            }
+        }
+        await cursor.close();
+        res.end();
+
+    } catch (err) {
+        console.error('CSV Export Error:', err.message);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ message: 'Server error exporting history' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../utils/authMiddleware');
+const Kiosk = require('../models/Kiosk');
+const Medication = require('../models/Medication');
+const { isExpired, isLowStock } = require('../utils/inventory');
+const { recordAudit } = require('../utils/audit');
+
+// @route   GET /api/inventory/medications
+// @desc    List the medication catalogue
+// @access  Private (Admin)
+router.get('/medications', protect, admin, async (req, res) => {
+    try {
+        const medications = await Medication.find().sort({ name: 1 });
+        res.status(200).json(medications);
+    } catch (err) {
+        console.error('List Medications Error:', err.message);
+        res.status(500).json({ message: 'Server error listing medications' });
+    }
+});
+
+// @route   POST /api/inventory/medications
+// @desc    Add a medication to the catalogue
+// @access  Private (Admin)
+router.post('/medications', protect, admin, async (req, res) => {
+    const { name, dose, indications, allergens, contraindications } = req.body;
+
+    if (!name || !dose) {
+        return res.status(400).json({ message: 'Medication name and dose are required' });
+    }
+
+    try {
+        const existing = await Medication.findOne({ name });
+        if (existing) {
+            return res.status(400).json({ message: 'A medication with that name already exists' });
+        }
+
+        const medication = new Medication({
+            name,
+            dose,
+            indications: indications || [],
+            allergens: allergens || [],
+            contraindications: contraindications || []
+        });
+        await medication.save();
+        await recordAudit('medication.create', {
+            req,
+            target: { kind: 'Medication', id: medication._id },
+            details: { name, dose, indications, allergens, contraindications }
+        });
+
+        res.status(201).json(medication);
+
+    } catch (err) {
+        console.error('Create Medication Error:', err.message);
+        res.status(500).json({ message: 'Server error creating medication' });
+    }
+});
+
+// @route   PATCH /api/inventory/medications/:id
+// @desc    Update a medication's dose, indications, allergens or contraindications
+// @access  Private (Admin)
+router.patch('/medications/:id', protect, admin, async (req, res) => {
+    const { id } = req.params;
+    const { dose, indications, allergens, contraindications } = req.body;
+
+    try {
+        const medication = await Medication.findById(id);
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found' });
+        }
+
+        if (dose !== undefined) {
+            medication.dose = dose;
+        }
+        if (indications !== undefined) {
+            medication.indications = indications;
+        }
+        if (allergens !== undefined) {
+            medication.allergens = allergens;
+        }
+        if (contraindications !== undefined) {
+            medication.contraindications = contraindications;
+        }
+        await medication.save();
+        await recordAudit('medication.update', {
+            req,
+            target: { kind: 'Medication', id: medication._id },
+            details: { dose, indications, allergens, contraindications }
+        });
+
+        res.status(200).json(medication);
+
+    } catch (err) {
+        console.error('Update Medication Error:', err.message);
+        if (err.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid medication ID format.' });
+        }
+        res.status(500).json({ message: 'Server error updating medication' });
+    }
+});
+
+// @route   GET /api/inventory/kiosks/:kioskId/slots
+// @desc    Get the medication loaded in each slot of a kiosk
+// @access  Private (Admin)
+router.get('/kiosks/:kioskId/slots', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId }).populate('slots.medication', 'name dose');
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+
+        res.status(200).json({ kioskId: kiosk.kioskId, slots: kiosk.slots });
+
+    } catch (err) {
+        console.error('Get Kiosk Slots Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching kiosk slots' });
+    }
+});
+
+// @route   PUT /api/inventory/kiosks/:kioskId/slots/:slotNumber
+// @desc    Load or restock a kiosk slot with a medication, stock count, lot number and expiry date
+// @access  Private (Admin)
+router.put('/kiosks/:kioskId/slots/:slotNumber', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+    const slotNumber = parseInt(req.params.slotNumber, 10);
+    const { medicationId, stock, lotNumber, expiryDate, motorCommand, lowStockThreshold } = req.body;
+
+    if (isNaN(slotNumber) || slotNumber < 1) {
+        return res.status(400).json({ message: 'Slot number must be a positive integer' });
+    }
+    if (!medicationId || !mongoose.Types.ObjectId.isValid(medicationId)) {
+        return res.status(400).json({ message: 'A valid medication ID is required' });
+    }
+    if (isNaN(stock) || stock < 0) {
+        return res.status(400).json({ message: 'Stock must be a non-negative number' });
+    }
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+        const medication = await Medication.findById(medicationId);
+        if (!medication) {
+            return res.status(404).json({ message: 'Medication not found' });
+        }
+
+        let slot = kiosk.slots.find((s) => s.slotNumber === slotNumber);
+        if (!slot) {
+            kiosk.slots.push({ slotNumber, motorCommand: `activate_motor_${slotNumber}` });
+            slot = kiosk.slots[kiosk.slots.length - 1];
+        }
+
+        slot.medication = medication._id;
+        slot.stock = stock;
+        slot.lotNumber = lotNumber;
+        slot.expiryDate = expiryDate;
+        if (motorCommand) {
+            slot.motorCommand = motorCommand;
+        }
+        if (lowStockThreshold !== undefined) {
+            slot.lowStockThreshold = lowStockThreshold;
+        }
+        await kiosk.save();
+        await recordAudit('inventory.slot_update', {
+            req,
+            target: { kind: 'Kiosk', id: kioskId },
+            details: { slotNumber, medication: medication.name, stock, lotNumber, expiryDate }
+        });
+
+        res.status(200).json({ message: `Slot ${slotNumber} of kiosk ${kioskId} updated`, slot });
+
+    } catch (err) {
+        console.error('Update Kiosk Slot Error:', err.message);
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error updating kiosk slot' });
+    }
+});
+
+// @route   GET /api/inventory/low-stock?expiringWithinDays=30
+// @desc    Report kiosk slots that are at or below their low-stock threshold, expired,
+//          or (optionally) expiring within the given number of days
+// @access  Private (Admin)
+router.get('/low-stock', protect, admin, async (req, res) => {
+    const expiringWithinDays = parseInt(req.query.expiringWithinDays, 10);
+
+    try {
+        const kiosks = await Kiosk.find({ status: { $ne: 'retired' } }).populate('slots.medication', 'name dose');
+        const now = new Date();
+        const expiryCutoff = isNaN(expiringWithinDays)
+            ? null
+            : new Date(now.getTime() + expiringWithinDays * 24 * 60 * 60 * 1000);
+
+        const report = kiosks.map((kiosk) => {
+            const slots = kiosk.slots
+                .map((slot) => {
+                    const issues = [];
+                    if (slot.stock <= 0) {
+                        issues.push('empty');
+                    } else if (isLowStock(slot)) {
+                        issues.push('low_stock');
+                    }
+                    if (isExpired(slot, now)) {
+                        issues.push('expired');
+                    } else if (expiryCutoff && slot.expiryDate && slot.expiryDate <= expiryCutoff) {
+                        issues.push('expiring_soon');
+                    }
+                    return {
+                        slotNumber: slot.slotNumber,
+                        medication: slot.medication,
+                        stock: slot.stock,
+                        lotNumber: slot.lotNumber,
+                        expiryDate: slot.expiryDate,
+                        issues
+                    };
+                })
+                .filter((slot) => slot.issues.length > 0);
+            return { kioskId: kiosk.kioskId, name: kiosk.name, location: kiosk.location, slots };
+        }).filter((kiosk) => kiosk.slots.length > 0);
+
+        res.status(200).json(report);
+
+    } catch (err) {
+        console.error('Low Stock Report Error:', err.message);
+        res.status(500).json({ message: 'Server error building low-stock report' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../utils/authMiddleware');
+const Kiosk = require('../models/Kiosk');
+const { recordAudit } = require('../utils/audit');
+
+// Values of the Kiosk connectivity virtual
+const CONNECTIVITY_STATES = ['online', 'offline', 'never_seen'];
+
+// @route   GET /api/kiosks
+// @desc    List registered kiosks, optionally filtered by status or connectivity
+// @access  Private (Admin)
+router.get('/', protect, admin, async (req, res) => {
+    // Plain strings only, so ?status[$ne]=x cannot become a query operator
+    const status = req.query.status ? String(req.query.status) : undefined;
+    const connectivity = req.query.connectivity ? String(req.query.connectivity) : undefined;
+
+    const statuses = Kiosk.schema.path('status').enumValues;
+    if (status && !statuses.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${statuses.join(', ')}` });
+    }
+    if (connectivity && !CONNECTIVITY_STATES.includes(connectivity)) {
+        return res.status(400).json({ message: `connectivity must be one of: ${CONNECTIVITY_STATES.join(', ')}` });
+    }
+
+    try {
+        const query = {};
+        if (status) {
+            query.status = status;
+        }
+
+        let kiosks = await Kiosk.find(query).sort({ kioskId: 1 });
+
+        // Connectivity is derived from lastSeenAt, so it is filtered after the query
+        if (connectivity) {
+            kiosks = kiosks.filter((kiosk) => kiosk.connectivity === connectivity);
+        }
+
+        res.status(200).json(kiosks);
+
+    } catch (err) {
+        console.error('List Kiosks Error:', err.message);
+        res.status(500).json({ message: 'Server error listing kiosks' });
+    }
+});
+
+// @route   GET /api/kiosks/:kioskId
+// @desc    Get a kiosk's details, health and last self-test
+// @access  Private (Admin)
+router.get('/:kioskId', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+
+        res.status(200).json(kiosk);
+
+    } catch (err) {
+        console.error('Get Kiosk Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching kiosk' });
+    }
+});
+
+// @route   POST /api/kiosks
+// @desc    Register a new kiosk and issue its HMAC secret. selfService lets patients start their own sessions on it.
+// @access  Private (Admin)
+router.post('/', protect, admin, async (req, res) => {
+    const { kioskId, name, location, selfService } = req.body;
+
+    if (!kioskId) {
+        return res.status(400).json({ message: 'Kiosk ID is required' });
+    }
+
+    try {
+        const existing = await Kiosk.findOne({ kioskId });
+        if (existing) {
+            return res.status(400).json({ message: 'A kiosk with that ID is already registered' });
+        }
+
+        const secret = Kiosk.generateSecret();
+        const kiosk = new Kiosk({
+            kioskId,
+            name,
+            location,
+            selfService: selfService === true,
+            secret,
+            createdBy: req.user.id
+        });
+        await kiosk.save();
+        await recordAudit('kiosk.register', { req, target: { kind: 'Kiosk', id: kiosk.kioskId }, details: { name, location, selfService: kiosk.selfService } });
+
+        // The secret is only ever returned here and on rotation; it must be flashed into the kiosk
+        res.status(201).json({
+            message: 'Kiosk registered successfully',
+            kioskId: kiosk.kioskId,
+            secret
+        });
+
+    } catch (err) {
+        console.error('Register Kiosk Error:', err.message);
+        res.status(500).json({ message: 'Server error registering kiosk' });
+    }
+});
+
+// @route   PATCH /api/kiosks/:kioskId
+// @desc    Update a kiosk's name, location or whether patients may start their own sessions on it (selfService)
+// @access  Private (Admin)
+router.patch('/:kioskId', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+    const { name, location, selfService } = req.body;
+
+    if (selfService !== undefined && typeof selfService !== 'boolean') {
+        return res.status(400).json({ message: 'selfService must be true or false' });
+    }
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+
+        if (name !== undefined) {
+            kiosk.name = name;
+        }
+        if (location !== undefined) {
+            kiosk.location = location;
+        }
+        if (selfService !== undefined) {
+            kiosk.selfService = selfService;
+        }
+        await kiosk.save();
+        await recordAudit('kiosk.update', { req, target: { kind: 'Kiosk', id: kiosk.kioskId }, details: { name, location, selfService } });
+
+        res.status(200).json(kiosk);
+
+    } catch (err) {
+        console.error('Update Kiosk Error:', err.message);
+        res.status(500).json({ message: 'Server error updating kiosk' });
+    }
+});
+
+// @route   POST /api/kiosks/:kioskId/rotate
+// @desc    Issue a new HMAC secret for a kiosk (also re-activates a revoked kiosk)
+// @access  Private (Admin)
+router.post('/:kioskId/rotate', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+        if (kiosk.status === 'retired') {
+            return res.status(400).json({ message: 'Kiosk has been retired' });
+        }
+
+        const secret = Kiosk.generateSecret();
+        kiosk.secret = secret;
+        kiosk.secretRotatedAt = Date.now();
+        kiosk.status = 'active';
+        kiosk.revokedAt = undefined;
+        await kiosk.save();
+        await recordAudit('kiosk.rotate_secret', { req, target: { kind: 'Kiosk', id: kiosk.kioskId } });
+
+        res.status(200).json({
+            message: 'Kiosk secret rotated successfully',
+            kioskId: kiosk.kioskId,
+            secret
+        });
+
+    } catch (err) {
+        console.error('Rotate Kiosk Secret Error:', err.message);
+        res.status(500).json({ message: 'Server error rotating kiosk secret' });
+    }
+});
+
+// @route   POST /api/kiosks/:kioskId/revoke
+// @desc    Revoke a kiosk's credentials so its requests are rejected
+// @access  Private (Admin)
+router.post('/:kioskId/revoke', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+
+        if (kiosk.status === 'retired') {
+            return res.status(400).json({ message: 'Kiosk has been retired' });
+        }
+
+        kiosk.status = 'revoked';
+        kiosk.revokedAt = Date.now();
+        await kiosk.save();
+        await recordAudit('kiosk.revoke', { req, target: { kind: 'Kiosk', id: kiosk.kioskId } });
+
+        res.status(200).json({ message: 'Kiosk credentials revoked', kioskId: kiosk.kioskId });
+
+    } catch (err) {
+        console.error('Revoke Kiosk Error:', err.message);
+        res.status(500).json({ message: 'Server error revoking kiosk' });
+    }
+});
+
+// @route   POST /api/kiosks/:kioskId/retire
+// @desc    Permanently take a kiosk out of service (its history is kept)
+// @access  Private (Admin)
+router.post('/:kioskId/retire', protect, admin, async (req, res) => {
+    const { kioskId } = req.params;
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId });
+        if (!kiosk) {
+            return res.status(404).json({ message: 'Kiosk not found' });
+        }
+        if (kiosk.status === 'retired') {
+            return res.status(400).json({ message: 'Kiosk is already retired' });
+        }
+
+        kiosk.status = 'retired';
+        kiosk.retiredAt = Date.now();
+        await kiosk.save();
+        await recordAudit('kiosk.retire', { req, target: { kind: 'Kiosk', id: kiosk.kioskId } });
+
+        res.status(200).json({ message: 'Kiosk retired', kioskId: kiosk.kioskId });
+
+    } catch (err) {
+        console.error('Retire Kiosk Error:', err.message);
+        res.status(500).json({ message: 'Server error retiring kiosk' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../utils/authMiddleware');
+const Patient = require('../models/Patient');
+const { recordAudit } = require('../utils/audit');
+const { parseList, canAccessPatient, buildPatientTimeline, buildPatientExport } = require('../utils/patientRecords');
+const { anonymisePatient, erasePatient, hasSessionInProgress } = require('../utils/retention');
+
+// Shape of a patient record returned by these routes
+const patientSummary = (patient) => ({
+    id: patient._id,
+    patientCode: patient.patientCode,
+    name: patient.name,
+    age: patient.age,
+    dateOfBirth: patient.dateOfBirth,
+    gender: patient.gender,
+    phoneNumber: patient.phoneNumber,
+    allergies: patient.allergies,
+    chronicConditions: patient.chronicConditions,
+    lastVisitAt: patient.lastVisitAt,
+    createdAt: patient.createdAt
+});
+
+// Loads the patient a request targets if the user may see it, or sends the error response
+const findAccessiblePatient = async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ message: 'Invalid patient ID format.' });
+        return null;
+    }
+    const patient = await Patient.findById(id);
+    if (!patient || !(await canAccessPatient(req.user, patient._id))) {
+        res.status(404).json({ message: 'Patient not found or unauthorized.' });
+        return null;
+    }
+    return patient;
+};
+
+// @route   GET /api/patients/lookup?phone=...&code=...
+// @desc    Find returning patients by exact phone number or patient code before starting a
+//          session, so the existing record is reused instead of creating a duplicate
+// @access  Private
+router.get('/lookup', protect, async (req, res) => {
+    const { phone, code } = req.query;
+
+    if (!phone && !code) {
+        return res.status(400).json({ message: 'A phone number or patient code is required' });
+    }
+
+    try {
+        const phoneIndex = Patient.phoneIndexFor(phone);
+        if (!code && !phoneIndex) {
+            return res.status(200).json([]); // No digits to match
+        }
+        const query = code
+            ? { patientCode: String(code).toUpperCase().trim() }
+            : { phoneIndex };
+
+        // Only what is needed to recognise the person; the full record needs a prior visit
+        const patients = await Patient.find(query)
+                                      .select('patientCode name age gender lastVisitAt')
+                                      .sort({ lastVisitAt: -1 })
+                                      .limit(20);
+
+        res.status(200).json(patients.map((patient) => ({
+            id: patient._id,
+            patientCode: patient.patientCode,
+            name: patient.name,
+            age: patient.age,
+            gender: patient.gender,
+            lastVisitAt: patient.lastVisitAt
+        })));
+
+    } catch (err) {
+        console.error('Patient Lookup Error:', err.message);
+        res.status(500).json({ message: 'Server error looking up patients' });
+    }
+});
+
+// @route   GET /api/patients/:id
+// @desc    Get a patient's demographics
+// @access  Private (doctors who have seen the patient, admins)
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const patient = await findAccessiblePatient(req, res);
+        if (!patient) return;
+
+        res.status(200).json(patientSummary(patient));
+
+    } catch (err) {
+        console.error('Get Patient Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching patient' });
+    }
+});
+
+// @route   PATCH /api/patients/:id
+// @desc    Update a patient's demographics. Allergies and chronic conditions given here
+//          replace the stored lists (starting a session only ever adds to them).
+// @access  Private (doctors who have seen the patient, admins)
+router.patch('/:id', protect, async (req, res) => {
+    const { name, age, dateOfBirth, gender, phoneNumber, allergies, chronicConditions } = req.body;
+
+    try {
+        const patient = await findAccessiblePatient(req, res);
+        if (!patient) return;
+
+        if (name !== undefined) patient.name = name;
+        if (age !== undefined) patient.age = age;
+        if (dateOfBirth !== undefined) patient.dateOfBirth = dateOfBirth || undefined;
+        if (gender !== undefined) patient.gender = String(gender).toLowerCase();
+        if (phoneNumber !== undefined) patient.phoneNumber = phoneNumber;
+        if (allergies !== undefined) patient.allergies = parseList(allergies);
+        if (chronicConditions !== undefined) patient.chronicConditions = parseList(chronicConditions);
+
+        const changedFields = patient.modifiedPaths().filter((path) => !['phoneIndex', 'nameIndex', 'nameTokens', 'updatedAt'].includes(path));
+        await patient.save();
+        await recordAudit('patient.update', { req, target: { kind: 'Patient', id: patient._id }, details: { changedFields } });
+
+        res.status(200).json({ message: 'Patient updated', patient: patientSummary(patient) });
+
+    } catch (err) {
+        console.error('Update Patient Error:', err.message);
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error updating patient' });
+    }
+});
+
+// @route   GET /api/patients/:id/timeline
+// @desc    Every visit of a patient with its outcome and vitals, plus vitals trends across visits
+// @access  Private (doctors who have seen the patient, admins)
+router.get('/:id/timeline', protect, async (req, res) => {
+    try {
+        const patient = await findAccessiblePatient(req, res);
+        if (!patient) return;
+
+        const { visits, trends } = await buildPatientTimeline(patient._id);
+
+        res.status(200).json({ patient: patientSummary(patient), visits, trends });
+
+    } catch (err) {
+        console.error('Patient Timeline Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching patient timeline' });
+    }
+});
+
+// @route   GET /api/patients/:id/export
+// @desc    Data-subject access request: everything recorded about the patient, decrypted, as a JSON download
+// @access  Private (Admin)
+router.get('/:id/export', protect, admin, async (req, res) => {
+    try {
+        const patient = await findAccessiblePatient(req, res);
+        if (!patient) return;
+
+        const data = await buildPatientExport(patient);
+        await recordAudit('patient.export', {
+            req,
+            target: { kind: 'Patient', id: patient._id },
+            details: { sessions: data.sessions.length, alerts: data.alerts.length }
+        });
+
+        res.setHeader('Content-Disposition', `attachment; filename="patient-${patient.patientCode || patient._id}.json"`);
+        res.status(200).json(data);
+
+    } catch (err) {
+        console.error('Patient Export Error:', err.message);
+        res.status(500).json({ message: 'Server error exporting patient data' });
+    }
+});
+
+// @route   DELETE /api/patients/:id
+// @desc    Data-subject erasure request. mode 'erase' (default) deletes the patient with all their
+//          sessions and alerts; 'anonymise' removes what identifies them and keeps the sessions.
+//          Refused while one of their sessions is in progress.
+// @access  Private (Admin)
+router.delete('/:id', protect, admin, async (req, res) => {
+    const { mode = 'erase', reason } = req.body || {};
+
+    if (!['erase', 'anonymise'].includes(mode)) {
+        return res.status(400).json({ message: "mode must be 'erase' or 'anonymise'." });
+    }
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ message: 'A reason is required, e.g. the reference of the request.' });
+    }
+
+    try {
+        const patient = await findAccessiblePatient(req, res);
+        if (!patient) return;
+
+        let result;
+        if (mode === 'anonymise') {
+            if (await hasSessionInProgress(patient._id)) {
+                return res.status(409).json({ message: 'The patient has a session in progress. Try again once it has finished.' });
+            }
+            await anonymisePatient(patient);
+            result = { outcome: 'anonymised' };
+        } else {
+            result = await erasePatient(patient);
+            if (result.outcome === 'in_progress') {
+                return res.status(409).json({ message: 'The patient has a session in progress. Try again once it has finished.' });
+            }
+        }
+
+        await recordAudit(mode === 'anonymise' ? 'patient.anonymise' : 'patient.erase', {
+            req,
+            target: { kind: 'Patient', id: patient._id },
+            details: { reason: String(reason).trim(), sessions: result.sessions, alerts: result.alerts }
+        });
+
+        res.status(200).json({ message: mode === 'anonymise' ? 'Patient anonymised' : 'Patient data erased', ...result });
+
+    } catch (err) {
+        console.error('Erase Patient Error:', err.message);
+        res.status(500).json({ message: 'Server error erasing patient data' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../utils/authMiddleware');
+const RuleSet = require('../models/RuleSet');
+const { recordAudit } = require('../utils/audit');
+const { getActiveRuleSet, validateRules, createRuleSetVersion, activateRuleSet } = require('../utils/ruleSets');
+
+// @route   GET /api/rules
+// @desc    Get the active diagnosis rule set
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const ruleSet = await getActiveRuleSet();
+        res.status(200).json(ruleSet);
+    } catch (err) {
+        console.error('Get Active Rules Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching rules' });
+    }
+});
+
+// @route   GET /api/rules/versions
+// @desc    List all rule-set versions (without their rules)
+// @access  Private (Admin)
+router.get('/versions', protect, admin, async (req, res) => {
+    try {
+        const versions = await RuleSet.find()
+                                      .select('-rules')
+                                      .populate('createdBy', 'name email')
+                                      .sort({ version: -1 });
+        res.status(200).json(versions);
+    } catch (err) {
+        console.error('List Rule Versions Error:', err.message);
+        res.status(500).json({ message: 'Server error listing rule versions' });
+    }
+});
+
+// @route   GET /api/rules/versions/:version
+// @desc    Get a specific rule-set version, e.g. to audit a past prediction
+// @access  Private (Admin)
+router.get('/versions/:version', protect, admin, async (req, res) => {
+    const version = parseInt(req.params.version, 10);
+
+    try {
+        const ruleSet = await RuleSet.findOne({ version }).populate('createdBy', 'name email');
+        if (!ruleSet) {
+            return res.status(404).json({ message: 'Rule-set version not found' });
+        }
+        res.status(200).json(ruleSet);
+    } catch (err) {
+        console.error('Get Rule Version Error:', err.message);
+        res.status(500).json({ message: 'Server error fetching rule version' });
+    }
+});
+
+// @route   POST /api/rules
+// @desc    Save edited rules as a new rule-set version (activated unless activate is false)
+// @access  Private (Admin)
+router.post('/', protect, admin, async (req, res) => {
+    const { rules, description, activate = true } = req.body;
+
+    const problem = validateRules(rules);
+    if (problem) {
+        return res.status(400).json({ message: problem });
+    }
+
+    try {
+        let ruleSet = await createRuleSetVersion({ rules, description, createdBy: req.user.id });
+        await recordAudit('rules.create', {
+            req,
+            target: { kind: 'RuleSet', id: ruleSet._id },
+            details: { version: ruleSet.version, description, ruleIds: ruleSet.rules.map((rule) => rule.ruleId) }
+        });
+        if (activate) {
+            ruleSet = await activateRuleSet(ruleSet.version);
+            await recordAudit('rules.activate', { req, target: { kind: 'RuleSet', id: ruleSet._id }, details: { version: ruleSet.version } });
+        }
+
+        res.status(201).json({
+            message: `Rule-set version ${ruleSet.version} created${activate ? ' and activated' : ''}`,
+            ruleSet
+        });
+
+    } catch (err) {
+        console.error('Create Rule Set Error:', err.message);
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'Another rule-set version was created at the same time. Please retry.' });
+        }
+        res.status(500).json({ message: 'Server error creating rule set' });
+    }
+});
+
+// @route   POST /api/rules/versions/:version/activate
+// @desc    Make an existing rule-set version active (e.g. to roll back)
+// @access  Private (Admin)
+router.post('/versions/:version/activate', protect, admin, async (req, res) => {
+    const version = parseInt(req.params.version, 10);
+
+    try {
+        const ruleSet = await activateRuleSet(version);
+        if (!ruleSet) {
+            return res.status(404).json({ message: 'Rule-set version not found' });
+        }
+        await recordAudit('rules.activate', { req, target: { kind: 'RuleSet', id: ruleSet._id }, details: { version } });
+        res.status(200).json({ message: `Rule-set version ${version} activated`, ruleSet });
+    } catch (err) {
+        console.error('Activate Rule Set Error:', err.message);
+        res.status(500).json({ message: 'Server error activating rule set' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// backend/scripts/createAdmin.js
+// Creates (or promotes) an admin account so kiosks can be registered.
+// Usage: node scripts/createAdmin.js <name> <email> <password>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+    const [name, email, password] = process.argv.slice(2);
+    if (!name || !email || !password) {
+        console.error('Usage: node scripts/createAdmin.js <name> <email> <password>');
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+    if (user) {
+        user.role = 'admin';
+        user.status = 'active';
+        console.log(`Promoting existing user ${email} to admin.`);
+    } else {
+        user = new User({ name, email, password, role: 'admin' });
+        console.log(`Creating admin user ${email}.`);
+    }
+    await user.save();
+
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error('Create Admin Error:', err.message);
+    process.exit(1);
+});
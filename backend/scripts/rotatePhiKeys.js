@@ -0,0 +1,90 @@
+// backend/scripts/rotatePhiKeys.js
+// Re-encrypts patient data with the current key (the first in PHI_ENCRYPTION_KEYS), including data
+// stored before encryption was enabled, and recomputes the blind indexes (so run it after changing
+// PHI_INDEX_KEY too). Keep the old keys in PHI_ENCRYPTION_KEYS until a run reports nothing skipped.
+// Usage: node scripts/rotatePhiKeys.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Diagnosis = require('../models/Diagnosis');
+const Alert = require('../models/Alert');
+const { needsReencryption, CURRENT_KEY_ID } = require('../utils/fieldEncryption');
+
+const READING_VITALS = ['bpm', 'spo2', 'temperature'];
+
+// Re-encrypts the fields of a document (or subdocument) that another key, or no key, encrypted
+const reencrypt = (doc, paths) => {
+    for (const path of paths) {
+        if (needsReencryption(doc.get(path, null, { getters: false }))) {
+            doc.set(path, doc.get(path)); // The getter decrypts, the setter encrypts with the current key
+        }
+    }
+};
+
+// Saves the document unless it changed since it was read (`unchanged` is the filter proving that;
+// updatedAt changes on every save of patients and sessions)
+const saveIfUnchanged = async (doc, unchanged) => {
+    if (!doc.isModified()) {
+        return 'unchanged';
+    }
+    doc.$where = unchanged;
+    try {
+        await doc.save({ validateBeforeSave: false });
+        return 'updated';
+    } catch (err) {
+        if (err.name === 'DocumentNotFoundError') {
+            return 'skipped';
+        }
+        throw err;
+    }
+};
+
+const rotate = async (model, label, prepare) => {
+    const counts = { updated: 0, unchanged: 0, skipped: 0 };
+    for await (const doc of model.find().cursor()) {
+        counts[await saveIfUnchanged(doc, prepare(doc))] += 1;
+    }
+    console.log(`${label}: ${counts.updated} updated, ${counts.unchanged} already current, ${counts.skipped} changed meanwhile (skipped).`);
+    return counts;
+};
+
+const run = async () => {
+    if (!CURRENT_KEY_ID) {
+        console.error('Set PHI_ENCRYPTION_KEYS (and PHI_INDEX_KEY) first.');
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`Encrypting with key '${CURRENT_KEY_ID}'.`);
+
+    const results = [
+        await rotate(Patient, 'Patients', (patient) => {
+            const unchanged = { updatedAt: patient.updatedAt };
+            reencrypt(patient, ['name', 'phoneNumber']);
+            patient.refreshSearchIndexes();
+            return unchanged;
+        }),
+        await rotate(Diagnosis, 'Sessions', (diagnosis) => {
+            const unchanged = { updatedAt: diagnosis.updatedAt };
+            diagnosis.sensorData.forEach((reading) => reencrypt(reading, READING_VITALS));
+            return unchanged;
+        }),
+        await rotate(Alert, 'Alerts', (alert) => {
+            reencrypt(alert, ['value', 'message']);
+            return {};
+        })
+    ];
+
+    // Phone numbers in plain digits, from before the blind index replaced them
+    await Patient.collection.updateMany({ phoneNormalized: { $exists: true } }, { $unset: { phoneNormalized: '' } });
+
+    if (results.some((counts) => counts.skipped > 0)) {
+        console.log('Some records changed while this ran; run it again before removing old keys.');
+    }
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error('Key Rotation Error:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,56 @@
+// backend/scripts/simulateKiosk.js
+// Plays a kiosk against a running server, so sessions can be tried without an ESP32.
+// Register the kiosk first (POST /api/kiosks) and start a session for it on the dashboard;
+// the simulator waits for the session before it uploads.
+// Usage: node scripts/simulateKiosk.js --kiosk <kioskId> --secret <secret> [--scenario fever]
+//        [--url http://localhost:5000] [--readings 8] [--interval 1000] [--polls 30] [--seed 1] [--wait 300]
+//        node scripts/simulateKiosk.js --list
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { createKioskClient, runScenario, SCENARIOS } = require('../simulator/kioskSimulator');
+
+const run = async () => {
+    const { values } = parseArgs({
+        options: {
+            kiosk: { type: 'string', default: process.env.SIM_KIOSK_ID },
+            secret: { type: 'string', default: process.env.SIM_KIOSK_SECRET },
+            url: { type: 'string', default: process.env.SIM_BASE_URL || 'http://localhost:5000' },
+            scenario: { type: 'string', default: 'normal' },
+            readings: { type: 'string', default: '8' },
+            interval: { type: 'string', default: '1000' },
+            polls: { type: 'string', default: '30' },
+            seed: { type: 'string', default: '1' },
+            wait: { type: 'string', default: '300' },
+            list: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.list) {
+        Object.entries(SCENARIOS).forEach(([name, scenario]) => console.log(`${name.padEnd(22)} ${scenario.description}`));
+        return;
+    }
+    if (!values.kiosk || !values.secret) {
+        console.error('Usage: node scripts/simulateKiosk.js --kiosk <kioskId> --secret <secret> [--scenario <name>] (--list shows the scenarios)');
+        process.exit(1);
+    }
+
+    const client = createKioskClient({ kioskId: values.kiosk, secret: values.secret, baseUrl: values.url });
+    const report = await runScenario(client, values.scenario, {
+        readings: parseInt(values.readings, 10),
+        intervalMs: parseInt(values.interval, 10),
+        commandPolls: parseInt(values.polls, 10),
+        seed: parseInt(values.seed, 10),
+        waitForSessionMs: parseInt(values.wait, 10) * 1000,
+        onEvent: (event, detail) => console.log(`[${values.kiosk}] ${event}`, JSON.stringify(detail))
+    });
+
+    const accepted = report.uploads.filter((upload) => upload.status === 200).length;
+    console.log(`Scenario ${report.scenario}: ${accepted}/${report.uploads.length} readings accepted, ` +
+        `${report.replays.filter((replay) => replay.status === 401).length}/${report.replays.length} replays rejected, ` +
+        `${report.commands.filter((command) => command.confirmed).length} command(s) confirmed.`);
+};
+
+run().catch((err) => {
+    console.error('Kiosk Simulator Error:', err.message);
+    process.exit(1);
+});
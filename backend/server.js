@@ -1,16 +1,13 @@
 require('dotenv').config(); // Load environment variables from .env file
-const express = require('express');
 const mongoose = require('mongoose');
-const bodyParser = require('body-parser');
-const cors = require('cors');
+const app = require('./app');
+const { startAlertEscalationJob } = require('./utils/alerting');
+const { startMqttTransport } = require('./utils/mqttTransport');
+const { startRetentionJob } = require('./utils/retention');
+const { startCommandExpiryJob } = require('./utils/commandQueue');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// --- Middleware ---
-app.use(cors()); // Enable CORS for all origins (for development, restrict in production)
-app.use(bodyParser.json()); // Parse JSON request bodies
-
 // --- Database Connection ---
 const connectDB = async () => {
     try {
@@ -26,29 +23,12 @@ const connectDB = async () => {
     }
 };
 
-// Connect to the database
-connectDB();
-
-// --- Import Routes ---
-const authRoutes = require('./routes/auth');
-const esp32Routes = require('./routes/esp32');
-const doctorRoutes = require('./routes/doctor');
-
-// --- Use Routes ---
-// Base paths for different route modules
-app.use('/api/auth', authRoutes); // Authentication routes (signup, login)
-app.use('/api/esp32', esp32Routes); // Routes for ESP32 data interaction
-app.use('/api/doctor', doctorRoutes); // Routes for doctor dashboard actions (patient, diagnosis, history)
-
-// --- Simple Root Route ---
-app.get('/', (req, res) => {
-    res.send('Smart Medical Kiosk Backend API is Running!');
-});
-
-// --- Error Handling Middleware (Optional but good practice) ---
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).send('Something broke!');
+// Connect to the database, then start background jobs that need it
+connectDB().then(() => {
+    startAlertEscalationJob();
+    startCommandExpiryJob(); // Fails the sessions of kiosks that went offline with a command pending
+    startMqttTransport(); // Only when MQTT_BROKER_PORT or MQTT_URL is set; HTTP kiosk routes keep working either way
+    startRetentionJob(); // Only when RETENTION_ANONYMISE_AFTER_DAYS or RETENTION_PURGE_AFTER_DAYS is set
 });
 
 // --- Start the Server ---
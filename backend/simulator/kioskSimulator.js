@@ -0,0 +1,181 @@
+// backend/simulator/kioskSimulator.js
+
+// A scriptable stand-in for the ESP32 kiosk firmware, so the kiosk API can be exercised
+// without hardware. Requests go through a `send` function: by default fetch against a
+// running server, or supertest in the end-to-end tests.
+
+const crypto = require('crypto');
+const { SCENARIOS, seededRandom } = require('./scenarios');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Signs a request the way the firmware does (see buildSignaturePayload in utils/authMiddleware.js).
+// Written out here rather than imported, so a change to the server's format shows up as failing requests.
+const signRequest = ({ kioskId, secret, method, path, body }) => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const payload = [timestamp, nonce, method.toUpperCase(), path, body || ''].join('\n');
+    return {
+        'X-Kiosk-Id': kioskId,
+        'X-Kiosk-Timestamp': timestamp,
+        'X-Kiosk-Nonce': nonce,
+        'X-Kiosk-Signature': crypto.createHmac('sha256', secret).update(payload).digest('hex')
+    };
+};
+
+/**
+ * A `send` function that uses fetch against a running server.
+ *
+ * @param {string} baseUrl - e.g. 'http://localhost:5000'
+ * @returns {Function} async ({ method, path, headers, body }) => { status, body }
+ */
+const fetchSender = (baseUrl) => async ({ method, path, headers, body }) => {
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+    const text = await response.text();
+    let data = text;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        // Not JSON; keep the text
+    }
+    return { status: response.status, body: data };
+};
+
+/**
+ * Creates a signed client for one kiosk.
+ *
+ * @param {Object} options
+ * @param {string} options.kioskId
+ * @param {string} options.secret - The HMAC secret issued when the kiosk was registered.
+ * @param {string} [options.baseUrl='http://localhost:5000'] - Used when no `send` is given.
+ * @param {Function} [options.send] - async ({ method, path, headers, body }) => { status, body }
+ * @returns {Object} { kioskId, heartbeat, startSession, getSession, cancelSession, uploadReading, uploadBatch,
+ *          getCommand, confirmCommand, reconcile, replay }. Each
+ *          request resolves to { status, body, signed }, where `signed` can be passed to replay().
+ */
+const createKioskClient = ({ kioskId, secret, baseUrl = 'http://localhost:5000', send }) => {
+    const transport = send || fetchSender(baseUrl);
+
+    const request = async (method, path, payload) => {
+        const body = payload === undefined ? undefined : JSON.stringify(payload);
+        const headers = signRequest({ kioskId, secret, method, path, body });
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const signed = { method, path, headers, body };
+        return { ...(await transport(signed)), signed };
+    };
+
+    return {
+        kioskId,
+        heartbeat: (heartbeat = {}) => request('POST', '/api/esp32/heartbeat', heartbeat),
+        // Self-service kiosks: the patient starts (or leaves) their own session
+        startSession: (patient) => request('POST', '/api/esp32/session/start', patient),
+        getSession: () => request('GET', '/api/esp32/session'),
+        cancelSession: () => request('POST', '/api/esp32/session/cancel', {}),
+        uploadReading: (reading) => request('POST', '/api/esp32/data_upload', reading),
+        uploadBatch: (readings, sentAt = Date.now()) => request('POST', '/api/esp32/data_upload_batch', { sentAt, readings }),
+        getCommand: () => request('GET', '/api/esp32/get_motor_command'),
+        confirmCommand: (commandId, report) => request('POST', '/api/esp32/command_executed', { commandId, ...report }),
+        reconcile: (reports = [], held = []) => request('POST', '/api/esp32/reconcile', { reports, held }),
+        // Sends an already signed request again, unchanged
+        replay: (signed) => transport(signed)
+    };
+};
+
+/**
+ * Replays a scenario through a kiosk client: a heartbeat, the scenario's readings and,
+ * when commandPolls is set, polling for the dispense command and confirming it.
+ *
+ * @param {Object} client - From createKioskClient.
+ * @param {string} scenarioName - A key of SCENARIOS.
+ * @param {Object} [options]
+ * @param {number} [options.readings=8] - How many readings to upload.
+ * @param {number} [options.intervalMs=0] - Pause between readings.
+ * @param {number} [options.seed=1] - Seed for the readings' jitter.
+ * @param {number} [options.waitForSessionMs=0] - How long to keep retrying while no session is
+ *        started on the kiosk (uploads answered 404).
+ * @param {number} [options.commandPolls=0] - How many times to poll for a command afterwards.
+ * @param {number} [options.pollIntervalMs=1000] - Pause between command polls and session retries.
+ * @param {Function} [options.onEvent] - (event, detail) => void, for progress output.
+ * @returns {Promise<Object>} { scenario, uploads, replays, commands }
+ */
+const runScenario = async (client, scenarioName, options = {}) => {
+    const scenario = SCENARIOS[scenarioName];
+    if (!scenario) {
+        throw new Error(`Unknown scenario "${scenarioName}". Known scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+    const {
+        readings = 8,
+        intervalMs = 0,
+        seed = 1,
+        waitForSessionMs = 0,
+        commandPolls = 0,
+        pollIntervalMs = 1000,
+        onEvent = () => {}
+    } = options;
+    const random = seededRandom(seed);
+    const report = { scenario: scenarioName, uploads: [], replays: [], commands: [] };
+
+    const heartbeat = await client.heartbeat({
+        firmwareVersion: 'simulator',
+        selfTest: [{ name: 'pulse_oximeter', ok: true }, { name: 'thermometer', ok: true }]
+    });
+    onEvent('heartbeat', { status: heartbeat.status });
+
+    const deadline = Date.now() + waitForSessionMs;
+    for (let i = 0; i < readings; i += 1) {
+        const reading = scenario.readings(i, random);
+        let response = await client.uploadReading(reading);
+        while (response.status === 404 && Date.now() < deadline) {
+            onEvent('waiting_for_session', { status: response.status });
+            await sleep(pollIntervalMs);
+            await client.heartbeat(); // Keep the kiosk online for the doctor's dashboard
+            response = await client.uploadReading(reading);
+        }
+
+        report.uploads.push({
+            reading,
+            status: response.status,
+            prediction: response.body.currentPrediction,
+            signalQuality: response.body.signalQuality
+        });
+        onEvent('upload', report.uploads[report.uploads.length - 1]);
+
+        if (scenario.duplicateUploads) {
+            const replayed = await client.replay(response.signed);
+            report.replays.push({ status: replayed.status, message: replayed.body.message });
+            onEvent('replay', report.replays[report.replays.length - 1]);
+        }
+        if (intervalMs > 0) {
+            await sleep(intervalMs);
+        }
+    }
+
+    const dropped = new Set();
+    for (let poll = 0; poll < commandPolls; poll += 1) {
+        const { body: delivery } = await client.getCommand();
+        if (delivery.command && delivery.command !== 'none') {
+            const commandId = String(delivery.commandId);
+            if (scenario.dropFirstConfirmation && !dropped.has(commandId)) {
+                dropped.add(commandId);
+                report.commands.push({ commandId, command: delivery.command, confirmed: false });
+                onEvent('command_dropped', report.commands[report.commands.length - 1]);
+            } else {
+                const result = await client.confirmCommand(commandId, scenario.dispenseFailure
+                    ? { status: 'failed', failureReason: scenario.dispenseFailure }
+                    : { status: `${delivery.command}_done` });
+                report.commands.push({ commandId, command: delivery.command, confirmed: true, status: result.status, commandStatus: result.body.commandStatus });
+                onEvent('command_confirmed', report.commands[report.commands.length - 1]);
+                break; // A session dispenses once
+            }
+        }
+        if (poll < commandPolls - 1) {
+            await sleep(pollIntervalMs);
+        }
+    }
+
+    return report;
+};
+
+module.exports = { createKioskClient, fetchSender, runScenario, SCENARIOS };
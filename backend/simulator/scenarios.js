@@ -0,0 +1,92 @@
+// backend/simulator/scenarios.js
+
+// Scenarios the kiosk simulator can replay. Each describes the vitals a kiosk reports
+// (a reading for step i, given a seeded random source) and how it behaves towards the server.
+//
+//   readings(i, random)      - the i-th reading { bpm, spo2, temperature }
+//   duplicateUploads         - every upload is sent a second time, byte for byte (a replay)
+//   dropFirstConfirmation    - the first delivery of each command is never confirmed, as if the
+//                              kiosk lost power mid-dispense; the server must deliver it again
+//   dispenseFailure          - the kiosk reports the dispense as failed with this reason
+
+// A value in [min, max] rounded to `digits` decimals
+const between = (random, min, max, digits = 0) => Number((min + random() * (max - min)).toFixed(digits));
+
+const normalVitals = (random) => ({
+    bpm: between(random, 72, 80),
+    spo2: between(random, 97, 99),
+    temperature: between(random, 36.5, 37.0, 1)
+});
+
+const SCENARIOS = {
+    normal: {
+        description: 'Healthy adult at rest',
+        readings: (i, random) => normalVitals(random)
+    },
+    fever: {
+        description: 'Fever with a raised heart rate and mild desaturation',
+        readings: (i, random) => ({
+            bpm: between(random, 100, 110),
+            spo2: between(random, 92, 94),
+            temperature: between(random, 38.4, 38.9, 1)
+        })
+    },
+    hypoxia: {
+        description: 'Low oxygen saturation with a compensating heart rate',
+        readings: (i, random) => ({
+            bpm: between(random, 95, 105),
+            spo2: between(random, 85, 89),
+            temperature: between(random, 36.8, 37.3, 1)
+        })
+    },
+    noisy: {
+        description: 'Normal vitals with motion artefacts: of every five readings one spikes and two leave the physiological range',
+        readings: (i, random) => {
+            const reading = normalVitals(random);
+            if (i % 5 === 1) {
+                reading.bpm += 60; // Motion spike
+            } else if (i % 5 === 2 || i % 5 === 4) {
+                reading.temperature = 45.5; // Thermometer misread
+            }
+            return reading;
+        }
+    },
+    probe_off: {
+        description: 'Finger not in the pulse oximeter: SpO2 and heart rate read zero',
+        readings: (i, random) => ({ bpm: 0, spo2: 0, temperature: between(random, 36.5, 37.0, 1) })
+    },
+    dropped_confirmation: {
+        description: 'Fever; the kiosk never confirms the first delivery of a command',
+        readings: (i, random) => SCENARIOS.fever.readings(i, random),
+        dropFirstConfirmation: true
+    },
+    duplicate_uploads: {
+        description: 'Normal vitals; every upload is replayed with the same signature',
+        readings: (i, random) => normalVitals(random),
+        duplicateUploads: true
+    },
+    dispense_jam: {
+        description: 'Fever; the dispensing motor jams',
+        readings: (i, random) => SCENARIOS.fever.readings(i, random),
+        dispenseFailure: 'jam'
+    }
+};
+
+/**
+ * A small seeded random source (mulberry32), so a scenario replays the same readings every run.
+ *
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const seededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+module.exports = { SCENARIOS, seededRandom };
@@ -0,0 +1,160 @@
+// backend/tests/e2e/dataProtection.test.js
+// Patient names, phone numbers and vitals are encrypted at rest yet still found and shown to
+// authorised users; admins answer data-subject export and erasure requests; the retention policy
+// anonymises patients not seen for too long.
+
+// The policy is read when the modules load, so it is set before the harness requires the app
+process.env.RETENTION_ANONYMISE_AFTER_DAYS = '365';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startTestEnvironment, provisionKiosks } = require('./harness');
+const { runScenario } = require('../../simulator/kioskSimulator');
+const Patient = require('../../models/Patient');
+const Diagnosis = require('../../models/Diagnosis');
+const { setMailTransport } = require('../../utils/mailer');
+
+const KIOSKS = ['E2E-PHI-1', 'E2E-PHI-2', 'E2E-PHI-3', 'E2E-PHI-4', 'E2E-PHI-5'];
+
+let env;
+let kiosks;
+
+const as = (token) => (req) => req.set('Authorization', `Bearer ${token}`);
+
+// Starts a session for a new patient and uploads readings (fever unless another scenario is given)
+const measure = async (kioskId, patient, scenario = 'fever') => {
+    await kiosks[kioskId].heartbeat({ firmwareVersion: 'simulator' });
+    const started = await as(env.doctorToken)(request(env.app).post('/api/doctor/patient/start'))
+        .send({ kioskId, age: 42, gender: 'female', ...patient })
+        .expect(201);
+    await runScenario(kiosks[kioskId], scenario, { readings: 6 });
+    return started.body;
+};
+
+const cancel = (diagnosisId) => as(env.doctorToken)(request(env.app).post('/api/doctor/diagnosis/cancel'))
+    .send({ diagnosisId })
+    .expect(200);
+
+beforeAll(async () => {
+    env = await startTestEnvironment();
+    kiosks = await provisionKiosks(env, KIOSKS);
+});
+
+afterAll(async () => {
+    if (env) {
+        await env.stop();
+    }
+});
+
+describe('patient data protection', () => {
+    test('name, phone and vitals are stored encrypted but found and shown decrypted', async () => {
+        const { patientId, diagnosisId } = await measure('E2E-PHI-1', { name: 'Meera Joshi', phoneNumber: '+91 98765-43210' });
+
+        const storedPatient = await Patient.collection.findOne({ _id: new mongoose.Types.ObjectId(patientId) });
+        expect(storedPatient.name).toMatch(/^enc:e2e:/);
+        expect(storedPatient.phoneNumber).toMatch(/^enc:e2e:/);
+        expect(JSON.stringify(storedPatient)).not.toContain('98765');
+        const storedSession = await Diagnosis.collection.findOne({ _id: new mongoose.Types.ObjectId(diagnosisId) });
+        expect(storedSession.sensorData[0].temperature).toMatch(/^enc:e2e:/);
+
+        const live = await as(env.doctorToken)(request(env.app).get(`/api/doctor/patient/${diagnosisId}/live_data`)).expect(200);
+        expect(live.body.latestData.temperature).toBeGreaterThan(38);
+
+        const lookup = await as(env.doctorToken)(request(env.app).get('/api/patients/lookup?phone=9876543210')).expect(200);
+        expect(lookup.body.map((patient) => patient.name)).toEqual(['Meera Joshi']);
+
+        const search = await as(env.doctorToken)(request(env.app).get('/api/doctor/history?search=joshi')).expect(200);
+        expect(search.body.items.map((item) => item._id)).toEqual([diagnosisId]);
+        expect(search.body.items[0].patientId.name).toBe('Meera Joshi');
+        expect(search.body.items[0].sensorData[0].bpm).toBeGreaterThanOrEqual(100);
+
+        // The same name and phone on the next visit find the same record
+        await cancel(diagnosisId);
+        const again = await measure('E2E-PHI-1', { name: 'meera  joshi', phoneNumber: '+91 9876543210' });
+        expect(again.patientId).toBe(patientId);
+        await cancel(again.diagnosisId);
+    });
+
+    test('critical-alert notifications name the session, not the patient', async () => {
+        const sent = [];
+        setMailTransport(async (message) => { sent.push(message); });
+        try {
+            const { diagnosisId } = await measure('E2E-PHI-4', { name: 'Asha Patil', age: 67 }, 'hypoxia');
+            await cancel(diagnosisId);
+
+            expect(sent.length).toBeGreaterThan(0);
+            for (const { text } of sent) {
+                expect(text).toContain(diagnosisId);
+                expect(text).not.toMatch(/Asha|Patil|age 67/);
+            }
+        } finally {
+            setMailTransport(async () => {});
+        }
+    });
+
+    test('an admin exports everything recorded about a patient, then erases it', async () => {
+        const { patientId, diagnosisId } = await measure('E2E-PHI-2', { name: 'Ravi Kumar', phoneNumber: '+91 91234-56789' });
+
+        await as(env.doctorToken)(request(env.app).get(`/api/patients/${patientId}/export`)).expect(403);
+        const exported = await as(env.adminToken)(request(env.app).get(`/api/patients/${patientId}/export`)).expect(200);
+        expect(exported.body.patient).toMatchObject({ name: 'Ravi Kumar', phoneNumber: '+91 91234-56789' });
+        expect(exported.body.sessions[0].readings).toHaveLength(6);
+        expect(exported.body.sessions[0].readings[0].spo2).toBeGreaterThanOrEqual(92);
+
+        const erase = (body) => as(env.adminToken)(request(env.app).delete(`/api/patients/${patientId}`)).send(body);
+        expect((await erase({})).status).toBe(400); // A reason is required
+        expect((await erase({ reason: 'DSR-1' })).status).toBe(409); // Session in progress
+
+        await cancel(diagnosisId);
+        const erased = await erase({ reason: 'DSR-1' });
+        expect(erased.status).toBe(200);
+        expect(erased.body).toMatchObject({ outcome: 'erased', sessions: 1 });
+
+        expect(await Patient.exists({ _id: patientId })).toBeNull();
+        expect(await Diagnosis.exists({ _id: diagnosisId })).toBeNull();
+        const lookup = await as(env.doctorToken)(request(env.app).get('/api/patients/lookup?phone=9123456789')).expect(200);
+        expect(lookup.body).toEqual([]);
+    });
+
+    test('the retention policy anonymises patients not seen for longer than it allows', async () => {
+        const { patientId, diagnosisId } = await measure('E2E-PHI-3', { name: 'Old Visitor', phoneNumber: '+91 99887-76655' });
+        await cancel(diagnosisId);
+        await Patient.updateOne({ _id: patientId }, { $set: { lastVisitAt: new Date(Date.now() - 400 * 24 * 60 * 60 * 1000) } });
+
+        const run = await as(env.adminToken)(request(env.app).post('/api/admin/retention/run')).expect(200);
+        expect(run.body.policy).toEqual({ anonymiseAfterDays: 365, purgeAfterDays: 0 });
+        expect(run.body.anonymisedPatients).toBe(1);
+
+        const patient = await as(env.adminToken)(request(env.app).get(`/api/patients/${patientId}`)).expect(200);
+        expect(patient.body).toMatchObject({ name: 'Anonymised patient', age: 42, gender: 'female' });
+        expect(patient.body.phoneNumber).toBeUndefined();
+        expect(patient.body.patientCode).toBeUndefined();
+
+        // The session stays for analytics, but the patient can no longer be found
+        const lookup = await as(env.doctorToken)(request(env.app).get('/api/patients/lookup?phone=9988776655')).expect(200);
+        expect(lookup.body).toEqual([]);
+        const search = await as(env.doctorToken)(request(env.app).get('/api/doctor/history?search=visitor')).expect(200);
+        expect(search.body.items).toEqual([]);
+        expect(await Diagnosis.exists({ _id: diagnosisId })).not.toBeNull();
+
+        // Not even by its ID, for the doctor who saw them
+        const restart = await as(env.doctorToken)(request(env.app).post('/api/doctor/patient/start'))
+            .send({ kioskId: 'E2E-PHI-3', patientId });
+        expect(restart.status).toBe(404);
+    });
+
+    test("a patient's ID or code alone does not attach their record to a new session", async () => {
+        const stranger = await Patient.create({ name: 'Sunita Rao', age: 55, phoneNumber: '+91 90000-11111' });
+        await kiosks['E2E-PHI-5'].heartbeat({ firmwareVersion: 'simulator' });
+        const start = (body) => as(env.doctorToken)(request(env.app).post('/api/doctor/patient/start')).send({ kioskId: 'E2E-PHI-5', ...body });
+
+        expect((await start({ patientId: stranger._id.toString() })).status).toBe(404);
+        expect((await start({ patientCode: stranger.patientCode, name: 'Sunita Rao', phoneNumber: '+91 95555-00000' })).status).toBe(404);
+        await as(env.doctorToken)(request(env.app).get(`/api/patients/${stranger._id}`)).expect(404);
+
+        // Confirmed by the phone number and name on the record
+        const confirmed = await start({ patientId: stranger._id.toString(), name: 'sunita rao', phoneNumber: '9000011111' });
+        expect(confirmed.status).toBe(201);
+        expect(confirmed.body.returningPatient).toBe(true);
+    });
+});
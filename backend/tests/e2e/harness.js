@@ -0,0 +1,145 @@
+// backend/tests/e2e/harness.js
+// Shared setup for the end-to-end tests: an in-memory MongoDB behind the real Express app,
+// an admin, a doctor who signed up and was approved through the API, and kiosks registered
+// and stocked through the API. Kiosk traffic goes through the simulator, signed as the firmware signs it.
+//
+// MongoDB: mongodb-memory-server downloads a mongod binary on first use and caches it
+// (~/.cache/mongodb-binaries), so the first run needs network access. Without it, either
+// - set MONGOMS_SYSTEM_BINARY to an installed mongod (e.g. /usr/bin/mongod), or
+// - set E2E_MONGO_URI to a running MongoDB; each suite then uses a database of its own, dropped afterwards.
+
+// Settings read when the modules load, so they are set before the app is required
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'e2e-test-secret';
+process.env.COMMAND_LEASE_SECONDS = process.env.COMMAND_LEASE_SECONDS || '1'; // Re-delivery within a test
+// Patient data is encrypted as in production; these keys are for tests only
+process.env.PHI_ENCRYPTION_KEYS = process.env.PHI_ENCRYPTION_KEYS || `e2e:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.PHI_INDEX_KEY = process.env.PHI_INDEX_KEY || Buffer.alloc(32, 2).toString('base64');
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../app');
+const User = require('../../models/User');
+const { setMailTransport } = require('../../utils/mailer');
+const { createKioskClient } = require('../../simulator/kioskSimulator');
+
+const PASSWORD = 'Correct-Horse-9';
+
+// A simulator `send` function that goes through supertest instead of the network
+const supertestSender = async ({ method, path, headers, body }) => {
+    let req = request(app)[method.toLowerCase()](path).set(headers);
+    if (body !== undefined) {
+        req = req.send(body); // The exact string that was signed
+    }
+    const res = await req;
+    return { status: res.status, body: res.body };
+};
+
+const login = async (email) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+    if (res.status !== 200) {
+        throw new Error(`Login as ${email} failed: ${res.status} ${res.body.message}`);
+    }
+    return res.body.token;
+};
+
+/**
+ * Signs a doctor up through the API, has the admin approve them and logs them in.
+ *
+ * @param {string} adminToken
+ * @param {string} name
+ * @param {string} email
+ * @returns {Promise<Object>} { doctorId, token }
+ */
+const registerDoctor = async (adminToken, name, email) => {
+    const signup = await request(app).post('/api/auth/signup').send({ name, email, password: PASSWORD });
+    if (signup.status !== 201) {
+        throw new Error(`Doctor signup failed: ${signup.status} ${signup.body.message}`);
+    }
+    const doctorId = signup.body.user.id;
+    await request(app).post(`/api/admin/users/${doctorId}/approve`).set('Authorization', `Bearer ${adminToken}`).expect(200);
+    return { doctorId, token: await login(email) };
+};
+
+// Connects mongoose to a fresh database (see the top of this file) and returns how to stop it
+const connectMongo = async () => {
+    if (process.env.E2E_MONGO_URI) {
+        await mongoose.connect(process.env.E2E_MONGO_URI, { dbName: `medatm-e2e-${crypto.randomBytes(4).toString('hex')}` });
+        return async () => {
+            await mongoose.connection.dropDatabase();
+            await mongoose.disconnect();
+        };
+    }
+
+    let mongo;
+    try {
+        mongo = await MongoMemoryServer.create();
+    } catch (err) {
+        throw new Error(`Could not start the in-memory MongoDB: ${err.message}. ` +
+            'Without network access to download mongod, set MONGOMS_SYSTEM_BINARY to an installed mongod or E2E_MONGO_URI to a running MongoDB.');
+    }
+    await mongoose.connect(mongo.getUri());
+    return async () => {
+        await mongoose.disconnect();
+        await mongo.stop();
+    };
+};
+
+/**
+ * Starts MongoDB and creates the admin and the approved doctor.
+ *
+ * @returns {Promise<Object>} { app, adminToken, doctorToken, doctorId, stop }
+ */
+const startTestEnvironment = async () => {
+    const stopMongo = await connectMongo();
+    setMailTransport(async () => {}); // Alert emails are not under test
+
+    await User.create({ name: 'Test Admin', email: 'admin@example.test', password: PASSWORD, role: 'admin', status: 'active' });
+    const adminToken = await login('admin@example.test');
+
+    const { doctorId, token: doctorToken } = await registerDoctor(adminToken, 'Test Doctor', 'doctor@example.test');
+
+    return {
+        app,
+        adminToken,
+        doctorToken,
+        doctorId,
+        stop: stopMongo
+    };
+};
+
+/**
+ * Registers kiosks, stocks slot 1 of each with a medication for 'Disease A', assigns them
+ * to the doctor and returns a simulator client per kiosk.
+ *
+ * @param {Object} env - From startTestEnvironment.
+ * @param {Array<string>} kioskIds
+ * @param {Object} [options]
+ * @param {Array<string>} [options.selfService=[]] - Kiosks on which patients start their own sessions.
+ * @returns {Promise<Object>} kioskId -> simulator client (with the kiosk's `secret`)
+ */
+const provisionKiosks = async (env, kioskIds, { selfService = [] } = {}) => {
+    const asAdmin = (req) => req.set('Authorization', `Bearer ${env.adminToken}`);
+
+    const medication = await asAdmin(request(app).post('/api/inventory/medications'))
+        .send({ name: 'Paracetamol 500mg', dose: '1 tablet', indications: ['Disease A'] })
+        .expect(201);
+
+    const clients = {};
+    for (const kioskId of kioskIds) {
+        const registered = await asAdmin(request(app).post('/api/kiosks'))
+            .send({ kioskId, name: `Test ${kioskId}`, selfService: selfService.includes(kioskId) })
+            .expect(201);
+        await asAdmin(request(app).put(`/api/inventory/kiosks/${kioskId}/slots/1`))
+            .send({ medicationId: medication.body._id, stock: 5, lotNumber: 'LOT-1', expiryDate: '2099-01-01' })
+            .expect(200);
+        clients[kioskId] = createKioskClient({ kioskId, secret: registered.body.secret, send: supertestSender });
+        clients[kioskId].secret = registered.body.secret; // For signing in over MQTT
+    }
+    await asAdmin(request(app).put(`/api/admin/users/${env.doctorId}/kiosks`)).send({ kioskIds }).expect(200);
+
+    return clients;
+};
+
+module.exports = { startTestEnvironment, provisionKiosks, registerDoctor, supertestSender, PASSWORD };
@@ -0,0 +1,284 @@
+// backend/tests/e2e/kioskFlow.test.js
+// Drives whole kiosk sessions through the real routes: a doctor starts a session, the simulated
+// kiosk uploads vitals, the doctor reviews and approves, and the kiosk fetches and confirms the dispense.
+
+const request = require('supertest');
+const { startTestEnvironment, provisionKiosks } = require('./harness');
+const { runScenario, SCENARIOS } = require('../../simulator/kioskSimulator');
+const { seededRandom } = require('../../simulator/scenarios');
+const DispenseCommand = require('../../models/DispenseCommand');
+const { expireStaleCommands } = require('../../utils/commandQueue');
+
+const KIOSKS = ['E2E-FLOW', 'E2E-NORMAL', 'E2E-NOISY', 'E2E-PROBE', 'E2E-REPLAY', 'E2E-DROP', 'E2E-JAM', 'E2E-BATCH', 'E2E-OFFLINE', 'E2E-DOUBLE', 'E2E-LEASED'];
+
+let env;
+let kiosks;
+
+const asDoctor = (req) => req.set('Authorization', `Bearer ${env.doctorToken}`);
+
+// Heartbeat so the kiosk shows online, then start a session for a new patient on it
+const startSession = async (kioskId) => {
+    await kiosks[kioskId].heartbeat({ firmwareVersion: 'simulator' });
+    const res = await asDoctor(request(env.app).post('/api/doctor/patient/start'))
+        .send({ kioskId, name: `Patient ${kioskId}`, age: 42, gender: 'female' })
+        .expect(201);
+    return res.body.diagnosisId;
+};
+
+const liveData = async (diagnosisId) => {
+    const res = await asDoctor(request(env.app).get(`/api/doctor/patient/${diagnosisId}/live_data`)).expect(200);
+    return res.body;
+};
+
+const sessionRecord = async (kioskId) => {
+    const res = await asDoctor(request(env.app).get(`/api/doctor/history?kioskId=${kioskId}`)).expect(200);
+    return res.body.items[0];
+};
+
+const approve = (diagnosisId, approvedDisease) => asDoctor(request(env.app).post('/api/doctor/diagnosis/approve'))
+    .send({ diagnosisId, approvedDisease })
+    .expect(200);
+
+beforeAll(async () => {
+    env = await startTestEnvironment();
+    kiosks = await provisionKiosks(env, KIOSKS);
+});
+
+afterAll(async () => {
+    if (env) {
+        await env.stop();
+    }
+});
+
+describe('kiosk session, end to end', () => {
+    test('fever session: upload, prediction, approval, command delivery and confirmation', async () => {
+        const kiosk = kiosks['E2E-FLOW'];
+        const diagnosisId = await startSession('E2E-FLOW');
+
+        const report = await runScenario(kiosk, 'fever', { readings: 6 });
+        expect(report.uploads.every((upload) => upload.status === 200)).toBe(true);
+        expect(report.uploads[report.uploads.length - 1]).toMatchObject({ prediction: 'Disease A', signalQuality: 'good' });
+
+        const live = await liveData(diagnosisId);
+        expect(live.status).toBe('pending_approval');
+        expect(live.predictedDisease).toBe('Disease A');
+        expect(live.predictionConfidence).toBe(1);
+        expect(live.predictionReasoning.length).toBeGreaterThan(0);
+
+        const approval = await approve(diagnosisId, live.predictedDisease);
+        expect(approval.body.motorCommand).toBe('activate_motor_1');
+        expect(approval.body.dispensedMedication.name).toBe('Paracetamol 500mg');
+
+        const delivery = await kiosk.getCommand();
+        expect(delivery.status).toBe(200);
+        expect(delivery.body).toMatchObject({ command: 'activate_motor_1', diagnosisId });
+        expect(String(approval.body.commandId)).toBe(String(delivery.body.commandId));
+
+        const confirmation = await kiosk.confirmCommand(delivery.body.commandId, { status: 'motor_1_activated' });
+        expect(confirmation.status).toBe(200);
+        expect(confirmation.body).toMatchObject({ commandStatus: 'executed', duplicate: false });
+
+        expect((await sessionRecord('E2E-FLOW')).status).toBe('medication_dispensed');
+        const slots = await request(env.app).get('/api/inventory/kiosks/E2E-FLOW/slots')
+            .set('Authorization', `Bearer ${env.adminToken}`)
+            .expect(200);
+        expect(slots.body.slots[0].stock).toBe(4);
+
+        await asDoctor(request(env.app).post('/api/doctor/diagnosis/complete')).send({ diagnosisId }).expect(200);
+        expect((await sessionRecord('E2E-FLOW')).status).toBe('completed');
+    });
+
+    test('a double-submitted approval dispenses once', async () => {
+        const diagnosisId = await startSession('E2E-DOUBLE');
+        await runScenario(kiosks['E2E-DOUBLE'], 'fever', { readings: 6 });
+
+        const submit = () => asDoctor(request(env.app).post('/api/doctor/diagnosis/approve'))
+            .send({ diagnosisId, approvedDisease: 'Disease A' });
+        const results = await Promise.all([submit(), submit()]);
+        expect(results.map((res) => res.status).sort()).toEqual([200, 409]);
+        expect(await DispenseCommand.countDocuments({ diagnosisId })).toBe(1);
+    });
+
+    test('normal vitals: no rule matches, so the session waits for the doctor without a prediction', async () => {
+        const diagnosisId = await startSession('E2E-NORMAL');
+
+        const report = await runScenario(kiosks['E2E-NORMAL'], 'normal', { readings: 6 });
+        expect(report.uploads.every((upload) => upload.status === 200)).toBe(true);
+
+        const live = await liveData(diagnosisId);
+        expect(live.predictedDisease).toBe('Undetermined');
+        expect(live.status).toBe('collecting_data');
+        expect(live.signalQuality.state).toBe('good');
+
+        // An override still has to name a condition the rule set knows
+        const unknown = await asDoctor(request(env.app).post('/api/doctor/diagnosis/override'))
+            .send({ diagnosisId, approvedDisease: 'Made-up disease', note: 'Clinical judgement' });
+        expect(unknown.status).toBe(400);
+        expect((await liveData(diagnosisId)).status).toBe('collecting_data');
+    });
+
+    test('noisy readings are kept but flagged, and no prediction is made from them', async () => {
+        const diagnosisId = await startSession('E2E-NOISY');
+
+        const report = await runScenario(kiosks['E2E-NOISY'], 'noisy', { readings: 8 });
+        expect(report.uploads[report.uploads.length - 1].signalQuality).toBe('noisy');
+
+        const live = await liveData(diagnosisId);
+        expect(live.predictedDisease).toBe('N/A');
+        expect(live.signalQuality.rejected).toMatchObject({ spike: 2, out_of_range: 3 });
+    });
+
+    test('probe off: readings are rejected and the doctor is told why', async () => {
+        const diagnosisId = await startSession('E2E-PROBE');
+
+        const report = await runScenario(kiosks['E2E-PROBE'], 'probe_off', { readings: 4 });
+        expect(report.uploads.every((upload) => upload.signalQuality === 'probe_off')).toBe(true);
+
+        const live = await liveData(diagnosisId);
+        expect(live.latestData.quality).toBe('probe_off');
+        expect(live.predictionReasoning[0]).toMatch(/probe not detected/);
+    });
+
+    test('a replayed upload is rejected and not recorded twice', async () => {
+        const diagnosisId = await startSession('E2E-REPLAY');
+
+        const report = await runScenario(kiosks['E2E-REPLAY'], 'duplicate_uploads', { readings: 3 });
+        expect(report.uploads.map((upload) => upload.status)).toEqual([200, 200, 200]);
+        expect(report.replays.map((replay) => replay.status)).toEqual([401, 401, 401]);
+
+        const history = await sessionRecord('E2E-REPLAY');
+        expect(history._id).toBe(diagnosisId);
+        expect(history.sensorData).toHaveLength(3);
+    });
+
+    test('an unsigned upload is rejected', async () => {
+        await request(env.app).post('/api/esp32/data_upload').send({ bpm: 80, spo2: 98, temperature: 36.8 }).expect(401);
+    });
+
+    test('a dropped confirmation is delivered again after the lease, and a repeated confirmation is idempotent', async () => {
+        const kiosk = kiosks['E2E-DROP'];
+        const diagnosisId = await startSession('E2E-DROP');
+        await runScenario(kiosk, 'dropped_confirmation', { readings: 6 });
+        await approve(diagnosisId, 'Disease A');
+
+        // The first delivery is never confirmed; the lease (1s in tests) runs out and it comes again
+        const report = await runScenario(kiosk, 'dropped_confirmation', { readings: 0, commandPolls: 5, pollIntervalMs: 1100 });
+        expect(report.commands).toHaveLength(2);
+        expect(report.commands[0]).toMatchObject({ command: 'activate_motor_1', confirmed: false });
+        expect(report.commands[1]).toMatchObject({ commandId: report.commands[0].commandId, confirmed: true, status: 200, commandStatus: 'executed' });
+
+        const repeated = await kiosk.confirmCommand(report.commands[0].commandId, { status: 'activate_motor_1_done' });
+        expect(repeated.status).toBe(200);
+        expect(repeated.body.duplicate).toBe(true);
+
+        expect((await sessionRecord('E2E-DROP')).status).toBe('medication_dispensed');
+    });
+
+    test('a session cannot be cancelled while the kiosk holds its command, and the dispense is still counted', async () => {
+        const kiosk = kiosks['E2E-LEASED'];
+        const diagnosisId = await startSession('E2E-LEASED');
+        await runScenario(kiosk, 'fever', { readings: 6 });
+        await approve(diagnosisId, 'Disease A');
+
+        const delivery = await kiosk.getCommand();
+        expect(delivery.body.command).toBe('activate_motor_1');
+        const cancel = await asDoctor(request(env.app).post('/api/doctor/diagnosis/cancel')).send({ diagnosisId });
+        expect(cancel.status).toBe(409);
+
+        const confirmation = await kiosk.confirmCommand(delivery.body.commandId, { status: 'motor_1_activated' });
+        expect(confirmation.status).toBe(200);
+        expect((await sessionRecord('E2E-LEASED')).status).toBe('medication_dispensed');
+        const slots = await request(env.app).get('/api/inventory/kiosks/E2E-LEASED/slots')
+            .set('Authorization', `Bearer ${env.adminToken}`)
+            .expect(200);
+        expect(slots.body.slots[0].stock).toBe(4);
+    });
+
+    test('a jammed dispense fails the session with the reported reason', async () => {
+        const kiosk = kiosks['E2E-JAM'];
+        const diagnosisId = await startSession('E2E-JAM');
+        await runScenario(kiosk, 'dispense_jam', { readings: 6 });
+        await approve(diagnosisId, 'Disease A');
+
+        const report = await runScenario(kiosk, 'dispense_jam', { readings: 0, commandPolls: 1 });
+        expect(report.commands[0]).toMatchObject({ confirmed: true, commandStatus: 'failed' });
+
+        const session = await sessionRecord('E2E-JAM');
+        expect(session.status).toBe('dispense_failed');
+        expect(session.dispenseFailureReason).toBe('jam');
+    });
+
+    test('buffered readings: clock skew corrected, retransmissions dropped and readings stored in measured order', async () => {
+        const kiosk = kiosks['E2E-BATCH'];
+        const diagnosisId = await startSession('E2E-BATCH');
+
+        // The kiosk's clock runs an hour behind; it measured six readings just before it reconnected
+        const random = seededRandom(7);
+        const sentAt = Date.now() - 60 * 60 * 1000;
+        const buffered = [0, 1, 2, 3, 4, 5].map((seq) => ({ seq, deviceTime: sentAt - (6 - seq) * 200, ...SCENARIOS.fever.readings(seq, random) }));
+        const stale = { seq: 99, deviceTime: sentAt - 10 * 60 * 1000, ...SCENARIOS.fever.readings(99, random) }; // Before the session
+
+        const first = await kiosk.uploadBatch([buffered[3], buffered[0], buffered[4], stale], sentAt);
+        expect(first.status).toBe(200);
+        expect(first.body).toMatchObject({ accepted: 3, duplicates: 0, rejected: { invalid: 0, before_session: 1 }, lastSeq: 99 });
+
+        // The first batch's response was lost, so the kiosk sends everything it still holds
+        const second = await kiosk.uploadBatch(buffered, sentAt + 500);
+        expect(second.body).toMatchObject({ accepted: 3, duplicates: 3, lastSeq: 5, currentPrediction: 'Disease A' });
+        expect(Math.abs(second.body.clockSkewMs - 60 * 60 * 1000)).toBeLessThan(5000);
+
+        const history = await sessionRecord('E2E-BATCH');
+        expect(history._id).toBe(diagnosisId);
+        expect(history.sensorData.map((reading) => reading.seq)).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(new Date(history.sensorData[5].timestamp).getTime()).toBeLessThanOrEqual(Date.now());
+
+        const invalid = await kiosk.uploadBatch([{ seq: 6, bpm: 80, spo2: 98, temperature: 36.8, deviceTime: 'soon' }], sentAt);
+        expect(invalid.status).toBe(400);
+
+        // Vitals that are not numbers the sensors can report are dropped rather than stored
+        const malformed = await kiosk.uploadBatch([
+            { seq: 6, bpm: null, spo2: 98, temperature: 36.8 },
+            { seq: 7, bpm: 80, spo2: '', temperature: 36.8 },
+            { seq: 8, bpm: 80, spo2: 98, temperature: true },
+            { seq: 9, bpm: '80', spo2: 98, temperature: 36.8 },
+            { seq: 10, bpm: 80, spo2: 140, temperature: 36.8 }
+        ]);
+        expect(malformed.status).toBe(200);
+        expect(malformed.body).toMatchObject({ accepted: 0, rejected: { invalid: 5 } });
+
+        // Overlapping uploads arriving together store every reading exactly once
+        const overlapping = [11, 12, 13].map((seq) => ({ seq, ...SCENARIOS.fever.readings(seq, random) }));
+        const results = await Promise.all([kiosk.uploadBatch(overlapping.slice(0, 2)), kiosk.uploadBatch(overlapping.slice(1))]);
+        expect(results.map((res) => res.status)).toEqual([200, 200]);
+        const stored = (await sessionRecord('E2E-BATCH')).sensorData.map((reading) => reading.seq);
+        expect(stored.sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 11, 12, 13]);
+    });
+
+    test('a kiosk back online reconciles a dispense it carried out while the command expired', async () => {
+        const kiosk = kiosks['E2E-OFFLINE'];
+        const diagnosisId = await startSession('E2E-OFFLINE');
+        await runScenario(kiosk, 'fever', { readings: 6 });
+        await approve(diagnosisId, 'Disease A');
+
+        const delivery = await kiosk.getCommand();
+        const commandId = String(delivery.body.commandId);
+
+        // Still valid: the kiosk keeps the command it holds
+        const held = await kiosk.reconcile([], [commandId]);
+        expect(held.body.keep.map((command) => String(command.commandId))).toEqual([commandId]);
+
+        // It goes offline and dispenses; meanwhile the command expires and the periodic job fails the session
+        await DispenseCommand.updateOne({ _id: commandId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+        expect(await expireStaleCommands()).toBe(1);
+        expect((await sessionRecord('E2E-OFFLINE')).status).toBe('dispense_failed');
+        expect((await kiosk.getCommand()).body.command).toBe('none');
+
+        const reconciled = await kiosk.reconcile([{ commandId, status: 'activate_motor_1_done' }], []);
+        expect(reconciled.status).toBe(200);
+        expect(reconciled.body.reports).toEqual([{ commandId, outcome: 'late_confirmed', commandStatus: 'executed' }]);
+        expect((await sessionRecord('E2E-OFFLINE')).status).toBe('medication_dispensed');
+
+        const again = await kiosk.reconcile([{ commandId, status: 'activate_motor_1_done' }], []);
+        expect(again.body.reports[0].outcome).toBe('duplicate');
+    });
+});
@@ -0,0 +1,179 @@
+// backend/tests/e2e/mqtt.test.js
+// Kiosks on the MQTT transport: the server runs the embedded broker, simulated kiosks sign in
+// with their credentials, publish vitals and acknowledge the dispense commands pushed to them.
+
+const net = require('net');
+const mqtt = require('mqtt');
+const request = require('supertest');
+const { startTestEnvironment, provisionKiosks } = require('./harness');
+const { startMqttTransport, buildConnectPassword, kioskTopic } = require('../../utils/mqttTransport');
+const { SCENARIOS } = require('../../simulator/kioskSimulator');
+const { seededRandom } = require('../../simulator/scenarios');
+const DispenseCommand = require('../../models/DispenseCommand');
+
+const KIOSKS = ['E2E-MQTT-1', 'E2E-MQTT-2'];
+
+let env;
+let kiosks;
+let transport;
+let brokerUrl;
+const connected = []; // Kiosk connections to close after the tests
+
+const asDoctor = (req) => req.set('Authorization', `Bearer ${env.doctorToken}`);
+
+// A port nothing listens on, for the embedded broker
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+// Polls until check() returns something truthy, which it resolves to
+const eventually = async (check, { timeoutMs = 5000, intervalMs = 50 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+};
+
+// Signs a kiosk in to the broker as the firmware does
+const connectKiosk = async (kioskId, secret = kiosks[kioskId].secret) => {
+    const client = await mqtt.connectAsync(brokerUrl, {
+        clientId: `e2e-${kioskId}-${connected.length}`,
+        username: kioskId,
+        password: buildConnectPassword(kioskId, secret),
+        reconnectPeriod: 0
+    });
+    connected.push(client);
+    return client;
+};
+
+const nextMessage = (client) => new Promise((resolve) => {
+    client.once('message', (topic, payload, packet) => resolve({ topic, body: JSON.parse(payload.toString()), packet }));
+});
+
+const closed = (client) => new Promise((resolve) => {
+    if (!client.connected) {
+        return resolve();
+    }
+    client.once('close', resolve);
+});
+
+const startSession = async (kioskId) => {
+    await kiosks[kioskId].heartbeat({ firmwareVersion: 'simulator' });
+    const res = await asDoctor(request(env.app).post('/api/doctor/patient/start'))
+        .send({ kioskId, name: `Patient ${kioskId}`, age: 42, gender: 'female' })
+        .expect(201);
+    return res.body.diagnosisId;
+};
+
+const liveData = async (diagnosisId) => (await asDoctor(request(env.app).get(`/api/doctor/patient/${diagnosisId}/live_data`)).expect(200)).body;
+
+const sessionRecord = async (kioskId) => (await asDoctor(request(env.app).get(`/api/doctor/history?kioskId=${kioskId}`)).expect(200)).body.items[0];
+
+beforeAll(async () => {
+    env = await startTestEnvironment();
+    kiosks = await provisionKiosks(env, KIOSKS);
+
+    const port = await freePort();
+    process.env.MQTT_BROKER_PORT = String(port);
+    brokerUrl = `mqtt://localhost:${port}`;
+    transport = startMqttTransport();
+
+    // The server's client subscribes to every kiosk's topics once it is connected
+    await new Promise((resolve) => {
+        transport.broker.on('subscribe', (subscriptions, client) => {
+            if (client && client.id.startsWith('medatm-backend')) {
+                resolve();
+            }
+        });
+    });
+});
+
+afterAll(async () => {
+    await Promise.all(connected.map((client) => client.endAsync(true)));
+    if (transport) {
+        await transport.stop();
+    }
+    delete process.env.MQTT_BROKER_PORT;
+    if (env) {
+        await env.stop();
+    }
+});
+
+describe('MQTT transport', () => {
+    test('vitals published by a kiosk are stored and predicted on, and the dispense command is pushed and acknowledged', async () => {
+        const diagnosisId = await startSession('E2E-MQTT-1');
+        const kiosk = await connectKiosk('E2E-MQTT-1');
+        await kiosk.subscribeAsync(kioskTopic('E2E-MQTT-1', 'commands'), { qos: 1 });
+        await kiosk.publishAsync(kioskTopic('E2E-MQTT-1', 'status'), 'online', { qos: 1, retain: true });
+
+        const random = seededRandom(3);
+        const readings = [0, 1, 2, 3, 4, 5].map((seq) => ({ seq, ...SCENARIOS.fever.readings(seq, random) }));
+        await kiosk.publishAsync(kioskTopic('E2E-MQTT-1', 'vitals'), JSON.stringify({ readings }), { qos: 1 });
+
+        const live = await eventually(async () => {
+            const data = await liveData(diagnosisId);
+            return data.status === 'pending_approval' && data;
+        });
+        expect(live.predictedDisease).toBe('Disease A');
+        expect((await sessionRecord('E2E-MQTT-1')).sensorData.map((reading) => reading.seq)).toEqual([0, 1, 2, 3, 4, 5]);
+
+        // Approving queues the command, which the server pushes to the online kiosk at QoS 1
+        const pushed = nextMessage(kiosk);
+        const approval = await asDoctor(request(env.app).post('/api/doctor/diagnosis/approve'))
+            .send({ diagnosisId, approvedDisease: 'Disease A' })
+            .expect(200);
+        const { topic, body, packet } = await pushed;
+        expect(topic).toBe(kioskTopic('E2E-MQTT-1', 'commands'));
+        expect(packet.qos).toBe(1);
+        expect(body).toMatchObject({ command: 'activate_motor_1', diagnosisId });
+        expect(String(body.commandId)).toBe(String(approval.body.commandId));
+
+        await kiosk.publishAsync(kioskTopic('E2E-MQTT-1', 'acks'), JSON.stringify({ commandId: body.commandId, status: 'motor_1_activated' }), { qos: 1 });
+        const command = await eventually(async () => {
+            const stored = await DispenseCommand.findById(body.commandId);
+            return stored.status === 'executed' && stored;
+        });
+        expect(command.kioskId).toBe('E2E-MQTT-1');
+        expect((await sessionRecord('E2E-MQTT-1')).status).toBe('medication_dispensed');
+    });
+
+    test('a kiosk cannot sign in with the wrong secret or reuse its credentials', async () => {
+        await expect(connectKiosk('E2E-MQTT-2', 'not-the-secret')).rejects.toThrow(/Not authorized/i);
+
+        const password = buildConnectPassword('E2E-MQTT-2', kiosks['E2E-MQTT-2'].secret);
+        const options = { username: 'E2E-MQTT-2', password, reconnectPeriod: 0 };
+        const first = await mqtt.connectAsync(brokerUrl, { ...options, clientId: 'e2e-replay-1' });
+        connected.push(first);
+        await expect(mqtt.connectAsync(brokerUrl, { ...options, clientId: 'e2e-replay-2' })).rejects.toThrow(/Not authorized/i);
+    });
+
+    test("a kiosk is disconnected when it uses another kiosk's topics", async () => {
+        const diagnosisId = await startSession('E2E-MQTT-2');
+
+        const subscriber = await connectKiosk('E2E-MQTT-1');
+        const subscriberClosed = closed(subscriber);
+        subscriber.subscribe(kioskTopic('E2E-MQTT-2', 'commands'), { qos: 1 }, () => {});
+        await subscriberClosed;
+
+        const publisher = await connectKiosk('E2E-MQTT-1');
+        const publisherClosed = closed(publisher);
+        publisher.publish(kioskTopic('E2E-MQTT-2', 'vitals'), JSON.stringify({ bpm: 80, spo2: 98, temperature: 36.8 }), { qos: 1 }, () => {});
+        await publisherClosed;
+
+        // Give a message that did get through time to be stored
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        expect((await liveData(diagnosisId)).latestData).toMatchObject({ bpm: 0, spo2: 0, temperature: 0 });
+    });
+});
@@ -0,0 +1,141 @@
+// backend/tests/e2e/triage.test.js
+// Patients start sessions at self-service kiosks; the sessions wait in the triage queue until an
+// on-duty doctor claims one, and can be released or handed off between doctors.
+
+const request = require('supertest');
+const { startTestEnvironment, provisionKiosks, registerDoctor } = require('./harness');
+const { runScenario } = require('../../simulator/kioskSimulator');
+
+const SELF_SERVICE = ['E2E-SELF-1', 'E2E-SELF-2', 'E2E-SELF-3'];
+
+let env;
+let kiosks;
+let second; // A second doctor: { doctorId, token }
+
+const as = (token) => (req) => req.set('Authorization', `Bearer ${token}`);
+
+const setOnDuty = (token, onDuty) => as(token)(request(env.app).put('/api/doctor/availability')).send({ onDuty }).expect(200);
+
+const queue = async (token) => (await as(token)(request(env.app).get('/api/doctor/triage')).expect(200)).body;
+
+const claim = (token, diagnosisId) => as(token)(request(env.app).post('/api/doctor/triage/claim')).send({ diagnosisId });
+
+const selfStart = async (kioskId, patient) => {
+    await kiosks[kioskId].heartbeat({ firmwareVersion: 'simulator' });
+    const res = await kiosks[kioskId].startSession(patient);
+    expect(res.status).toBe(201);
+    return res.body;
+};
+
+beforeAll(async () => {
+    env = await startTestEnvironment();
+    kiosks = await provisionKiosks(env, [...SELF_SERVICE, 'E2E-STAFFED'], { selfService: SELF_SERVICE });
+    second = await registerDoctor(env.adminToken, 'Second Doctor', 'second@example.test');
+});
+
+afterAll(async () => {
+    if (env) {
+        await env.stop();
+    }
+});
+
+describe('triage queue', () => {
+    test('a kiosk without self-service refuses a patient-started session', async () => {
+        const res = await kiosks['E2E-STAFFED'].startSession({ name: 'Walk In', age: 30 });
+        expect(res.status).toBe(403);
+    });
+
+    test('the sicker patient goes first, whoever arrived earlier', async () => {
+        const routine = await selfStart('E2E-SELF-1', { name: 'Routine Patient', age: 35 });
+        expect(routine.queuePosition).toBe(1);
+        await runScenario(kiosks['E2E-SELF-1'], 'normal', { readings: 5 });
+
+        const sick = await selfStart('E2E-SELF-2', { name: 'Feverish Patient', age: 40 });
+        expect(sick.queuePosition).toBe(2);
+        await runScenario(kiosks['E2E-SELF-2'], 'fever', { readings: 6 });
+
+        const { items, onDuty } = await queue(env.doctorToken);
+        expect(onDuty).toBe(false);
+        expect(items.map((item) => item.diagnosisId)).toEqual([sick.diagnosisId, routine.diagnosisId]);
+        expect(items[0].triage.level).toBe('urgent');
+        expect(items[0].triage.reasons.length).toBeGreaterThan(0);
+        expect(items[1].triage.level).toBe('routine');
+
+        const status = await kiosks['E2E-SELF-1'].getSession();
+        expect(status.body).toMatchObject({ claimed: false, queuePosition: 2 });
+    });
+
+    test('only on-duty doctors claim, and of two doctors claiming at once exactly one wins', async () => {
+        const { items } = await queue(env.doctorToken);
+        const diagnosisId = items[0].diagnosisId;
+
+        expect((await claim(env.doctorToken, diagnosisId)).status).toBe(409); // Off duty
+        const unclaimed = await as(env.doctorToken)(request(env.app).get(`/api/doctor/patient/${diagnosisId}/live_data`));
+        expect(unclaimed.status).toBe(404); // Patient details only once claimed
+
+        await setOnDuty(env.doctorToken, true);
+        await setOnDuty(second.token, true);
+        const results = await Promise.all([claim(env.doctorToken, diagnosisId), claim(second.token, diagnosisId)]);
+        expect(results.map((res) => res.status).sort()).toEqual([200, 409]);
+
+        const [winner, loser] = results[0].status === 200 ? [env.doctorToken, second.token] : [second.token, env.doctorToken];
+        const refused = await as(loser)(request(env.app).post('/api/doctor/diagnosis/approve')).send({ diagnosisId, approvedDisease: 'Disease A' });
+        expect(refused.status).toBe(404);
+
+        expect((await queue(winner)).items.map((item) => item.diagnosisId)).not.toContain(diagnosisId);
+        expect((await kiosks['E2E-SELF-2'].getSession()).body).toMatchObject({ claimed: true, queuePosition: null });
+        expect((await kiosks['E2E-SELF-2'].cancelSession()).status).toBe(409); // A doctor has it now
+
+        // Hand it to the other doctor, who approves; the kiosk then dispenses
+        const handoff = await as(winner)(request(env.app).post('/api/doctor/triage/handoff'))
+            .send({ diagnosisId, toDoctorId: winner === env.doctorToken ? second.doctorId : env.doctorId, note: 'Fever, please review' });
+        expect(handoff.status).toBe(200);
+
+        const stale = await as(winner)(request(env.app).post('/api/doctor/diagnosis/approve')).send({ diagnosisId, approvedDisease: 'Disease A' });
+        expect(stale.status).toBe(404);
+        const approval = await as(loser)(request(env.app).post('/api/doctor/diagnosis/approve')).send({ diagnosisId, approvedDisease: 'Disease A' });
+        expect(approval.status).toBe(200);
+        expect(approval.body.motorCommand).toBe('activate_motor_1');
+        expect((await kiosks['E2E-SELF-2'].getCommand()).body.command).toBe('activate_motor_1');
+    });
+
+    test('a released session returns to the queue, and going off duty releases what a doctor holds', async () => {
+        const { items } = await queue(env.doctorToken);
+        const diagnosisId = items[0].diagnosisId;
+
+        expect((await claim(env.doctorToken, diagnosisId)).status).toBe(200);
+        const release = await as(env.doctorToken)(request(env.app).post('/api/doctor/triage/release')).send({ diagnosisId, note: 'Needs a paediatrician' });
+        expect(release.status).toBe(200);
+        const requeued = (await queue(env.doctorToken)).items.find((item) => item.diagnosisId === diagnosisId);
+        expect(requeued.releasedBefore).toBe(true);
+
+        expect((await claim(second.token, diagnosisId)).status).toBe(200);
+        const offDuty = await setOnDuty(second.token, false);
+        expect(offDuty.body.releasedSessions).toEqual([diagnosisId]);
+        expect((await queue(env.doctorToken)).items.map((item) => item.diagnosisId)).toContain(diagnosisId);
+    });
+
+    test('a patient can leave before a doctor claims their session', async () => {
+        const started = await selfStart('E2E-SELF-3', { name: 'Leaving Patient', age: 50 });
+        expect((await kiosks['E2E-SELF-3'].startSession({ name: 'Next Patient', age: 20 })).status).toBe(409);
+
+        const left = await kiosks['E2E-SELF-3'].cancelSession();
+        expect(left.status).toBe(200);
+        expect(left.body.status).toBe('cancelled');
+        expect((await queue(env.doctorToken)).items.map((item) => item.diagnosisId)).not.toContain(started.diagnosisId);
+    });
+
+    test('suspending a doctor returns the sessions they hold to the queue', async () => {
+        const third = await registerDoctor(env.adminToken, 'Third Doctor', 'third@example.test');
+        await setOnDuty(third.token, true);
+        const { items } = await queue(third.token);
+        const diagnosisId = items[0].diagnosisId;
+        expect((await claim(third.token, diagnosisId)).status).toBe(200);
+
+        const suspended = await as(env.adminToken)(request(env.app).post(`/api/admin/users/${third.doctorId}/suspend`))
+            .send({ reason: 'Left the practice' });
+        expect(suspended.status).toBe(200);
+        expect(suspended.body.releasedSessions).toEqual([diagnosisId]);
+        expect((await queue(env.doctorToken)).items.map((item) => item.diagnosisId)).toContain(diagnosisId);
+    });
+});
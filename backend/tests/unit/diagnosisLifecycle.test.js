@@ -0,0 +1,62 @@
+// backend/tests/unit/diagnosisLifecycle.test.js
+// Status transitions of a session, checked on documents in memory (no database).
+
+const mongoose = require('mongoose');
+const Diagnosis = require('../../models/Diagnosis');
+const { transitionDiagnosis, recordCreation, canTransition, LifecycleError } = require('../../utils/diagnosisLifecycle');
+
+// A session as it would be loaded from the database
+const storedSession = (status) => Diagnosis.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    patientId: new mongoose.Types.ObjectId(),
+    kioskId: 'UNIT-1',
+    status,
+    statusHistory: []
+});
+
+describe('transitionDiagnosis', () => {
+    test('moves the session and records who moved it', () => {
+        const diagnosis = storedSession('pending_approval');
+        const doctorId = new mongoose.Types.ObjectId();
+        transitionDiagnosis(diagnosis, 'approved', { by: doctorId, source: 'doctor', note: 'Looks right' });
+
+        expect(diagnosis.status).toBe('approved');
+        expect(diagnosis.statusHistory).toHaveLength(1);
+        expect(diagnosis.statusHistory[0]).toMatchObject({ from: 'pending_approval', to: 'approved', source: 'doctor', note: 'Looks right' });
+        expect(String(diagnosis.statusHistory[0].by)).toBe(String(doctorId));
+    });
+
+    test('rejects a move the lifecycle does not allow, leaving the session as it was', () => {
+        const diagnosis = storedSession('cancelled');
+        expect(() => transitionDiagnosis(diagnosis, 'approved')).toThrow(LifecycleError);
+        expect(diagnosis.status).toBe('cancelled');
+        expect(diagnosis.statusHistory).toHaveLength(0);
+
+        expect(canTransition('medication_dispensed', 'cancelled')).toBe(false);
+        expect(canTransition('approved', 'cancelled')).toBe(true);
+        expect(canTransition('unknown', 'approved')).toBe(false);
+    });
+
+    test('makes the save conditional on the status the change started from', () => {
+        const diagnosis = storedSession('pending_approval');
+        diagnosis.$where = { doctorId: null };
+        transitionDiagnosis(diagnosis, 'approved');
+        expect(diagnosis.$where).toEqual({ doctorId: null, status: 'pending_approval' });
+    });
+
+    test('several changes before one save are guarded by the first status', () => {
+        const diagnosis = storedSession('collecting_data');
+        transitionDiagnosis(diagnosis, 'prediction_made');
+        transitionDiagnosis(diagnosis, 'pending_approval');
+        expect(diagnosis.status).toBe('pending_approval');
+        expect(diagnosis.$where).toEqual({ status: 'collecting_data' });
+    });
+
+    test('a new session is inserted without a guard', () => {
+        const diagnosis = new Diagnosis({ patientId: new mongoose.Types.ObjectId(), kioskId: 'UNIT-1' });
+        recordCreation(diagnosis, { source: 'kiosk' });
+        transitionDiagnosis(diagnosis, 'cancelled');
+        expect(diagnosis.$where).toBeUndefined();
+        expect(diagnosis.statusHistory.map((entry) => entry.to)).toEqual(['collecting_data', 'cancelled']);
+    });
+});
@@ -0,0 +1,152 @@
+// backend/tests/unit/kioskAuth.test.js
+// The HMAC signature kiosks put on their requests and the middleware that checks it.
+// The kiosk and nonce lookups are replaced with spies, so no database is needed.
+
+const crypto = require('crypto');
+const Kiosk = require('../../models/Kiosk');
+const KioskNonce = require('../../models/KioskNonce');
+const { kioskAuth, buildSignaturePayload, signPayload, SIGNATURE_WINDOW_SECONDS } = require('../../utils/authMiddleware');
+
+const SECRET = 'a'.repeat(64);
+const BODY = JSON.stringify({ kioskId: 'K-1', bpm: 80, spo2: 98, temperature: 36.9 });
+
+// Signs as the firmware does: the fields joined by newlines, HMAC-SHA256 in hex
+const firmwareSignature = (secret, fields) => crypto.createHmac('sha256', secret).update(fields.join('\n')).digest('hex');
+
+const signedRequest = ({
+    kioskId = 'K-1',
+    secret = SECRET,
+    timestamp = Math.floor(Date.now() / 1000).toString(),
+    nonce = 'nonce-1',
+    method = 'POST',
+    path = '/api/esp32/data',
+    body = BODY
+} = {}) => {
+    const headers = {
+        'X-Kiosk-Id': kioskId,
+        'X-Kiosk-Timestamp': timestamp,
+        'X-Kiosk-Nonce': nonce,
+        'X-Kiosk-Signature': firmwareSignature(secret, [timestamp, nonce, method, path, body])
+    };
+    return {
+        get: (name) => headers[name],
+        headers,
+        method,
+        originalUrl: path,
+        rawBody: body,
+        body: JSON.parse(body),
+        query: {}
+    };
+};
+
+const response = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+// Runs the middleware and reports what it did: { next: true } or { status, message }
+const authenticate = async (req) => {
+    const res = response();
+    const next = jest.fn();
+    await kioskAuth(req, res, next);
+    if (next.mock.calls.length) {
+        return { next: true };
+    }
+    return { status: res.status.mock.calls[0][0], message: res.json.mock.calls[0][0].message };
+};
+
+let storedKiosk;
+let seenNonces;
+
+beforeEach(() => {
+    storedKiosk = { _id: 'kiosk-object-id', kioskId: 'K-1', status: 'active', secret: SECRET };
+    seenNonces = new Set();
+
+    jest.spyOn(Kiosk, 'findOne').mockImplementation(({ kioskId }) => ({
+        select: async () => (storedKiosk && storedKiosk.kioskId === kioskId ? { ...storedKiosk } : null)
+    }));
+    jest.spyOn(Kiosk, 'updateOne').mockResolvedValue({});
+    jest.spyOn(KioskNonce, 'create').mockImplementation(async ({ kioskId, nonce }) => {
+        const key = `${kioskId}:${nonce}`;
+        if (seenNonces.has(key)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        seenNonces.add(key);
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('request signature', () => {
+    test('matches what the firmware computes', () => {
+        const fields = ['1700000000', 'abc123', 'POST', '/api/esp32/data?x=1', BODY];
+        const payload = buildSignaturePayload({ timestamp: fields[0], nonce: fields[1], method: 'post', path: fields[3], body: fields[4] });
+        expect(payload).toBe(fields.join('\n'));
+        expect(signPayload(SECRET, payload)).toBe(firmwareSignature(SECRET, fields));
+    });
+
+    test('signs a missing body as an empty string', () => {
+        expect(buildSignaturePayload({ timestamp: '1', nonce: 'n', method: 'GET', path: '/p' })).toBe('1\nn\nGET\n/p\n');
+    });
+});
+
+describe('kioskAuth', () => {
+    test('accepts a correctly signed request and attaches the kiosk without its secret', async () => {
+        const req = signedRequest();
+        expect(await authenticate(req)).toEqual({ next: true });
+        expect(req.kiosk.kioskId).toBe('K-1');
+        expect(req.kiosk.secret).toBeUndefined();
+        expect(Kiosk.updateOne).toHaveBeenCalled();
+    });
+
+    test('rejects an unsigned request before looking up the kiosk', async () => {
+        const req = signedRequest();
+        delete req.headers['X-Kiosk-Signature'];
+        expect(await authenticate(req)).toMatchObject({ status: 401, message: expect.stringMatching(/not signed/) });
+        expect(Kiosk.findOne).not.toHaveBeenCalled();
+    });
+
+    test('rejects a timestamp outside the allowed window', async () => {
+        const stale = Math.floor(Date.now() / 1000) - SIGNATURE_WINDOW_SECONDS - 5;
+        expect(await authenticate(signedRequest({ timestamp: String(stale) })))
+            .toMatchObject({ status: 401, message: expect.stringMatching(/timestamp/) });
+    });
+
+    test('rejects a signature made with the wrong secret', async () => {
+        expect(await authenticate(signedRequest({ secret: 'b'.repeat(64) })))
+            .toMatchObject({ status: 401, message: expect.stringMatching(/invalid signature/) });
+    });
+
+    test('rejects a request whose body was changed after signing', async () => {
+        const req = signedRequest();
+        req.rawBody = BODY.replace('"bpm":80', '"bpm":180');
+        expect(await authenticate(req)).toMatchObject({ status: 401, message: expect.stringMatching(/invalid signature/) });
+    });
+
+    test('rejects a malformed signature without throwing', async () => {
+        const req = signedRequest();
+        req.headers['X-Kiosk-Signature'] = 'not-hex';
+        expect(await authenticate(req)).toMatchObject({ status: 401, message: expect.stringMatching(/invalid signature/) });
+    });
+
+    test('rejects unknown and revoked kiosks', async () => {
+        expect(await authenticate(signedRequest({ kioskId: 'K-2' }))).toMatchObject({ status: 401 });
+        storedKiosk.status = 'revoked';
+        expect(await authenticate(signedRequest())).toMatchObject({ status: 401, message: expect.stringMatching(/revoked/) });
+    });
+
+    test('rejects a replayed request', async () => {
+        const req = signedRequest();
+        expect(await authenticate(req)).toEqual({ next: true });
+        expect(await authenticate(req)).toMatchObject({ status: 401, message: expect.stringMatching(/replayed/) });
+    });
+
+    test('refuses a kiosk acting on behalf of another', async () => {
+        const body = JSON.stringify({ kioskId: 'K-2', bpm: 80 });
+        expect(await authenticate(signedRequest({ body }))).toMatchObject({ status: 403 });
+    });
+});
@@ -0,0 +1,61 @@
+// backend/tests/unit/medicationSafety.test.js
+// Matching patient allergies and conditions against medications (no database).
+
+const { termsMatch, checkMedicationSafety } = require('../../utils/medicationSafety');
+
+describe('termsMatch', () => {
+    test.each([
+        ['penicillin', 'Penicillin'],
+        ['Penicillin allergy', 'penicillin'],
+        ['Penicillins', 'penicillin'],
+        ['penicillin', 'penicillins'],
+        ['beta lactams', 'beta-lactam'],
+        ['Beta-Lactams', 'beta lactam'],
+        ['betalactam', 'beta-lactam'],
+        ['NSAIDs', 'nsaid'],
+        ['Allergies to sulfonamides', 'sulfonamide'],
+        ['kidney diseases', 'Chronic kidney disease'],
+        ['headaches', 'Headache'],
+        ['lupus', 'Lupus']
+    ])('%s matches %s', (a, b) => {
+        expect(termsMatch(a, b)).toBe(true);
+    });
+
+    test.each([
+        ['pen', 'penicillin'],
+        ['penicillins', 'pen'],
+        ['aspirin', 'paracetamol'],
+        ['lupu', 'lupus'],
+        ['', 'penicillin'],
+        [null, 'penicillin']
+    ])('%s does not match %s', (a, b) => {
+        expect(termsMatch(a, b)).toBe(false);
+    });
+});
+
+describe('checkMedicationSafety', () => {
+    const amoxicillin = {
+        name: 'Amoxicillin 500mg',
+        allergens: ['penicillin', 'beta-lactam'],
+        contraindications: ['mononucleosis']
+    };
+
+    test('a plural allergy still blocks the medication', () => {
+        const conflicts = checkMedicationSafety({ allergies: ['Penicillins'], chronicConditions: [] }, amoxicillin);
+        expect(conflicts).toEqual([{ type: 'allergy', patientValue: 'Penicillins', medicationValue: 'penicillin' }]);
+    });
+
+    test('allergies and conditions are both checked', () => {
+        const conflicts = checkMedicationSafety({ allergies: ['beta lactams'], chronicConditions: ['Mononucleosis'] }, amoxicillin);
+        expect(conflicts.map((conflict) => conflict.type)).toEqual(['allergy', 'contraindication']);
+    });
+
+    test('an allergy to the medication itself conflicts', () => {
+        expect(checkMedicationSafety({ allergies: ['amoxicillin'] }, amoxicillin)).toHaveLength(1);
+    });
+
+    test('an unrelated patient, or no patient, is safe', () => {
+        expect(checkMedicationSafety({ allergies: ['latex'], chronicConditions: ['asthma'] }, amoxicillin)).toEqual([]);
+        expect(checkMedicationSafety(null, amoxicillin)).toEqual([]);
+    });
+});
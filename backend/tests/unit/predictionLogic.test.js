@@ -0,0 +1,123 @@
+// backend/tests/unit/predictionLogic.test.js
+// Signal quality of a window of readings and the prediction made from it (no database).
+
+const { assessReading, assessWindow, MIN_STABLE_SAMPLES } = require('../../utils/signalQuality');
+const { predictFromWindow, DEFAULT_RULES } = require('../../utils/predictionLogic');
+
+const RULE_SET = { version: 3, rules: DEFAULT_RULES };
+
+const FEVER = { bpm: 100, spo2: 93, temperature: 38.4 };
+const NORMAL = { bpm: 75, spo2: 98, temperature: 36.8 };
+const PROBE_OFF = { bpm: 0, spo2: 0, temperature: 36.5 };
+
+const repeat = (reading, count) => Array.from({ length: count }, () => ({ ...reading }));
+
+describe('assessReading', () => {
+    test.each([
+        [NORMAL, 'ok'],
+        [PROBE_OFF, 'probe_off'],
+        [{ bpm: 75, spo2: 98 }, 'probe_off'],
+        [{ bpm: 300, spo2: 98, temperature: 36.8 }, 'out_of_range'],
+        [{ bpm: 75, spo2: 98, temperature: 45 }, 'out_of_range']
+    ])('%o is %s', (reading, quality) => {
+        expect(assessReading(reading)).toBe(quality);
+    });
+});
+
+describe('assessWindow', () => {
+    test('reports no data for an empty session', () => {
+        expect(assessWindow([])).toMatchObject({ state: 'no_data', windowSize: 0, stableSamples: 0, summary: null });
+    });
+
+    test('is good once enough stable readings arrive, and summarises them by their median', () => {
+        const readings = [
+            ...repeat(FEVER, MIN_STABLE_SAMPLES - 1),
+            { bpm: 104, spo2: 92, temperature: 38.6 }
+        ];
+        const result = assessWindow(readings);
+        expect(result.state).toBe('good');
+        expect(result.stableSamples).toBe(MIN_STABLE_SAMPLES);
+        expect(result.summary).toEqual(FEVER);
+    });
+
+    test('is stabilising while fewer stable readings than needed have arrived', () => {
+        expect(assessWindow(repeat(NORMAL, MIN_STABLE_SAMPLES - 1)).state).toBe('stabilising');
+    });
+
+    test('rejects BPM spikes, impossible values and missing-probe readings', () => {
+        const readings = [
+            ...repeat(NORMAL, MIN_STABLE_SAMPLES),
+            { ...NORMAL, bpm: 160 },
+            { ...NORMAL, temperature: 50 },
+            PROBE_OFF,
+            NORMAL
+        ];
+        const result = assessWindow(readings);
+        expect(result.state).toBe('good');
+        expect(result.rejected).toEqual({ probe_off: 1, out_of_range: 1, spike: 1 });
+        expect(result.stableSamples).toBe(MIN_STABLE_SAMPLES + 1);
+    });
+
+    test('is probe_off when the latest reading has no finger, however good the earlier ones', () => {
+        expect(assessWindow([...repeat(NORMAL, MIN_STABLE_SAMPLES), PROBE_OFF]).state).toBe('probe_off');
+    });
+
+    test('is noisy when most of the window is rejected', () => {
+        const readings = [
+            ...repeat({ ...NORMAL, spo2: 20 }, 3),
+            NORMAL
+        ];
+        expect(assessWindow(readings).state).toBe('noisy');
+    });
+});
+
+describe('predictFromWindow', () => {
+    test('waits for stable readings before predicting', () => {
+        const result = predictFromWindow(repeat(FEVER, MIN_STABLE_SAMPLES - 1), RULE_SET);
+        expect(result.ready).toBe(false);
+        expect(result.disease).toBeUndefined();
+        expect(result.reasoning.join(' ')).toMatch(`Waiting for ${MIN_STABLE_SAMPLES} stable readings`);
+    });
+
+    test('explains a missing probe rather than predicting', () => {
+        const result = predictFromWindow([...repeat(FEVER, MIN_STABLE_SAMPLES), PROBE_OFF], RULE_SET);
+        expect(result.ready).toBe(false);
+        expect(result.reasoning[0]).toMatch(/probe not detected/);
+    });
+
+    test('predicts from the median of the stable readings, ignoring a spike', () => {
+        const readings = [...repeat(FEVER, MIN_STABLE_SAMPLES), { ...FEVER, bpm: 180 }];
+        const result = predictFromWindow(readings, RULE_SET);
+        expect(result).toMatchObject({
+            ready: true,
+            disease: 'Disease A',
+            ruleId: 'disease-a-fever-hypoxia',
+            ruleSetVersion: 3,
+            confidence: 1
+        });
+        expect(result.signalQuality.rejected.spike).toBe(1);
+    });
+
+    test('confidence is the share of stable readings that agree with the prediction', () => {
+        // The median follows the three fever readings; the two normal ones on their own predict nothing
+        const readings = [...repeat(FEVER, 3), ...repeat({ ...NORMAL, bpm: 95 }, 2)];
+        const result = predictFromWindow(readings, RULE_SET);
+        expect(result.disease).toBe('Disease A');
+        expect(result.confidence).toBe(0.6);
+    });
+
+    test('uses the rules of the rule set it is given', () => {
+        const ruleSet = {
+            version: 7,
+            rules: [{
+                ruleId: 'resting-bpm',
+                priority: 1,
+                conditions: [{ field: 'bpm', operator: 'between', value: 70, max: 80 }],
+                outcome: { condition: 'Disease C', medication: 'Medicine C' }
+            }]
+        };
+        const result = predictFromWindow(repeat(NORMAL, MIN_STABLE_SAMPLES), ruleSet);
+        expect(result).toMatchObject({ ready: true, disease: 'Disease C', medication: 'Medicine C', ruleSetVersion: 7 });
+        expect(predictFromWindow(repeat(FEVER, MIN_STABLE_SAMPLES), ruleSet)).toMatchObject({ ready: true, disease: 'Undetermined', ruleId: null });
+    });
+});
@@ -0,0 +1,138 @@
+// backend/tests/unit/triage.test.js
+// Triage severity from a session's readings, and the claim rules of the queue. The session
+// store is replaced with spies over one in-memory session, so no database is needed.
+
+const mongoose = require('mongoose');
+const Diagnosis = require('../../models/Diagnosis');
+const Alert = require('../../models/Alert');
+const { assessTriage, claimDiagnosis, releaseDiagnosis } = require('../../utils/triage');
+
+const ADULT = { age: 40 };
+const CHILD = { age: 8 };
+const NORMAL = { bpm: 75, spo2: 98, temperature: 36.8, quality: 'ok' };
+
+const sessionWith = (readings, measurementStartIndex = 0) => ({ sensorData: readings, measurementStartIndex });
+
+describe('assessTriage', () => {
+    test('awaits vitals until an accepted reading arrives', () => {
+        const diagnosis = sessionWith([{ bpm: 0, spo2: 0, temperature: 0, quality: 'probe_off' }]);
+        expect(assessTriage(diagnosis, ADULT)).toBe(true);
+        expect(diagnosis.triage).toMatchObject({ level: 'awaiting_vitals', score: 0, reasons: [] });
+    });
+
+    test('is routine for normal vitals, and reports no change when reassessed', () => {
+        const diagnosis = sessionWith([NORMAL, NORMAL]);
+        assessTriage(diagnosis, ADULT);
+        expect(diagnosis.triage).toMatchObject({ level: 'routine', score: 10 });
+        expect(assessTriage(diagnosis, ADULT)).toBe(false);
+    });
+
+    test('is urgent short of the critical thresholds, scoring each abnormal vital', () => {
+        const diagnosis = sessionWith([{ ...NORMAL, spo2: 92, temperature: 38.9 }]);
+        assessTriage(diagnosis, ADULT);
+        expect(diagnosis.triage.level).toBe('urgent');
+        expect(diagnosis.triage.score).toBe(22);
+        expect(diagnosis.triage.reasons).toEqual(['SpO2 92 is below 94', 'Temperature 38.9 is above 38.5']);
+    });
+
+    test('is critical when a critical alert threshold is crossed, and lists only those reasons', () => {
+        const diagnosis = sessionWith([{ ...NORMAL, spo2: 85, temperature: 38.9 }]);
+        assessTriage(diagnosis, ADULT);
+        expect(diagnosis.triage).toMatchObject({ level: 'critical', score: 32, reasons: ['SpO2 85 is below 88'] });
+    });
+
+    test('uses the median of the latest readings, so one artefact does not move the session', () => {
+        const diagnosis = sessionWith([NORMAL, NORMAL, { ...NORMAL, spo2: 80 }, NORMAL, NORMAL]);
+        assessTriage(diagnosis, ADULT);
+        expect(diagnosis.triage.level).toBe('routine');
+    });
+
+    test('ignores rejected readings and those before a re-measurement', () => {
+        const readings = [
+            { ...NORMAL, spo2: 85 },
+            { ...NORMAL, spo2: 85 },
+            { bpm: 300, spo2: 98, temperature: 36.8, quality: 'out_of_range' },
+            NORMAL
+        ];
+        const diagnosis = sessionWith(readings, 2);
+        assessTriage(diagnosis, ADULT);
+        expect(diagnosis.triage.level).toBe('routine');
+    });
+
+    test('applies age-specific thresholds', () => {
+        const reading = { ...NORMAL, bpm: 65 };
+        const adult = sessionWith([reading]);
+        const child = sessionWith([reading]);
+        assessTriage(adult, ADULT);
+        assessTriage(child, CHILD);
+        expect(adult.triage.level).toBe('routine');
+        expect(child.triage.level).toBe('urgent');
+    });
+});
+
+describe('claiming from the queue', () => {
+    let stored; // The one session in the fake store
+
+    const matches = (filter) => stored
+        && String(filter._id) === String(stored._id)
+        && String(filter.doctorId) === String(stored.doctorId)
+        && filter.status.$in.includes(stored.status)
+        && !stored.deletedAt;
+
+    beforeEach(() => {
+        stored = { _id: new mongoose.Types.ObjectId(), kioskId: 'UNIT-1', doctorId: null, status: 'collecting_data', deletedAt: null };
+
+        jest.spyOn(Diagnosis, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            if (!matches(filter)) {
+                return null;
+            }
+            Object.assign(stored, update.$set);
+            return { ...stored };
+        });
+        jest.spyOn(Diagnosis, 'findOne').mockImplementation(async ({ _id }) => (stored && String(_id) === String(stored._id) ? { ...stored } : null));
+        jest.spyOn(Alert, 'updateMany').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('of two doctors claiming a session, the second finds it held', async () => {
+        const first = new mongoose.Types.ObjectId();
+        const second = new mongoose.Types.ObjectId();
+
+        const claimed = await claimDiagnosis(stored._id, first);
+        expect(claimed.outcome).toBe('claimed');
+        expect(String(claimed.diagnosis.doctorId)).toBe(String(first));
+
+        const raced = await claimDiagnosis(stored._id, second);
+        expect(raced.outcome).toBe('held');
+        expect(String(stored.doctorId)).toBe(String(first));
+    });
+
+    test('open alerts follow the session to the doctor claiming it', async () => {
+        const doctorId = new mongoose.Types.ObjectId();
+        await claimDiagnosis(stored._id, doctorId);
+        expect(Alert.updateMany).toHaveBeenCalledWith(
+            { diagnosisId: stored._id, status: { $in: ['open', 'escalated'] } },
+            { $set: { doctorId } }
+        );
+    });
+
+    test('only the doctor holding a session can release it', async () => {
+        const holder = new mongoose.Types.ObjectId();
+        await claimDiagnosis(stored._id, holder);
+
+        expect((await releaseDiagnosis(stored._id, new mongoose.Types.ObjectId())).outcome).toBe('held');
+        expect((await releaseDiagnosis(stored._id, holder)).outcome).toBe('released');
+        expect(stored.doctorId).toBeNull();
+    });
+
+    test('a session no longer being measured, or gone, cannot be claimed', async () => {
+        const doctorId = new mongoose.Types.ObjectId();
+        stored.status = 'medication_dispensed';
+        expect((await claimDiagnosis(stored._id, doctorId)).outcome).toBe('closed');
+        expect((await claimDiagnosis(new mongoose.Types.ObjectId(), doctorId)).outcome).toBe('not_found');
+        expect(Alert.updateMany).not.toHaveBeenCalled();
+    });
+});
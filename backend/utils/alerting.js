@@ -0,0 +1,187 @@
+// backend/utils/alerting.js
+
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { notify, parseChannels } = require('./notifier');
+
+/**
+ * Critical thresholds checked against every accepted reading.
+ * minAge/maxAge (inclusive, in years) restrict a threshold to an age band; the first
+ * matching threshold per vital and direction applies, so age-specific entries come first.
+ * Override the whole list with ALERT_THRESHOLDS (a JSON array of the same shape).
+ */
+const DEFAULT_THRESHOLDS = [
+    { vital: 'spo2', operator: 'lt', value: 88 },
+    { vital: 'temperature', operator: 'gt', value: 40 },
+    { vital: 'temperature', operator: 'lt', value: 35 },
+    { vital: 'bpm', operator: 'gt', value: 180, maxAge: 12 },
+    { vital: 'bpm', operator: 'lt', value: 60, maxAge: 12 },
+    { vital: 'bpm', operator: 'gt', value: 130 },
+    { vital: 'bpm', operator: 'lt', value: 40 }
+];
+
+const THRESHOLDS = process.env.ALERT_THRESHOLDS ? JSON.parse(process.env.ALERT_THRESHOLDS) : DEFAULT_THRESHOLDS;
+
+// Unacknowledged alerts are escalated to admins after this many minutes
+const ESCALATE_AFTER_MINUTES = parseInt(process.env.ALERT_ESCALATE_AFTER_MINUTES, 10) || 5;
+const DOCTOR_CHANNELS = parseChannels(process.env.ALERT_CHANNELS, 'in_app,email');
+const ESCALATION_CHANNELS = parseChannels(process.env.ALERT_ESCALATION_CHANNELS, 'email,sms');
+
+const VITAL_LABELS = { bpm: 'Heart rate', spo2: 'SpO2', temperature: 'Temperature' };
+
+const appliesToAge = (threshold, age) => {
+    if (threshold.minAge !== undefined && !(age >= threshold.minAge)) {
+        return false;
+    }
+    if (threshold.maxAge !== undefined && !(age <= threshold.maxAge)) {
+        return false;
+    }
+    return true;
+};
+
+const isCrossed = (value, { operator, value: limit }) => (operator === 'lt' ? value < limit : value > limit);
+
+/**
+ * Finds the critical thresholds a reading crosses for a patient of the given age.
+ *
+ * @param {Object} reading - { bpm, spo2, temperature }
+ * @param {number} age - Patient age in years.
+ * @param {Array} [thresholds] - Thresholds of the same shape to check instead of the critical ones.
+ * @returns {Array} The crossed thresholds.
+ */
+const findCrossedThresholds = (reading, age, thresholds = THRESHOLDS) => {
+    const applied = new Set();
+    const crossed = [];
+    for (const threshold of thresholds) {
+        const key = `${threshold.vital}:${threshold.operator}`;
+        if (applied.has(key) || !appliesToAge(threshold, age)) {
+            continue;
+        }
+        applied.add(key);
+        if (isCrossed(reading[threshold.vital], threshold)) {
+            crossed.push(threshold);
+        }
+    }
+    return crossed;
+};
+
+// The doctor handling the session, or every on-duty doctor while it waits unclaimed in the triage queue
+const findAlertRecipients = async (diagnosis) => {
+    if (diagnosis.doctorId) {
+        const doctorUser = await User.findById(diagnosis.doctorId);
+        return doctorUser ? [doctorUser] : [];
+    }
+    return User.find({ role: 'doctor', status: 'active', onDuty: true });
+};
+
+/**
+ * Checks an accepted reading and raises an alert for each critical threshold it crosses,
+ * notifying the owning doctor (or the on-duty doctors for an unclaimed session). While an alert for the same vital is still unacknowledged
+ * on the session, no duplicate is raised.
+ *
+ * @param {Object} params
+ * @param {Object} params.diagnosis - The session's Diagnosis document.
+ * @param {Object} params.patient - The Patient document (for age-specific thresholds).
+ * @param {Object} params.reading - The accepted reading.
+ * @returns {Promise<Array>} The alerts created.
+ */
+const checkReadingForAlerts = async ({ diagnosis, patient, reading }) => {
+    const created = [];
+
+    for (const threshold of findCrossedThresholds(reading, patient.age)) {
+        const existing = await Alert.findOne({
+            diagnosisId: diagnosis._id,
+            vital: threshold.vital,
+            status: { $in: ['open', 'escalated'] }
+        });
+        if (existing) {
+            continue;
+        }
+
+        const value = reading[threshold.vital];
+        const direction = threshold.operator === 'lt' ? 'below' : 'above';
+        const alert = await Alert.create({
+            diagnosisId: diagnosis._id,
+            patientId: patient._id,
+            doctorId: diagnosis.doctorId,
+            kioskId: diagnosis.kioskId,
+            vital: threshold.vital,
+            value,
+            threshold: { operator: threshold.operator, value: threshold.value },
+            // Sent as the notification text, so it names the session rather than the patient: SMS
+            // gateways, mailboxes and logs are outside the encrypted store
+            message: `${VITAL_LABELS[threshold.vital]} ${value} is ${direction} the critical limit of ${threshold.value} ` +
+                `in session ${diagnosis._id} at kiosk ${diagnosis.kioskId}.`
+        });
+
+        const recipients = await findAlertRecipients(diagnosis);
+        for (const doctorUser of recipients) {
+            const results = await notify(doctorUser, DOCTOR_CHANNELS, {
+                subject: 'Critical vital sign alert',
+                text: alert.message,
+                data: { type: 'alert', alertId: alert._id.toString(), diagnosisId: diagnosis._id.toString() }
+            });
+            alert.notifications.push(...results.map((result) => ({ level: 'doctor', recipientId: doctorUser._id, ...result })));
+        }
+        if (recipients.length > 0) {
+            await alert.save();
+        }
+
+        created.push(alert);
+    }
+
+    return created;
+};
+
+/**
+ * Escalates alerts nobody acknowledged within ESCALATE_AFTER_MINUTES to every admin.
+ *
+ * @returns {Promise<number>} How many alerts were escalated.
+ */
+const escalateUnacknowledgedAlerts = async () => {
+    const cutoff = new Date(Date.now() - ESCALATE_AFTER_MINUTES * 60 * 1000);
+    let escalated = 0;
+
+    for (;;) {
+        // Claim one alert at a time so concurrent runs never escalate the same alert twice
+        const alert = await Alert.findOneAndUpdate(
+            { status: 'open', createdAt: { $lte: cutoff } },
+            { $set: { status: 'escalated', escalatedAt: new Date() } },
+            { new: true, sort: { createdAt: 1 } }
+        );
+        if (!alert) {
+            break;
+        }
+
+        const admins = await User.find({ role: 'admin', status: 'active' });
+        for (const adminUser of admins) {
+            const results = await notify(adminUser, ESCALATION_CHANNELS, {
+                subject: 'ESCALATED: unacknowledged critical vital sign alert',
+                text: `Not acknowledged within ${ESCALATE_AFTER_MINUTES} minutes. ${alert.message}`,
+                data: { type: 'alert_escalated', alertId: alert._id.toString() }
+            });
+            alert.notifications.push(...results.map((result) => ({ level: 'admin', recipientId: adminUser._id, ...result })));
+        }
+        await alert.save();
+        console.warn(`Alert ${alert._id} escalated to ${admins.length} admin(s).`);
+        escalated += 1;
+    }
+
+    return escalated;
+};
+
+/**
+ * Starts the periodic escalation check.
+ *
+ * @param {number} [intervalMs=60000]
+ * @returns {Object} The interval handle.
+ */
+const startAlertEscalationJob = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(() => {
+        escalateUnacknowledgedAlerts().catch((err) => console.error('Alert Escalation Error:', err.message));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { checkReadingForAlerts, escalateUnacknowledgedAlerts, startAlertEscalationJob, findCrossedThresholds };
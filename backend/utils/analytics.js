@@ -0,0 +1,299 @@
+// backend/utils/analytics.js
+
+// Aggregations behind the clinic analytics API. Each takes the $match that scopes the
+// sessions (see buildAnalyticsMatch) so doctors and admins share the same queries.
+
+const mongoose = require('mongoose');
+const Diagnosis = require('../models/Diagnosis');
+const Patient = require('../models/Patient');
+const DispenseCommand = require('../models/DispenseCommand');
+const User = require('../models/User');
+
+const TIME_ZONE = process.env.ANALYTICS_TIME_ZONE || 'UTC';
+
+// Lower bounds of the age bands used for vitals; a band runs to the next bound
+const AGE_BANDS = [0, 13, 18, 40, 65];
+
+/**
+ * Builds the $match for the sessions an analytics query covers.
+ *
+ * @param {Object} filters - { from, to, kioskId, doctorId }
+ * @returns {Object} { match } or { error } for invalid filters.
+ */
+const buildAnalyticsMatch = ({ from, to, kioskId, doctorId }) => {
+    const match = { deletedAt: null };
+
+    if (doctorId) {
+        if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+            return { error: 'Invalid doctor ID format.' };
+        }
+        match.doctorId = new mongoose.Types.ObjectId(doctorId);
+    }
+    if (kioskId) {
+        match.kioskId = String(kioskId);
+    }
+    if (from || to) {
+        match.createdAt = {};
+        if (from) {
+            match.createdAt.$gte = new Date(from);
+        }
+        if (to) {
+            match.createdAt.$lte = new Date(to);
+        }
+        if (Object.values(match.createdAt).some((date) => isNaN(date.getTime()))) {
+            return { error: 'Invalid date range.' };
+        }
+    }
+
+    return { match };
+};
+
+// Counts of session outcomes, added to each throughput group
+const OUTCOME_COUNTS = {
+    sessions: { $sum: 1 },
+    dispensed: { $sum: { $cond: [{ $in: ['medication_dispensed', { $ifNull: ['$statusHistory.to', []] }] }, 1, 0] } },
+    declined: { $sum: { $cond: [{ $in: ['declined', { $ifNull: ['$statusHistory.to', []] }] }, 1, 0] } },
+    cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+};
+
+/**
+ * Sessions per day, kiosk or doctor, with how many ended in a dispense, a decline or a cancellation.
+ *
+ * @param {Object} match - From buildAnalyticsMatch.
+ * @param {string} groupBy - 'day', 'kiosk' or 'doctor'.
+ * @returns {Promise<Array<Object>>} [{ key, label, sessions, dispensed, declined, cancelled }]
+ */
+const sessionThroughput = async (match, groupBy) => {
+    const keys = {
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIME_ZONE } },
+        kiosk: '$kioskId',
+        doctor: '$doctorId'
+    };
+
+    const pipeline = [
+        { $match: match },
+        { $group: { _id: keys[groupBy] || keys.day, ...OUTCOME_COUNTS } },
+        { $sort: { _id: 1 } }
+    ];
+    if (groupBy === 'doctor') {
+        pipeline.push(
+            { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'doctor', pipeline: [{ $project: { name: 1 } }] } },
+            { $set: { label: { $first: '$doctor.name' } } }
+        );
+    }
+    pipeline.push({ $project: { _id: 0, key: '$_id', label: 1, sessions: 1, dispensed: 1, declined: 1, cancelled: 1 } });
+
+    return Diagnosis.aggregate(pipeline);
+};
+
+// Seconds from session start to the first time the session reached `status`
+const secondsToStatus = (status) => ({
+    $let: {
+        vars: {
+            reached: { $first: { $filter: { input: '$statusHistory', cond: { $eq: ['$$this.to', status] } } } }
+        },
+        in: {
+            $cond: [
+                { $ifNull: ['$$reached.at', false] },
+                { $divide: [{ $subtract: ['$$reached.at', '$createdAt'] }, 1000] },
+                null
+            ]
+        }
+    }
+});
+
+// Count, average, minimum and maximum of a duration in seconds (sessions without it are skipped)
+const durationStats = (values) => {
+    const known = values.filter((value) => value !== null);
+    if (known.length === 0) {
+        return { count: 0, avgSeconds: null, minSeconds: null, maxSeconds: null };
+    }
+    return {
+        count: known.length,
+        avgSeconds: Math.round(known.reduce((sum, value) => sum + value, 0) / known.length),
+        minSeconds: Math.round(Math.min(...known)),
+        maxSeconds: Math.round(Math.max(...known))
+    };
+};
+
+/**
+ * Time from session start to approval and to a confirmed dispense.
+ *
+ * @param {Object} match - From buildAnalyticsMatch.
+ * @returns {Promise<Object>} { toApproval, toDispense }, each { count, avgSeconds, minSeconds, maxSeconds }.
+ */
+const turnaroundTimes = async (match) => {
+    const [result] = await Diagnosis.aggregate([
+        { $match: match },
+        { $project: { toApproval: secondsToStatus('approved'), toDispense: secondsToStatus('medication_dispensed') } },
+        { $group: { _id: null, toApproval: { $push: '$toApproval' }, toDispense: { $push: '$toDispense' } } }
+    ]);
+
+    return {
+        toApproval: durationStats(result ? result.toApproval : []),
+        toDispense: durationStats(result ? result.toDispense : [])
+    };
+};
+
+/**
+ * How often doctors agree with the prediction, as a confusion matrix per rule-set version.
+ * Sessions the doctor declined count under the approved value '(declined)'.
+ *
+ * @param {Object} match - From buildAnalyticsMatch.
+ * @returns {Promise<Array<Object>>} Per version: { ruleSetVersion, decided, agreed, overridden,
+ *          declined, agreementRate, matrix: { [predicted]: { [approved]: count } } }
+ */
+const predictionAgreement = async (match) => {
+    const rows = await Diagnosis.aggregate([
+        { $match: { ...match, predictedDisease: { $nin: ['N/A', null] } } },
+        {
+            $project: {
+                ruleSetVersion: { $ifNull: ['$ruleSetVersion', null] },
+                predicted: '$predictedDisease',
+                approved: {
+                    $cond: [
+                        { $ifNull: ['$declineReason', false] },
+                        '(declined)',
+                        { $cond: [{ $in: ['$approvedDisease', ['N/A', null]] }, null, '$approvedDisease'] }
+                    ]
+                }
+            }
+        },
+        { $match: { approved: { $ne: null } } }, // Only sessions the doctor has decided on
+        { $group: { _id: { version: '$ruleSetVersion', predicted: '$predicted', approved: '$approved' }, count: { $sum: 1 } } },
+        { $sort: { '_id.version': 1, '_id.predicted': 1, '_id.approved': 1 } }
+    ]);
+
+    const versions = new Map();
+    for (const { _id, count } of rows) {
+        if (!versions.has(_id.version)) {
+            versions.set(_id.version, { ruleSetVersion: _id.version, decided: 0, agreed: 0, overridden: 0, declined: 0, matrix: {} });
+        }
+        const entry = versions.get(_id.version);
+        entry.decided += count;
+        if (_id.approved === '(declined)') {
+            entry.declined += count;
+        } else if (_id.approved === _id.predicted) {
+            entry.agreed += count;
+        } else {
+            entry.overridden += count;
+        }
+        entry.matrix[_id.predicted] = entry.matrix[_id.predicted] || {};
+        entry.matrix[_id.predicted][_id.approved] = count;
+    }
+
+    return [...versions.values()].map((entry) => ({
+        ...entry,
+        agreementRate: entry.decided > 0 ? Math.round((entry.agreed / entry.decided) * 1000) / 1000 : null
+    }));
+};
+
+/**
+ * Dispense command outcomes per kiosk, with failure reasons and the failure rate among
+ * finished commands (executed, failed or expired).
+ *
+ * @param {Object} match - From buildAnalyticsMatch (applied to the commands' sessions).
+ * @returns {Promise<Array<Object>>} [{ kioskId, executed, failed, expired, cancelled, pending, failureRate, failureReasons }]
+ */
+const dispenseFailureRates = async (match) => {
+    const { createdAt, kioskId, ...sessionMatch } = match;
+    const commandMatch = {};
+    if (createdAt) {
+        commandMatch.createdAt = createdAt;
+    }
+    if (kioskId) {
+        commandMatch.kioskId = kioskId;
+    }
+
+    const rows = await DispenseCommand.aggregate([
+        { $match: commandMatch },
+        // Scope the commands by their session (doctor, not deleted)
+        { $lookup: { from: Diagnosis.collection.name, localField: 'diagnosisId', foreignField: '_id', as: 'diagnosis', pipeline: [{ $match: sessionMatch }, { $project: { _id: 1 } }] } },
+        { $match: { 'diagnosis.0': { $exists: true } } },
+        { $group: { _id: { kioskId: '$kioskId', status: '$status', failureReason: '$failureReason' }, count: { $sum: 1 } } }
+    ]);
+
+    const kiosks = new Map();
+    for (const { _id, count } of rows) {
+        if (!kiosks.has(_id.kioskId)) {
+            kiosks.set(_id.kioskId, { kioskId: _id.kioskId, executed: 0, failed: 0, expired: 0, cancelled: 0, pending: 0, failureReasons: {} });
+        }
+        const entry = kiosks.get(_id.kioskId);
+        const bucket = ['queued', 'leased'].includes(_id.status) ? 'pending' : _id.status;
+        entry[bucket] += count;
+        if (_id.status === 'failed' || _id.status === 'expired') {
+            const reason = _id.failureReason || (_id.status === 'expired' ? 'expired' : 'other');
+            entry.failureReasons[reason] = (entry.failureReasons[reason] || 0) + count;
+        }
+    }
+
+    return [...kiosks.values()]
+        .map((entry) => {
+            const finished = entry.executed + entry.failed + entry.expired;
+            return { ...entry, failureRate: finished > 0 ? Math.round(((entry.failed + entry.expired) / finished) * 1000) / 1000 : null };
+        })
+        .sort((a, b) => a.kioskId.localeCompare(b.kioskId));
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Average accepted vitals per patient age band. The vitals are encrypted, so they are
+ * decrypted and averaged here as the readings stream in, rather than by the database.
+ *
+ * @param {Object} match - From buildAnalyticsMatch.
+ * @returns {Promise<Array<Object>>} [{ ageBand, sessions, readings, avgBpm, avgSpo2, avgTemperature }]
+ */
+const vitalsByAgeBand = async (match) => {
+    const cursor = Diagnosis.aggregate([
+        { $match: match },
+        { $lookup: { from: Patient.collection.name, localField: 'patientId', foreignField: '_id', as: 'patient', pipeline: [{ $project: { age: 1 } }] } },
+        { $set: { age: { $first: '$patient.age' } } },
+        { $match: { age: { $type: 'number' } } },
+        { $unwind: '$sensorData' },
+        { $match: { 'sensorData.quality': { $in: ['ok', null] } } }, // Readings the sensors got wrong are left out
+        { $project: { age: 1, bpm: '$sensorData.bpm', spo2: '$sensorData.spo2', temperature: '$sensorData.temperature' } }
+    ]).cursor();
+
+    const bands = new Map(); // Lower bound of the band -> running totals
+    for await (const row of cursor) {
+        const minAge = [...AGE_BANDS].reverse().find((bound) => row.age >= bound);
+        if (minAge === undefined) {
+            continue;
+        }
+        if (!bands.has(minAge)) {
+            bands.set(minAge, { sessions: new Set(), readings: 0, bpm: 0, spo2: 0, temperature: 0 });
+        }
+        const [reading] = Diagnosis.decryptReadings([row]);
+        const band = bands.get(minAge);
+        band.sessions.add(row._id.toString());
+        band.readings += 1;
+        band.bpm += reading.bpm;
+        band.spo2 += reading.spo2;
+        band.temperature += reading.temperature;
+    }
+
+    return [...bands.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([minAge, band]) => {
+            const next = AGE_BANDS[AGE_BANDS.indexOf(minAge) + 1];
+            return {
+                ageBand: next === undefined ? `${minAge}+` : `${minAge}-${next - 1}`,
+                sessions: band.sessions.size,
+                readings: band.readings,
+                avgBpm: round1(band.bpm / band.readings),
+                avgSpo2: round1(band.spo2 / band.readings),
+                avgTemperature: round1(band.temperature / band.readings)
+            };
+        });
+};
+
+module.exports = {
+    buildAnalyticsMatch,
+    sessionThroughput,
+    turnaroundTimes,
+    predictionAgreement,
+    dispenseFailureRates,
+    vitalsByAgeBand,
+    AGE_BANDS
+};
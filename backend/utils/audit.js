@@ -0,0 +1,133 @@
+// backend/utils/audit.js
+
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted, so the same content always hashes the same way
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+// The fields an entry's hash covers, as plain JSON values
+const hashedContent = (entry) => JSON.parse(JSON.stringify({
+    seq: entry.seq,
+    action: entry.action,
+    actor: entry.actor,
+    target: entry.target,
+    details: entry.details,
+    ip: entry.ip,
+    at: new Date(entry.at).toISOString(),
+    prevHash: entry.prevHash
+}));
+
+const computeHash = (entry) => crypto.createHash('sha256').update(canonicalize(hashedContent(entry))).digest('hex');
+
+/**
+ * Describes who performed a request: the logged-in user, the signing kiosk, or the system.
+ *
+ * @param {Object} [req]
+ * @returns {Object} { kind, id, role, name }
+ */
+const actorFromRequest = (req) => {
+    if (req && req.user) {
+        return { kind: 'user', id: req.user._id.toString(), role: req.user.role, name: req.user.name };
+    }
+    if (req && req.kiosk) {
+        return { kind: 'kiosk', id: req.kiosk.kioskId };
+    }
+    return { kind: 'system' };
+};
+
+const append = async ({ action, actor, target, details, ip }) => {
+    // A unique seq means a concurrent writer in another process makes the insert fail; retry on top of it
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        const last = await AuditLog.findOne().sort({ seq: -1 });
+        const entry = hashedContent({
+            seq: last ? last.seq + 1 : 1,
+            action,
+            actor,
+            target: target || {},
+            details: details || {},
+            ip,
+            at: new Date(),
+            prevHash: last ? last.hash : GENESIS_HASH
+        });
+        entry.hash = computeHash(entry);
+
+        try {
+            return await AuditLog.create(entry);
+        } catch (err) {
+            if (err.code !== 11000) {
+                throw err;
+            }
+        }
+    }
+    throw new Error('Could not append to the audit log after repeated conflicts');
+};
+
+// Appends are serialised within this process so entries are chained in order
+let queue = Promise.resolve();
+
+/**
+ * Appends an entry to the audit log. Failures are logged rather than thrown, so an audit
+ * problem never undoes the clinical action that was just performed.
+ *
+ * @param {string} action - e.g. 'diagnosis.approve'.
+ * @param {Object} params
+ * @param {Object} [params.req] - The request, used for the actor and IP address.
+ * @param {Object} [params.actor] - Explicit actor when there is no request ({ kind: 'system' } by default).
+ * @param {Object} [params.target] - { kind, id } of the affected record.
+ * @param {Object} [params.details] - Any further context worth keeping.
+ * @returns {Promise<Object|null>} The stored entry, or null when it could not be written.
+ */
+const recordAudit = (action, { req, actor, target, details } = {}) => {
+    const entry = {
+        action,
+        actor: actor || actorFromRequest(req),
+        target: target && { kind: target.kind, id: target.id && target.id.toString() },
+        details,
+        ip: req ? req.ip : undefined
+    };
+
+    const run = queue.then(() => append(entry));
+    queue = run.catch(() => {});
+    return run.catch((err) => {
+        console.error(`Audit Log Error (${action}):`, err.message);
+        return null;
+    });
+};
+
+/**
+ * Walks the whole chain and recomputes every hash.
+ *
+ * @returns {Promise<Object>} { valid, checked, brokenAt } where brokenAt is the seq of the first
+ *          entry that was altered, removed or re-ordered (null when the chain is intact).
+ */
+const verifyAuditChain = async () => {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+        if (entry.seq !== expectedSeq || entry.prevHash !== prevHash || computeHash(entry) !== entry.hash) {
+            return { valid: false, checked, brokenAt: expectedSeq };
+        }
+        prevHash = entry.hash;
+        expectedSeq += 1;
+        checked += 1;
+    }
+
+    return { valid: true, checked, brokenAt: null };
+};
+
+module.exports = { recordAudit, verifyAuditChain, actorFromRequest };
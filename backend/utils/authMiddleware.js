@@ -1,31 +1,56 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const Kiosk = require('../models/Kiosk');
+const KioskNonce = require('../models/KioskNonce');
+const Session = require('../models/Session');
+
+// Defined with the nonces, whose lifetime depends on it
+const { SIGNATURE_WINDOW_SECONDS } = KioskNonce;
 
 const protect = async (req, res, next) => {
     let token;
 
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            // Get token from header
-            token = req.headers.authorization.split(' ')[1];
+        // Get token from header
+        token = req.headers.authorization.split(' ')[1];
+    } else if (req.query.access_token && (req.get('Accept') || '').includes('text/event-stream')) {
+        // EventSource cannot set headers, so live event streams pass the same JWT in the query string
+        token = req.query.access_token;
+    }
 
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!token) {
+        return res.status(401).json({ message: 'Not authorized, no token' });
+    }
 
-            // Attach user to the request object (without password)
-            req.user = await User.findById(decoded.id).select('-password');
-            if (!req.user) {
-                return res.status(401).json({ message: 'Not authorized, user not found' });
-            }
-            next();
-        } catch (error) {
-            console.error('Auth Error:', error.message);
-            res.status(401).json({ message: 'Not authorized, token failed' });
+    try {
+        // Verify token
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Attach user to the request object (without password)
+        req.user = await User.findById(decoded.id).select('-password');
+        if (!req.user) {
+            return res.status(401).json({ message: 'Not authorized, user not found' });
+        }
+        if (req.user.status !== 'active') {
+            return res.status(403).json({ message: `Not authorized, account is ${req.user.status}` });
         }
-    }
 
-    if (!token) {
-        res.status(401).json({ message: 'Not authorized, no token' });
+        // Tokens die with their session (logout, log out all devices, refresh token reuse)
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        if (!session || session.revokedAt || !session.userId.equals(req.user._id)) {
+            return res.status(401).json({ message: 'Not authorized, session revoked' });
+        }
+        // ... and with any password change after they were issued
+        if (req.user.passwordChangedAt && decoded.iat * 1000 < req.user.passwordChangedAt.getTime()) {
+            return res.status(401).json({ message: 'Not authorized, password changed' });
+        }
+
+        req.sessionId = session._id;
+        next();
+    } catch (error) {
+        console.error('Auth Error:', error.message);
+        res.status(401).json({ message: 'Not authorized, token failed' });
     }
 };
 
@@ -38,4 +63,91 @@ const doctor = (req, res, next) => {
     }
 };
 
-module.exports = { protect, doctor };
\ No newline at end of file
+// Middleware to check if the user is an admin
+const admin = (req, res, next) => {
+    if (req.user && req.user.role === 'admin') {
+        next();
+    } else {
+        res.status(403).json({ message: 'Not authorized as an admin' });
+    }
+};
+
+/**
+ * Builds the string a kiosk signs for a request.
+ * The ESP32 firmware must build exactly the same string:
+ * timestamp, nonce, HTTP method, path with query string and raw body, joined by newlines.
+ */
+const buildSignaturePayload = ({ timestamp, nonce, method, path, body }) => {
+    return [timestamp, nonce, method.toUpperCase(), path, body || ''].join('\n');
+};
+
+const signPayload = (secret, payload) => {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Middleware to authenticate an ESP32 kiosk from its HMAC-signed request headers:
+// X-Kiosk-Id, X-Kiosk-Timestamp (unix seconds), X-Kiosk-Nonce and X-Kiosk-Signature
+const kioskAuth = async (req, res, next) => {
+    const kioskId = req.get('X-Kiosk-Id');
+    const timestamp = req.get('X-Kiosk-Timestamp');
+    const nonce = req.get('X-Kiosk-Nonce');
+    const signature = req.get('X-Kiosk-Signature');
+
+    if (!kioskId || !timestamp || !nonce || !signature) {
+        return res.status(401).json({ message: 'Not authorized, request is not signed' });
+    }
+
+    const requestTime = parseInt(timestamp, 10);
+    if (isNaN(requestTime) || Math.abs(Date.now() / 1000 - requestTime) > SIGNATURE_WINDOW_SECONDS) {
+        return res.status(401).json({ message: 'Not authorized, request timestamp outside allowed window' });
+    }
+
+    try {
+        const kiosk = await Kiosk.findOne({ kioskId }).select('+secret');
+        if (!kiosk || kiosk.status !== 'active') {
+            return res.status(401).json({ message: 'Not authorized, unknown, revoked or retired kiosk' });
+        }
+
+        const expected = signPayload(kiosk.secret, buildSignaturePayload({
+            timestamp,
+            nonce,
+            method: req.method,
+            path: req.originalUrl,
+            body: req.rawBody
+        }));
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        const signatureBuffer = Buffer.from(signature, 'hex');
+        if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+            return res.status(401).json({ message: 'Not authorized, invalid signature' });
+        }
+
+        // Record the nonce; the unique index makes a replayed request fail here
+        try {
+            await KioskNonce.create({ kioskId, nonce });
+        } catch (err) {
+            if (err.code === 11000) {
+                return res.status(401).json({ message: 'Not authorized, replayed request' });
+            }
+            throw err;
+        }
+
+        // A kiosk may only act on its own behalf
+        const claimedKioskId = (req.body && req.body.kioskId) || req.query.kioskId;
+        if (claimedKioskId && claimedKioskId !== kioskId) {
+            return res.status(403).json({ message: 'Kiosk ID does not match the signing kiosk' });
+        }
+
+        // Any authenticated request shows the kiosk is alive
+        kiosk.lastSeenAt = new Date();
+        await Kiosk.updateOne({ _id: kiosk._id }, { $set: { lastSeenAt: kiosk.lastSeenAt } });
+
+        kiosk.secret = undefined;
+        req.kiosk = kiosk;
+        next();
+    } catch (error) {
+        console.error('Kiosk Auth Error:', error.message);
+        res.status(500).json({ message: 'Server error authenticating kiosk' });
+    }
+};
+
+module.exports = { protect, doctor, admin, kioskAuth, buildSignaturePayload, signPayload, SIGNATURE_WINDOW_SECONDS };
\ No newline at end of file
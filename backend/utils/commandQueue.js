@@ -0,0 +1,308 @@
+// backend/utils/commandQueue.js
+
+const DispenseCommand = require('../models/DispenseCommand');
+const Diagnosis = require('../models/Diagnosis');
+const { decrementStock } = require('./inventory');
+const { transitionDiagnosis } = require('./diagnosisLifecycle');
+const { recordAudit } = require('./audit');
+const eventBus = require('./eventBus');
+
+// A command not confirmed within this time is never delivered again
+const COMMAND_TTL_SECONDS = parseInt(process.env.COMMAND_TTL_SECONDS, 10) || 600;
+// A delivered command that is not confirmed within this time is delivered again
+const COMMAND_LEASE_SECONDS = parseInt(process.env.COMMAND_LEASE_SECONDS, 10) || 30;
+
+const FAILURE_REASONS = ['jam', 'empty_slot', 'motor_fault', 'other'];
+
+/**
+ * Queues a dispense command for an approved diagnosis.
+ *
+ * @param {Object} diagnosis - The approved Diagnosis document (with kioskId and motorCommand).
+ * @returns {Promise<Object>} The queued DispenseCommand.
+ */
+const enqueueCommand = async (diagnosis) => {
+    const command = await DispenseCommand.create({
+        diagnosisId: diagnosis._id,
+        kioskId: diagnosis.kioskId,
+        command: diagnosis.motorCommand,
+        slotNumber: diagnosis.dispensedMedication ? diagnosis.dispensedMedication.slotNumber : undefined,
+        expiresAt: new Date(Date.now() + COMMAND_TTL_SECONDS * 1000)
+    });
+    eventBus.emit('dispense:queued', { kioskId: command.kioskId, commandId: command._id.toString() });
+    return command;
+};
+
+// Saves a status change unless another request changed the session's status first (e.g. the
+// doctor cancelled it); that change then stands
+const saveUnlessChanged = async (diagnosis) => {
+    try {
+        await diagnosis.save();
+    } catch (err) {
+        if (err.name !== 'DocumentNotFoundError') {
+            throw err;
+        }
+    }
+};
+
+// Moves a diagnosis into 'dispense_failed' after its command failed or expired
+const markDispenseFailed = async (diagnosisId, reason, source) => {
+    const diagnosis = await Diagnosis.findById(diagnosisId);
+    if (!diagnosis || diagnosis.status !== 'approved') {
+        return;
+    }
+    transitionDiagnosis(diagnosis, 'dispense_failed', { source, note: `Dispense failed: ${reason}` });
+    diagnosis.dispenseFailureReason = reason;
+    await saveUnlessChanged(diagnosis);
+};
+
+/**
+ * Withdraws the undelivered or unconfirmed commands of a diagnosis (e.g. when its session is cancelled).
+ *
+ * @param {string} diagnosisId
+ * @param {Object} [options]
+ * @param {boolean} [options.leased=true] - Also withdraw commands a kiosk has received. Leave them
+ *        when the kiosk may be dispensing, so its confirmation is still accepted and the stock counted.
+ */
+const cancelPendingCommands = async (diagnosisId, { leased = true } = {}) => {
+    await DispenseCommand.updateMany(
+        { diagnosisId, status: { $in: leased ? ['queued', 'leased'] : ['queued'] } },
+        { $set: { status: 'cancelled', completedAt: new Date(), updatedAt: new Date() } }
+    );
+};
+
+/**
+ * Expires every undelivered or unconfirmed command whose TTL has passed, failing the
+ * diagnoses they belonged to.
+ *
+ * @param {string} [kioskId] - Only this kiosk's commands; every kiosk's when omitted.
+ * @returns {Promise<number>} How many commands expired.
+ */
+const expireStaleCommands = async (kioskId) => {
+    const filter = { status: { $in: ['queued', 'leased'] }, expiresAt: { $lte: new Date() } };
+    if (kioskId) {
+        filter.kioskId = kioskId;
+    }
+    let expired = 0;
+
+    for (;;) {
+        // Claim one command at a time, so the periodic job and a kiosk's own requests never expire the same command twice
+        const now = new Date();
+        const command = await DispenseCommand.findOneAndUpdate(
+            filter,
+            { $set: { status: 'expired', failureReason: 'expired', completedAt: now, updatedAt: now } },
+            { new: true, sort: { expiresAt: 1 } }
+        );
+        if (!command) {
+            break;
+        }
+
+        console.warn(`Command ${command._id} for kiosk ${command.kioskId} expired before it was confirmed.`);
+        await recordAudit('dispense.expired', {
+            target: { kind: 'DispenseCommand', id: command._id },
+            details: { diagnosisId: command.diagnosisId.toString(), kioskId: command.kioskId, attempts: command.attempts }
+        });
+        await markDispenseFailed(command.diagnosisId, 'expired', 'system');
+        expired += 1;
+    }
+
+    return expired;
+};
+
+/**
+ * Starts the periodic expiry of commands, so the sessions of a kiosk that went offline
+ * fail on time rather than whenever the kiosk next calls in.
+ *
+ * @param {number} [intervalMs=60000]
+ * @returns {Object} The interval handle.
+ */
+const startCommandExpiryJob = (intervalMs = 60 * 1000) => {
+    const timer = setInterval(() => {
+        expireStaleCommands().catch((err) => console.error('Command Expiry Error:', err.message));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+/**
+ * Leases the oldest deliverable command for a kiosk: a queued command, or a leased
+ * command whose lease ran out without a confirmation.
+ *
+ * @param {string} kioskId
+ * @returns {Promise<Object|null>} The leased DispenseCommand, or null when nothing is pending.
+ */
+const leaseNextCommand = async (kioskId) => {
+    await expireStaleCommands(kioskId);
+
+    const now = new Date();
+    return DispenseCommand.findOneAndUpdate(
+        {
+            kioskId,
+            expiresAt: { $gt: now },
+            $or: [
+                { status: 'queued' },
+                { status: 'leased', leaseExpiresAt: { $lte: now } }
+            ]
+        },
+        {
+            $set: { status: 'leased', leaseExpiresAt: new Date(now.getTime() + COMMAND_LEASE_SECONDS * 1000) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Records the kiosk's report for a command. Confirmations are idempotent: repeating the
+ * same report returns the stored result instead of changing anything.
+ *
+ * @param {string} kioskId - The reporting kiosk; a command can only be confirmed by its own kiosk.
+ * @param {string} commandId
+ * @param {Object} report
+ * @param {string} report.status - 'failed' for a failed dispense, otherwise the kiosk's success status.
+ * @param {string} [report.failureReason] - One of FAILURE_REASONS when status is 'failed'.
+ * @returns {Promise<{ outcome: string, command: (Object|null) }>} outcome is 'confirmed', 'duplicate',
+ *          'not_found' or 'conflict'.
+ */
+const confirmCommand = async (kioskId, commandId, { status, failureReason }) => {
+    const failed = status === 'failed';
+    const reason = failed ? (FAILURE_REASONS.includes(failureReason) ? failureReason : 'other') : undefined;
+
+    const command = await DispenseCommand.findOneAndUpdate(
+        { _id: commandId, kioskId, status: { $in: ['queued', 'leased'] }, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                status: failed ? 'failed' : 'executed',
+                result: status,
+                failureReason: reason,
+                completedAt: new Date(),
+                updatedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+
+    if (!command) {
+        // Already completed, expired, or not this kiosk's command
+        const existing = await DispenseCommand.findOne({ _id: commandId, kioskId });
+        if (!existing) {
+            return { outcome: 'not_found', command: null };
+        }
+        if (existing.status === 'queued' || existing.status === 'leased') {
+            await expireStaleCommands(kioskId);
+            return { outcome: 'conflict', command: await DispenseCommand.findById(commandId) };
+        }
+        const sameReport = (existing.status === 'failed') === failed;
+        return { outcome: sameReport ? 'duplicate' : 'conflict', command: existing };
+    }
+
+    if (failed) {
+        await markDispenseFailed(command.diagnosisId, reason, 'kiosk');
+    } else {
+        if (command.slotNumber) {
+            await decrementStock(kioskId, command.slotNumber);
+        }
+        const diagnosis = await Diagnosis.findById(command.diagnosisId);
+        if (diagnosis && diagnosis.status === 'approved') {
+            diagnosis.commandExecuted = true;
+            transitionDiagnosis(diagnosis, 'medication_dispensed', { source: 'kiosk', note: status });
+            await saveUnlessChanged(diagnosis);
+        }
+    }
+
+    return { outcome: 'confirmed', command };
+};
+
+// A kiosk that was offline reports that it did carry out a command the server had already
+// expired: record the dispense after all, without letting a retry dispense a second dose
+const applyLateExecution = async (kioskId, commandId, status) => {
+    const command = await DispenseCommand.findOneAndUpdate(
+        { _id: commandId, kioskId, status: 'expired' },
+        {
+            $set: { status: 'executed', result: status, completedAt: new Date(), updatedAt: new Date() },
+            $unset: { failureReason: 1 }
+        },
+        { new: true }
+    );
+    if (!command) {
+        return null;
+    }
+
+    if (command.slotNumber) {
+        await decrementStock(kioskId, command.slotNumber);
+    }
+    const diagnosis = await Diagnosis.findById(command.diagnosisId);
+    if (diagnosis) {
+        if (diagnosis.status === 'approved') {
+            await cancelPendingCommands(diagnosis._id); // A retry was queued after the expiry
+        }
+        diagnosis.commandExecuted = true;
+        if (diagnosis.status === 'approved' || diagnosis.status === 'dispense_failed') {
+            transitionDiagnosis(diagnosis, 'medication_dispensed', { source: 'kiosk', note: `Reported after reconnecting: ${status}` });
+            diagnosis.dispenseFailureReason = undefined;
+        }
+        await saveUnlessChanged(diagnosis);
+    }
+    return command;
+};
+
+/**
+ * Reconciles a kiosk's commands after it comes back online.
+ *
+ * The kiosk reports what happened to commands it carried out while offline, and lists the
+ * commands it received but has not carried out yet. Reports go through confirmCommand, except
+ * that a command the server expired in the meantime is still recorded as executed when the
+ * kiosk says it was. Held commands that were cancelled or expired must be discarded by the
+ * kiosk; the ones still valid are leased to it again so they are not delivered twice.
+ *
+ * @param {string} kioskId
+ * @param {Object} params
+ * @param {Array<Object>} [params.reports] - [{ commandId, status, failureReason }]
+ * @param {Array<string>} [params.held] - IDs of commands the kiosk holds but has not carried out.
+ * @returns {Promise<Object>} { reports: [{ commandId, outcome, command }], keep: [command], discard: [commandId] }
+ *          where outcome is as for confirmCommand, or 'late_confirmed' for an expired command recorded as executed.
+ */
+const reconcileCommands = async (kioskId, { reports = [], held = [] }) => {
+    const results = [];
+    for (const { commandId, status, failureReason } of reports) {
+        if (status !== 'failed') {
+            const late = await applyLateExecution(kioskId, commandId, status);
+            if (late) {
+                results.push({ commandId, outcome: 'late_confirmed', command: late });
+                continue;
+            }
+        }
+        const { outcome, command } = await confirmCommand(kioskId, commandId, { status, failureReason });
+        results.push({ commandId, outcome, command });
+    }
+
+    await expireStaleCommands(kioskId);
+    const now = new Date();
+    const keep = [];
+    const discard = [];
+    for (const commandId of held) {
+        const command = await DispenseCommand.findOneAndUpdate(
+            { _id: commandId, kioskId, status: { $in: ['queued', 'leased'] }, expiresAt: { $gt: now } },
+            { $set: { status: 'leased', leaseExpiresAt: new Date(now.getTime() + COMMAND_LEASE_SECONDS * 1000) } },
+            { new: true }
+        );
+        if (command) {
+            keep.push(command);
+        } else {
+            discard.push(commandId);
+        }
+    }
+
+    return { reports: results, keep, discard };
+};
+
+module.exports = {
+    enqueueCommand,
+    leaseNextCommand,
+    confirmCommand,
+    reconcileCommands,
+    expireStaleCommands,
+    startCommandExpiryJob,
+    cancelPendingCommands,
+    FAILURE_REASONS,
+    COMMAND_LEASE_SECONDS
+};
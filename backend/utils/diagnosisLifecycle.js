@@ -0,0 +1,70 @@
+// backend/utils/diagnosisLifecycle.js
+
+/**
+ * The allowed Diagnosis status transitions. Every status change goes through
+ * transitionDiagnosis so illegal moves are rejected in one place and each change
+ * is recorded in the diagnosis's statusHistory.
+ */
+const TRANSITIONS = {
+    collecting_data: ['prediction_made', 'approved', 'declined', 'cancelled'],
+    prediction_made: ['pending_approval', 'collecting_data', 'approved', 'declined', 'cancelled'],
+    pending_approval: ['collecting_data', 'approved', 'declined', 'cancelled'],
+    approved: ['medication_dispensed', 'dispense_failed', 'completed', 'cancelled'],
+    dispense_failed: ['approved', 'medication_dispensed', 'completed', 'cancelled'], // A kiosk back from offline may report the dispense happened
+    medication_dispensed: ['completed'],
+    declined: ['completed'],
+    cancelled: [],
+    completed: []
+};
+
+// Statuses in which the kiosk is still measuring the patient
+const ACTIVE_STATUSES = ['collecting_data', 'prediction_made', 'pending_approval'];
+
+class LifecycleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LifecycleError';
+        this.statusCode = 409;
+    }
+}
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Moves a diagnosis to a new status and records who did it. The caller saves the document.
+ * The save only applies while the stored status is still the one this change started from
+ * (several changes before one save start from the first), so of two concurrent changes to a
+ * session only one is saved; the other's save fails with a DocumentNotFoundError.
+ *
+ * @param {Object} diagnosis - The Diagnosis document.
+ * @param {string} to - The new status.
+ * @param {Object} [actor]
+ * @param {string} [actor.by] - User ID of the doctor or admin; omitted for kiosk and system changes.
+ * @param {string} [actor.source='system'] - 'doctor', 'admin', 'kiosk' or 'system'.
+ * @param {string} [actor.note] - Reason or comment shown on the timeline.
+ * @throws {LifecycleError} When the transition is not allowed.
+ */
+const transitionDiagnosis = (diagnosis, to, { by, source = 'system', note } = {}) => {
+    const from = diagnosis.status;
+    if (!canTransition(from, to)) {
+        throw new LifecycleError(`Cannot change diagnosis status from "${from}" to "${to}".`);
+    }
+
+    if (!diagnosis.isNew && !diagnosis.isModified('status')) {
+        diagnosis.$where = { ...diagnosis.$where, status: from };
+    }
+    diagnosis.status = to;
+    diagnosis.statusHistory.push({ from, to, by, source, note, at: new Date() });
+};
+
+/**
+ * Records the initial status of a new diagnosis on its timeline.
+ *
+ * @param {Object} diagnosis - The new Diagnosis document.
+ * @param {Object} [actor] - Same shape as for transitionDiagnosis.
+ */
+const recordCreation = (diagnosis, { by, source = 'system', note } = {}) => {
+    diagnosis.statusHistory.push({ from: null, to: diagnosis.status, by, source, note, at: new Date() });
+};
+
+module.exports = { transitionDiagnosis, recordCreation, canTransition, LifecycleError, TRANSITIONS, ACTIVE_STATUSES };
@@ -0,0 +1,22 @@
+// backend/utils/eventBus.js
+
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus for diagnosis activity.
+ * Routes and model hooks publish here; the doctor event stream subscribes.
+ *
+ * Events:
+ *   'diagnosis:reading' - a sensor reading was accepted for a session
+ *   'diagnosis:status'  - a diagnosis changed status
+ *   'notification'      - an in-app notification (e.g. a critical alert) for recipientId
+ *   'dispense:queued'   - a dispense command was queued for kioskId (pushed to kiosks on MQTT)
+ *   'triage:changed'    - a session joined, moved within or left the triage queue (see utils/triage.js)
+ * Diagnosis payloads carry the diagnosisId and the owning doctorId (null while unclaimed).
+ */
+const eventBus = new EventEmitter();
+
+// Every open dashboard stream adds listeners, so lift the default cap of 10
+eventBus.setMaxListeners(0);
+
+module.exports = eventBus;
@@ -0,0 +1,239 @@
+// backend/utils/fhir.js
+
+// Maps patients and diagnosis sessions to FHIR R4 resources for EHR import.
+
+const FHIR_BASE_URL = process.env.FHIR_BASE_URL || `${process.env.APP_URL || 'http://localhost:5000'}/fhir`;
+const PATIENT_CODE_SYSTEM = `${FHIR_BASE_URL}/patient-code`;
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+// Vital-sign codes and units (following the FHIR vital signs profiles)
+const VITAL_SIGNS = {
+    bpm: {
+        suffix: 'hr',
+        coding: [{ system: LOINC, code: '8867-4', display: 'Heart rate' }],
+        unit: 'beats/minute',
+        ucum: '/min'
+    },
+    spo2: {
+        suffix: 'spo2',
+        coding: [
+            { system: LOINC, code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry' },
+            { system: LOINC, code: '2708-6', display: 'Oxygen saturation in Arterial blood' }
+        ],
+        unit: '%',
+        ucum: '%'
+    },
+    temperature: {
+        suffix: 'temp',
+        coding: [{ system: LOINC, code: '8310-5', display: 'Body temperature' }],
+        unit: 'C',
+        ucum: 'Cel'
+    }
+};
+
+const VITAL_SIGNS_CATEGORY = [{
+    coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+        code: 'vital-signs',
+        display: 'Vital Signs'
+    }]
+}];
+
+// Diseases that are placeholders rather than diagnoses
+const NOT_A_DIAGNOSIS = ['N/A', 'Undetermined'];
+
+const toDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+const toDateTime = (date) => (date ? new Date(date).toISOString() : undefined);
+
+// The time a session first reached a status, from its timeline
+const reachedStatusAt = (diagnosis, status) => {
+    const entry = (diagnosis.statusHistory || []).find((change) => change.to === status);
+    return entry ? entry.at : undefined;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Maps a patient to a FHIR Patient resource.
+ *
+ * @param {Object} patient - Patient document.
+ * @returns {Object}
+ */
+const patientToFhir = (patient) => ({
+    resourceType: 'Patient',
+    id: patient._id.toString(),
+    identifier: patient.patientCode ? [{ system: PATIENT_CODE_SYSTEM, value: patient.patientCode }] : undefined,
+    name: [{ text: patient.name }],
+    gender: patient.gender || 'unknown',
+    birthDate: toDate(patient.dateOfBirth),
+    telecom: patient.phoneNumber ? [{ system: 'phone', value: patient.phoneNumber }] : undefined,
+    extension: patient.dateOfBirth || patient.age === undefined ? undefined : [{
+        // Only the age was given; FHIR Patient has no age element
+        url: `${FHIR_BASE_URL}/StructureDefinition/reported-age`,
+        valueAge: { value: patient.age, unit: 'a', system: UCUM, code: 'a' }
+    }]
+});
+
+/**
+ * Maps the accepted readings of a session to vital-sign Observations, one per vital per reading.
+ * Readings the sensors flagged (probe off, out of range) are not exported.
+ *
+ * @param {Object} diagnosis - Diagnosis document.
+ * @returns {Array<Object>}
+ */
+const readingsToObservations = (diagnosis) => {
+    const observations = [];
+    const patientRef = { reference: `Patient/${idOf(diagnosis.patientId)}` };
+
+    diagnosis.sensorData.forEach((reading, index) => {
+        if (reading.quality && reading.quality !== 'ok') {
+            return;
+        }
+        for (const [vital, definition] of Object.entries(VITAL_SIGNS)) {
+            observations.push({
+                resourceType: 'Observation',
+                id: `${diagnosis._id}-${index}-${definition.suffix}`,
+                status: 'final',
+                category: VITAL_SIGNS_CATEGORY,
+                code: { coding: definition.coding, text: definition.coding[0].display },
+                subject: patientRef,
+                effectiveDateTime: toDateTime(reading.timestamp),
+                valueQuantity: { value: reading[vital], unit: definition.unit, system: UCUM, code: definition.ucum },
+                device: { display: `Kiosk ${diagnosis.kioskId}` }
+            });
+        }
+    });
+
+    return observations;
+};
+
+/**
+ * Maps the approved diagnosis of a session to a Condition, if a disease was approved.
+ *
+ * @param {Object} diagnosis - Diagnosis document, with doctorId populated for the recorder name.
+ * @returns {Object|null}
+ */
+const diagnosisToCondition = (diagnosis) => {
+    if (!diagnosis.approvedDisease || NOT_A_DIAGNOSIS.includes(diagnosis.approvedDisease)) {
+        return null;
+    }
+
+    const notes = [];
+    if (diagnosis.overridden) {
+        notes.push({ text: `Approved over the kiosk's prediction "${diagnosis.predictedDisease}".` });
+    }
+
+    return {
+        resourceType: 'Condition',
+        id: diagnosis._id.toString(),
+        clinicalStatus: {
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]
+        },
+        verificationStatus: {
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'confirmed' }]
+        },
+        category: [{
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis' }]
+        }],
+        code: { text: diagnosis.approvedDisease },
+        subject: { reference: `Patient/${idOf(diagnosis.patientId)}` },
+        recordedDate: toDateTime(reachedStatusAt(diagnosis, 'approved') || diagnosis.updatedAt),
+        recorder: diagnosis.doctorId && diagnosis.doctorId.name ? { display: `Dr. ${diagnosis.doctorId.name}` } : undefined,
+        note: notes.length > 0 ? notes : undefined
+    };
+};
+
+// Session status -> MedicationDispense status
+const DISPENSE_STATUS = {
+    approved: 'in-progress',
+    medication_dispensed: 'completed',
+    completed: 'completed',
+    dispense_failed: 'stopped',
+    cancelled: 'cancelled'
+};
+
+/**
+ * Maps the dispense of a session to a MedicationDispense, if a medication was dispensed or queued.
+ *
+ * @param {Object} diagnosis - Diagnosis document.
+ * @returns {Object|null}
+ */
+const diagnosisToMedicationDispense = (diagnosis) => {
+    const dispensed = diagnosis.dispensedMedication;
+    if (!dispensed || !dispensed.name) {
+        return null;
+    }
+
+    const status = DISPENSE_STATUS[diagnosis.status] || 'unknown';
+    const condition = diagnosisToCondition(diagnosis);
+
+    return {
+        resourceType: 'MedicationDispense',
+        id: diagnosis._id.toString(),
+        status,
+        statusReasonCodeableConcept: status === 'stopped' && diagnosis.dispenseFailureReason
+            ? { text: diagnosis.dispenseFailureReason.replace(/_/g, ' ') }
+            : undefined,
+        medicationCodeableConcept: { text: dispensed.name },
+        subject: { reference: `Patient/${idOf(diagnosis.patientId)}` },
+        supportingInformation: condition ? [{ reference: `Condition/${condition.id}` }] : undefined,
+        performer: [{ actor: { display: `Kiosk ${diagnosis.kioskId}` } }],
+        quantity: { value: 1 },
+        whenHandedOver: status === 'completed' ? toDateTime(reachedStatusAt(diagnosis, 'medication_dispensed')) : undefined,
+        dosageInstruction: dispensed.dose ? [{ text: dispensed.dose }] : undefined,
+        note: dispensed.lotNumber ? [{ text: `Lot ${dispensed.lotNumber}, slot ${dispensed.slotNumber}` }] : undefined
+    };
+};
+
+// Drops undefined members so the JSON only carries elements that have values
+const compact = (resource) => JSON.parse(JSON.stringify(resource));
+
+/**
+ * Builds a FHIR collection Bundle for diagnosis sessions. Each patient appears once.
+ *
+ * @param {Array<Object>} diagnoses - Diagnosis documents with patientId (and doctorId) populated.
+ * @returns {Object} The Bundle.
+ */
+const buildBundle = (diagnoses) => {
+    const resources = [];
+    const patientIds = new Set();
+
+    for (const diagnosis of diagnoses) {
+        const patient = diagnosis.patientId;
+        if (patient && patient._id && !patientIds.has(patient._id.toString())) {
+            patientIds.add(patient._id.toString());
+            resources.push(patientToFhir(patient));
+        }
+        resources.push(...readingsToObservations(diagnosis));
+
+        const condition = diagnosisToCondition(diagnosis);
+        if (condition) {
+            resources.push(condition);
+        }
+        const dispense = diagnosisToMedicationDispense(diagnosis);
+        if (dispense) {
+            resources.push(dispense);
+        }
+    }
+
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: resources.map((resource) => ({
+            fullUrl: `${FHIR_BASE_URL}/${resource.resourceType}/${resource.id}`,
+            resource: compact(resource)
+        }))
+    };
+};
+
+module.exports = {
+    patientToFhir,
+    readingsToObservations,
+    diagnosisToCondition,
+    diagnosisToMedicationDispense,
+    buildBundle,
+    VITAL_SIGNS
+};
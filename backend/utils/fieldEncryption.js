@@ -0,0 +1,179 @@
+// backend/utils/fieldEncryption.js
+
+// Field-level encryption of patient data (names, phone numbers, vitals) with AES-256-GCM.
+// An encrypted value is stored as 'enc:<keyId>:<iv>:<tag>:<ciphertext>', naming the key that
+// encrypted it. PHI_ENCRYPTION_KEYS lists keys as 'keyId:<32 bytes in base64>', comma-separated:
+// the first encrypts new values, the others are only kept to decrypt older ones until
+// scripts/rotatePhiKeys.js has re-encrypted them with the first.
+//
+// Encrypted values cannot be queried, so lookups and search go through blind indexes: keyed
+// hashes (PHI_INDEX_KEY) of the normalised value, which match equal values without revealing them.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+// Blind indexes of an unencrypted development database; never used once keys are configured
+const DEVELOPMENT_INDEX_KEY = Buffer.from('medatm-development-only-index-key');
+
+const parseKeyRing = (value) => String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (!/^[A-Za-z0-9_-]+$/.test(id) || key.length !== 32) {
+            throw new Error(`PHI_ENCRYPTION_KEYS: each key must be 'keyId:<32 bytes in base64>' (got '${id || entry.slice(0, 8)}...')`);
+        }
+        return { id, key };
+    });
+
+const KEYS = parseKeyRing(process.env.PHI_ENCRYPTION_KEYS);
+const KEYS_BY_ID = new Map(KEYS.map(({ id, key }) => [id, key]));
+const CURRENT_KEY = KEYS[0] || null;
+
+if (!CURRENT_KEY) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('PHI_ENCRYPTION_KEYS must be set in production.');
+    }
+    console.warn('PHI_ENCRYPTION_KEYS is not set: patient data is stored unencrypted.');
+}
+if (CURRENT_KEY && !process.env.PHI_INDEX_KEY) {
+    throw new Error('PHI_INDEX_KEY must be set when PHI_ENCRYPTION_KEYS is.');
+}
+const INDEX_KEY = process.env.PHI_INDEX_KEY ? Buffer.from(process.env.PHI_INDEX_KEY, 'base64') : DEVELOPMENT_INDEX_KEY;
+
+/**
+ * Whether a stored value is ciphertext (anything else is plaintext from before encryption).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * The ID of the key that encrypted a stored value, or null for plaintext.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+const keyIdOf = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * Encrypts a value with the current key. Empty values are kept as they are, and so is a value
+ * that is already ciphertext, so assigning a stored value back to its field does not encrypt it twice.
+ *
+ * @param {*} value - Any JSON value; its type is restored on decryption.
+ * @returns {*} The ciphertext (the value unchanged while encryption is not configured).
+ */
+const encryptValue = (value) => {
+    if (value === undefined || value === null || value === '' || isEncrypted(value) || !CURRENT_KEY) {
+        return value;
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, CURRENT_KEY.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return [PREFIX, CURRENT_KEY.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypts a stored value with the key it names. Plaintext is returned as it is.
+ *
+ * @param {*} value
+ * @returns {*}
+ * @throws {Error} When the key is no longer configured or the value was tampered with.
+ */
+const decryptValue = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+    const [, keyId, iv, tag, ciphertext] = value.split(':');
+    const key = KEYS_BY_ID.get(keyId);
+    if (!key) {
+        throw new Error(`Patient data was encrypted with key '${keyId}', which is not in PHI_ENCRYPTION_KEYS.`);
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+};
+
+// Numbers are stored as strings, so plaintext ones (older records, or no key configured) are converted back
+const decryptNumber = (value) => {
+    const decrypted = decryptValue(value);
+    return decrypted === undefined || decrypted === null || decrypted === '' ? decrypted : Number(decrypted);
+};
+
+/**
+ * Whether a stored value should be re-encrypted with the current key: it is plaintext, or
+ * another key encrypted it.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const needsReencryption = (value) => Boolean(CURRENT_KEY) && value !== undefined && value !== null && value !== '' &&
+    keyIdOf(value) !== CURRENT_KEY.id;
+
+/**
+ * A schema type for an encrypted field: stored as ciphertext, read back as the plain value
+ * through its getter (set `toJSON: { getters: true }` on the schema so responses are decrypted).
+ *
+ * @param {Function} type - String or Number.
+ * @param {Object} [options] - Other schema options, e.g. required or validate. Validators see the
+ *        ciphertext; decrypt with decryptValue in a validator that checks the content.
+ * @returns {Object} The schema type definition.
+ */
+const encryptedField = (type, options = {}) => ({
+    type: String,
+    set: (value) => encryptValue(typeof value === 'string' && !isEncrypted(value) ? value.trim() : value),
+    get: type === Number ? decryptNumber : decryptValue,
+    ...options
+});
+
+/**
+ * Decrypts fields of a plain object in place, for records that did not come through the
+ * model's getters (e.g. aggregation results).
+ *
+ * @param {Object} record
+ * @param {Object} fields - { path: String|Number }
+ * @returns {Object} The record.
+ */
+const decryptFields = (record, fields) => {
+    for (const [path, type] of Object.entries(fields)) {
+        if (record[path] !== undefined && record[path] !== null) {
+            record[path] = type === Number ? decryptNumber(record[path]) : decryptValue(record[path]);
+        }
+    }
+    return record;
+};
+
+/**
+ * A blind index of an already normalised value. `purpose` separates the indexes of different
+ * fields, so equal values in different fields do not share an index.
+ *
+ * @param {string} purpose - e.g. 'phone'.
+ * @param {string} value
+ * @returns {string|undefined} undefined for an empty value.
+ */
+const blindIndex = (purpose, value) => {
+    if (!value) {
+        return undefined;
+    }
+    return crypto.createHmac('sha256', INDEX_KEY).update(`${purpose}:${value}`).digest('hex');
+};
+
+module.exports = {
+    encryptValue,
+    decryptValue,
+    decryptNumber,
+    decryptFields,
+    encryptedField,
+    blindIndex,
+    isEncrypted,
+    keyIdOf,
+    needsReencryption,
+    CURRENT_KEY_ID: CURRENT_KEY ? CURRENT_KEY.id : null
+};
@@ -0,0 +1,110 @@
+// backend/utils/history.js
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Diagnosis = require('../models/Diagnosis');
+const { escapeRegex } = require('./query');
+
+// Fields the history can be sorted by, mapped to their path in the aggregation.
+// Not the patient's name: it is encrypted, so the database cannot order by it.
+const HISTORY_SORT_FIELDS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    status: 'status',
+    kioskId: 'kioskId',
+    predictedDisease: 'predictedDisease',
+    approvedDisease: 'approvedDisease'
+};
+
+/**
+ * Builds the aggregation stages that filter and sort diagnosis history. The patient is
+ * joined in as `patient`, so `search` can match the patient's name (whole words, through
+ * the name's blind indexes) or code. Records come out encrypted; see decryptHistoryRecord.
+ * Used by the paginated history and by the history exports, so both list the same records.
+ *
+ * @param {Object} filters - Query string: search, status (comma-separated), kioskId,
+ *        predictedDisease, approvedDisease, from, to, sortBy, order.
+ * @param {Object} [scope]
+ * @param {string} [scope.doctorId] - Restrict to one doctor's sessions.
+ * @returns {Object} { pipeline, sort } (sort is a $sort stage), or { error } for invalid filters.
+ */
+const buildHistoryPipeline = (filters, { doctorId } = {}) => {
+    const { search, status, kioskId, predictedDisease, approvedDisease, from, to } = filters;
+
+    const match = { deletedAt: null }; // Hide deleted records
+    if (doctorId) {
+        match.doctorId = new mongoose.Types.ObjectId(doctorId);
+    }
+    if (status) {
+        match.status = { $in: String(status).split(',') };
+    }
+    if (kioskId) {
+        match.kioskId = String(kioskId); // Plain value only, never a query operator such as kioskId[$ne]
+    }
+    if (predictedDisease) {
+        match.predictedDisease = String(predictedDisease);
+    }
+    if (approvedDisease) {
+        match.approvedDisease = String(approvedDisease);
+    }
+    if (from || to) {
+        match.createdAt = {};
+        if (from) {
+            match.createdAt.$gte = new Date(from);
+        }
+        if (to) {
+            match.createdAt.$lte = new Date(to);
+        }
+        if (Object.values(match.createdAt).some((date) => isNaN(date.getTime()))) {
+            return { error: 'Invalid date range.' };
+        }
+    }
+
+    const pipeline = [
+        { $match: match },
+        // Join the patient so the search can use the patient's name and code
+        { $lookup: { from: Patient.collection.name, localField: 'patientId', foreignField: '_id', as: 'patient' } },
+        { $unwind: { path: '$patient', preserveNullAndEmptyArrays: true } }
+    ];
+
+    if (search) {
+        const searchRegex = new RegExp(escapeRegex(search), 'i'); // Matched literally, case-insensitive
+        const nameTokens = Patient.nameTokensFor(search);
+        pipeline.push({
+            $match: {
+                $or: [
+                    ...(nameTokens.length > 0 ? [{ 'patient.nameTokens': { $all: nameTokens } }] : []),
+                    { 'patient.patientCode': searchRegex },
+                    { kioskId: searchRegex },
+                    { predictedDisease: searchRegex },
+                    { approvedDisease: searchRegex },
+                    { status: searchRegex }
+                ]
+            }
+        });
+    }
+
+    const sortField = HISTORY_SORT_FIELDS[filters.sortBy] || 'createdAt';
+    const sortOrder = filters.order === 'asc' ? 1 : -1;
+
+    return { pipeline, sort: { $sort: { [sortField]: sortOrder, _id: sortOrder } } };
+};
+
+/**
+ * Decrypts a record from the history pipeline: its readings and the joined patient.
+ *
+ * @param {Object} record - Aggregation result; changed in place.
+ * @param {string} [patientPath='patient'] - Where the patient is on the record.
+ * @returns {Object} The record.
+ */
+const decryptHistoryRecord = (record, patientPath = 'patient') => {
+    if (record[patientPath]) {
+        Patient.decryptRecord(record[patientPath]);
+    }
+    if (record.sensorData) {
+        Diagnosis.decryptReadings(record.sensorData);
+    }
+    return record;
+};
+
+module.exports = { buildHistoryPipeline, decryptHistoryRecord, HISTORY_SORT_FIELDS };
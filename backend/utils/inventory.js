@@ -0,0 +1,75 @@
+// backend/utils/inventory.js
+
+const Kiosk = require('../models/Kiosk');
+const Medication = require('../models/Medication');
+
+const isExpired = (slot, now = new Date()) => Boolean(slot.expiryDate && slot.expiryDate <= now);
+
+const isLowStock = (slot) => slot.stock <= slot.lowStockThreshold;
+
+// Slots without an expiry date sort last when picking the first-expiring stock
+const expiryTime = (slot) => (slot.expiryDate ? slot.expiryDate.getTime() : Number.MAX_SAFE_INTEGER);
+
+/**
+ * Picks the kiosk slot to dispense from for an approved disease.
+ * Slots holding a medication indicated for the disease are considered, and among the
+ * usable ones (stock left, not expired) the one expiring first is used.
+ *
+ * @param {string} kioskId
+ * @param {string} disease - The approved disease.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeMedicationIds] - Medications not to consider (e.g. unsafe for the patient).
+ * @returns {Promise<Object>} { slot, medication } when a slot can dispense,
+ *          { slot: null } when no medication is indicated for the disease,
+ *          or { error } describing why approval must be blocked.
+ */
+const findSlotForDisease = async (kioskId, disease, { excludeMedicationIds = [] } = {}) => {
+    const medications = await Medication.find({ indications: disease, _id: { $nin: excludeMedicationIds } });
+    if (medications.length === 0) {
+        return { slot: null }; // Nothing to dispense for this disease
+    }
+
+    const kiosk = await Kiosk.findOne({ kioskId });
+    const medicationIds = medications.map((medication) => medication._id.toString());
+    const candidates = (kiosk ? kiosk.slots : [])
+        .filter((slot) => slot.medication && medicationIds.includes(slot.medication.toString()));
+
+    if (candidates.length === 0) {
+        return { error: `No medication for "${disease}" is loaded in kiosk ${kioskId}.` };
+    }
+
+    const usable = candidates
+        .filter((slot) => slot.stock > 0 && !isExpired(slot))
+        .sort((a, b) => expiryTime(a) - expiryTime(b));
+
+    if (usable.length === 0) {
+        const allEmpty = candidates.every((slot) => slot.stock <= 0);
+        return {
+            error: allEmpty
+                ? `The slot for "${disease}" in kiosk ${kioskId} is empty.`
+                : `The stock for "${disease}" in kiosk ${kioskId} has expired.`
+        };
+    }
+
+    const slot = usable[0];
+    const medication = medications.find((m) => m._id.toString() === slot.medication.toString());
+    return { slot, medication };
+};
+
+/**
+ * Removes one dose from a kiosk slot after a confirmed dispense.
+ *
+ * @param {string} kioskId
+ * @param {number} slotNumber
+ */
+const decrementStock = async (kioskId, slotNumber) => {
+    const result = await Kiosk.updateOne(
+        { kioskId, slots: { $elemMatch: { slotNumber, stock: { $gt: 0 } } } },
+        { $inc: { 'slots.$.stock': -1 } }
+    );
+    if (result.modifiedCount === 0) {
+        console.warn(`Kiosk ${kioskId} dispensed from slot ${slotNumber}, but its recorded stock was already 0.`);
+    }
+};
+
+module.exports = { findSlotForDisease, decrementStock, isExpired, isLowStock };
@@ -0,0 +1,340 @@
+// backend/utils/kioskTelemetry.js
+
+// What a kiosk reports, independent of how it arrives: the HTTP routes in routes/esp32.js
+// and the MQTT transport both hand their messages to these functions.
+
+const Diagnosis = require('../models/Diagnosis');
+const Patient = require('../models/Patient');
+const Kiosk = require('../models/Kiosk');
+const { predictFromWindow } = require('./predictionLogic');
+const { assessReading } = require('./signalQuality');
+const { getActiveRuleSet } = require('./ruleSets');
+const eventBus = require('./eventBus');
+const { checkReadingForAlerts } = require('./alerting');
+const { transitionDiagnosis, recordCreation, ACTIVE_STATUSES } = require('./diagnosisLifecycle');
+const { assessTriage, publishTriageChange } = require('./triage');
+
+// Most readings one batch may carry; a kiosk with more buffered sends several batches
+const MAX_BATCH_READINGS = parseInt(process.env.MAX_BATCH_READINGS, 10) || 500;
+// Skew correction ignores network latency, so readings this close before the session started still count
+const SESSION_START_TOLERANCE_MS = 5000;
+
+// Times a batch is re-read and appended again after another upload changed the session meanwhile
+const MAX_APPEND_ATTEMPTS = 3;
+
+// What the sensors can report at all (0 means the probe is off); readings outside these are malformed,
+// while implausible values inside them are kept and flagged by assessReading
+const SENSOR_RANGES = {
+    bpm: { min: 0, max: 300 },
+    spo2: { min: 0, max: 100 },
+    temperature: { min: 0, max: 60 }
+};
+
+const isValidReading = (reading) => Object.entries(SENSOR_RANGES).every(([field, { min, max }]) => {
+    const value = reading[field];
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+});
+
+// Finds the kiosk's active patient and their ongoing diagnosis (created if it is missing)
+const findActiveSession = async (kioskId) => {
+    // Find the active patient session for this kiosk
+    // This assumes a patient session is initiated by a doctor on the dashboard
+    // and a kioskId is assigned to it.
+    const activePatient = await Patient.findOne({ kioskId, isActive: true });
+
+    if (!activePatient) {
+        // If no active patient, maybe store as a general kiosk log or error
+        console.warn(`Data received from unassigned kioskId: ${kioskId}`);
+        return null;
+    }
+
+    // Find or create a Diagnosis record for this active patient
+    // We'll consider a single `Diagnosis` entry for one patient's session.
+    let diagnosisRecord = await Diagnosis.findOne({
+        patientId: activePatient._id,
+        kioskId: kioskId,
+        status: { $in: ACTIVE_STATUSES } // Only update if not yet completed
+    }).sort({ createdAt: -1 }); // Get the latest one if multiple exist
+
+    if (!diagnosisRecord) {
+        // This should ideally not happen if Patient.isActive implies a Diagnosis record exists
+        // But as a fallback, create a new one (though it implies an issue in workflow)
+        console.warn(`No ongoing diagnosis record found for active patient ${activePatient._id}. Creating new.`);
+        diagnosisRecord = new Diagnosis({
+            patientId: activePatient._id,
+            doctorId: activePatient.doctorId,
+            origin: activePatient.doctorId ? 'doctor' : 'kiosk',
+            kioskId: kioskId,
+            status: 'collecting_data'
+        });
+        recordCreation(diagnosisRecord, { source: 'kiosk', note: 'Created from an upload without an ongoing session' });
+    }
+
+    return { patient: activePatient, diagnosis: diagnosisRecord };
+};
+
+// The time from which readings count for the current measurement (null when nothing was discarded)
+const measurementBoundary = (diagnosis) => {
+    if (diagnosis.measurementStartedAt) {
+        return diagnosis.measurementStartedAt;
+    }
+    const index = diagnosis.measurementStartIndex;
+    // Sessions re-measured before measurementStartedAt existed: just after the last discarded reading
+    return index > 0 ? new Date(diagnosis.sensorData[index - 1].timestamp.getTime() + 1) : null;
+};
+
+// Sorts a batch into the readings to add to the session and what was dropped, and why
+const screenReadings = (diagnosis, readings, { receivedAt, clockSkewMs }) => {
+    const sessionStart = (diagnosis.createdAt || receivedAt).getTime() - SESSION_START_TOLERANCE_MS;
+    const seenSeqs = new Set(diagnosis.sensorData.filter((reading) => reading.seq !== undefined && reading.seq !== null).map((reading) => reading.seq));
+
+    const report = { accepted: 0, duplicates: 0, rejected: { invalid: 0, before_session: 0 }, lastSeq: null, clockSkewMs };
+    const added = [];
+    for (const { bpm, spo2, temperature, seq, deviceTime } of readings) {
+        if (seq !== undefined) {
+            report.lastSeq = Math.max(report.lastSeq === null ? seq : report.lastSeq, seq);
+            if (seenSeqs.has(seq)) {
+                report.duplicates += 1;
+                continue;
+            }
+        }
+        if (!isValidReading({ bpm, spo2, temperature })) {
+            report.rejected.invalid += 1;
+            continue;
+        }
+
+        // A skew-corrected time is never later than the moment the reading arrived
+        const timestamp = deviceTime === undefined || clockSkewMs === null
+            ? receivedAt
+            : new Date(Math.min(deviceTime + clockSkewMs, receivedAt.getTime()));
+        if (timestamp.getTime() < sessionStart) {
+            report.rejected.before_session += 1;
+            continue;
+        }
+
+        if (seq !== undefined) {
+            seenSeqs.add(seq);
+        }
+        added.push({
+            timestamp,
+            bpm,
+            spo2,
+            temperature,
+            // Add the current sensor data to the array, flagging readings the sensors got wrong
+            quality: assessReading({ bpm, spo2, temperature }),
+            seq,
+            deviceTime,
+            receivedAt
+        });
+    }
+    report.accepted = added.length;
+    return { added, report };
+};
+
+// Inserts readings into the session in order of measurement, in one update so that overlapping
+// uploads (e.g. a retransmitted batch) neither overwrite each other's readings nor store one twice.
+// Returns the updated session, or null when it no longer accepts them: another upload stored
+// some of the same readings, or the session closed.
+const appendReadings = (diagnosis, added) => {
+    const seqs = added.map((reading) => reading.seq).filter((seq) => seq !== undefined);
+    const filter = { _id: diagnosis._id, status: { $in: ACTIVE_STATUSES } };
+    if (seqs.length > 0) {
+        filter['sensorData.seq'] = { $nin: seqs };
+    }
+    return Diagnosis.findOneAndUpdate(
+        filter,
+        { $push: { sensorData: { $each: added, $sort: { timestamp: 1 } } } },
+        { new: true }
+    );
+};
+
+/**
+ * Adds readings to the kiosk's active session, in order of measurement, and predicts over its
+ * recent readings. Readings may come late and out of order from a kiosk that was offline:
+ *
+ * - a reading with a `seq` the session already holds is a retransmission and is skipped;
+ * - `deviceTime` is on the kiosk's clock; `sentAt` (the kiosk's clock when it sent the batch)
+ *   gives the skew to the server's clock, which is added to place the reading in server time;
+ * - readings measured before the session started belong to someone else and are rejected;
+ * - readings whose vitals are not numbers within what the sensors can report are rejected as invalid.
+ *
+ * @param {string} kioskId - The authenticated kiosk.
+ * @param {Array<Object>} readings - [{ bpm, spo2, temperature, seq, deviceTime }]
+ * @param {Object} [clock]
+ * @param {number} [clock.sentAt] - The kiosk's clock (ms, same clock as deviceTime) when it sent the readings.
+ * @returns {Promise<Object>} { outcome, diagnosis, prediction, signalQuality, accepted, duplicates,
+ *          rejected: { invalid, before_session }, lastSeq, clockSkewMs } where outcome is
+ *          'accepted' or 'no_session' (no patient on this kiosk).
+ */
+const processReadings = async (kioskId, readings, { sentAt } = {}) => {
+    const receivedAt = new Date();
+    const clockSkewMs = sentAt === undefined ? null : receivedAt.getTime() - sentAt;
+
+    let activePatient;
+    let diagnosisRecord;
+    let screened;
+    let boundary;
+    for (let attempt = 1; ; attempt += 1) {
+        const session = await findActiveSession(kioskId);
+        if (!session) {
+            return { outcome: 'no_session' };
+        }
+        ({ patient: activePatient, diagnosis: diagnosisRecord } = session);
+        screened = screenReadings(diagnosisRecord, readings, { receivedAt, clockSkewMs });
+        if (screened.added.length === 0) {
+            break;
+        }
+
+        if (diagnosisRecord.isNew) {
+            await diagnosisRecord.save();
+        }
+        boundary = measurementBoundary(diagnosisRecord); // From the readings before these were inserted
+        const updated = await appendReadings(diagnosisRecord, screened.added);
+        if (updated) {
+            diagnosisRecord = updated;
+            break;
+        }
+        if (attempt === MAX_APPEND_ATTEMPTS) {
+            throw new Error(`Readings from kiosk ${kioskId} could not be stored: the session kept changing.`);
+        }
+    }
+    const { added, report } = screened;
+
+    if (clockSkewMs !== null) {
+        await Kiosk.updateOne({ kioskId }, { $set: { clockSkewMs, clockSkewMeasuredAt: receivedAt } });
+    }
+    if (added.length === 0) {
+        return {
+            outcome: 'accepted',
+            diagnosis: diagnosisRecord,
+            prediction: diagnosisRecord.predictedDisease,
+            signalQuality: diagnosisRecord.signalQuality.state,
+            ...report
+        };
+    }
+
+    // The prediction below is only saved while the session keeps the status read here, so it
+    // cannot overwrite a cancel, decline or approval that lands in the meantime
+    diagnosisRecord.$where = { status: diagnosisRecord.status };
+
+    // Late readings from before a re-measurement stay discarded
+    if (boundary) {
+        diagnosisRecord.measurementStartIndex = diagnosisRecord.sensorData.filter((reading) => reading.timestamp < boundary).length;
+    }
+
+    // Predict over the session's recent readings using the active rule set
+    const ruleSet = await getActiveRuleSet();
+    const result = predictFromWindow(diagnosisRecord.sensorData.slice(diagnosisRecord.measurementStartIndex), ruleSet);
+    diagnosisRecord.signalQuality = result.signalQuality;
+    diagnosisRecord.predictionReasoning = result.reasoning;
+
+    if (result.ready) {
+        diagnosisRecord.predictedDisease = result.disease;
+        diagnosisRecord.predictedMedication = result.medication;
+        diagnosisRecord.ruleId = result.ruleId;
+        diagnosisRecord.ruleSetVersion = result.ruleSetVersion;
+        diagnosisRecord.predictionConfidence = result.confidence;
+
+        // Update status if it moves from collecting to prediction_made
+        if (diagnosisRecord.status === 'collecting_data' && result.disease !== 'Undetermined') {
+            transitionDiagnosis(diagnosisRecord, 'prediction_made', { source: 'kiosk' });
+        }
+        if (diagnosisRecord.status === 'prediction_made' && result.disease !== 'Undetermined') {
+            transitionDiagnosis(diagnosisRecord, 'pending_approval', { source: 'system' }); // Ready for doctor review
+        }
+    }
+    const prediction = diagnosisRecord.predictedDisease;
+    const triageChanged = assessTriage(diagnosisRecord, activePatient);
+
+    try {
+        await diagnosisRecord.save();
+    } catch (err) {
+        if (err.name !== 'DocumentNotFoundError') {
+            throw err;
+        }
+        // The readings are stored, but the session moved on and this prediction is dropped
+        const current = await Diagnosis.findById(diagnosisRecord._id);
+        return {
+            outcome: 'accepted',
+            diagnosis: current,
+            prediction: current.predictedDisease,
+            signalQuality: current.signalQuality.state,
+            ...report
+        };
+    }
+    if (triageChanged && !diagnosisRecord.doctorId) {
+        publishTriageChange(diagnosisRecord, 'updated'); // Moves the session within the queue
+    }
+
+    const latest = diagnosisRecord.sensorData[diagnosisRecord.sensorData.length - 1];
+    eventBus.emit('diagnosis:reading', {
+        diagnosisId: diagnosisRecord._id.toString(),
+        doctorId: diagnosisRecord.doctorId ? diagnosisRecord.doctorId.toString() : null,
+        kioskId,
+        reading: latest,
+        predictedDisease: prediction,
+        signalQuality: result.signalQuality.state
+    });
+
+    // Check accepted readings against the critical thresholds; alerting problems must not lose the readings
+    for (const reading of added.filter((candidate) => candidate.quality === 'ok')) {
+        try {
+            await checkReadingForAlerts({ diagnosis: diagnosisRecord, patient: activePatient, reading });
+        } catch (alertErr) {
+            console.error('Alert Check Error:', alertErr.message);
+        }
+    }
+
+    return {
+        outcome: 'accepted',
+        diagnosis: diagnosisRecord,
+        prediction,
+        signalQuality: result.signalQuality.state,
+        ...report
+    };
+};
+
+/**
+ * Adds one live sensor reading to the kiosk's active session and predicts over its recent readings.
+ *
+ * @param {string} kioskId - The authenticated kiosk.
+ * @param {Object} reading - { bpm, spo2, temperature }
+ * @returns {Promise<Object>} { outcome, diagnosis, prediction, signalQuality } where outcome is
+ *          'accepted', 'invalid' (a vital is not a number the sensors can report) or 'no_session' (no patient on this kiosk).
+ */
+const processReading = async (kioskId, { bpm, spo2, temperature }) => {
+    if (!isValidReading({ bpm, spo2, temperature })) {
+        return { outcome: 'invalid' };
+    }
+    return processReadings(kioskId, [{ bpm, spo2, temperature }]);
+};
+
+/**
+ * Records a kiosk heartbeat: last seen time, firmware version and the sensor self-test.
+ *
+ * @param {string} kioskId
+ * @param {Object} heartbeat - { firmwareVersion, selfTest: [{ name, ok, detail }] }
+ * @returns {Promise<Date>} The time the heartbeat was recorded.
+ */
+const recordHeartbeat = async (kioskId, { firmwareVersion, selfTest }) => {
+    const update = { lastSeenAt: new Date() };
+    if (firmwareVersion) {
+        update.firmwareVersion = firmwareVersion;
+    }
+    if (selfTest) {
+        const sensors = selfTest.map(({ name, ok, detail }) => ({ name, ok: ok === true, detail }));
+        update.selfTest = {
+            reportedAt: update.lastSeenAt,
+            passed: sensors.every((sensor) => sensor.ok),
+            sensors
+        };
+        if (!update.selfTest.passed) {
+            console.warn(`Kiosk ${kioskId} reported a failed sensor self-test.`);
+        }
+    }
+
+    await Kiosk.updateOne({ kioskId }, { $set: update });
+    return update.lastSeenAt;
+};
+
+module.exports = { processReading, processReadings, recordHeartbeat, MAX_BATCH_READINGS };
@@ -0,0 +1,124 @@
+// backend/utils/medicationSafety.js
+
+const { findSlotForDisease } = require('./inventory');
+
+// Reduces a word to its singular, so 'penicillins' and 'beta-lactams' name what the medication
+// lists as 'penicillin' and 'beta-lactam' ('-us', '-is' and '-ss' words such as 'lupus' are kept)
+const singular = (word) => {
+    if (word.length <= 3 || /(ss|us|is)$/.test(word)) {
+        return word;
+    }
+    if (word.endsWith('ies')) {
+        return `${word.slice(0, -3)}y`;
+    }
+    return word.endsWith('s') ? word.slice(0, -1) : word;
+};
+
+const normalise = (term) => String(term || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(singular)
+    .join(' ');
+
+/**
+ * Whether a patient's term (an allergy or condition) names the same thing as one of a
+ * medication's. Terms match on whole words, ignoring case, punctuation and plurals: 'Penicillins'
+ * matches 'penicillin', 'beta lactams' and 'betalactam' match 'beta-lactam', and
+ * 'Penicillin allergy' matches 'penicillin', while 'pen' does not match 'penicillin'.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const termsMatch = (a, b) => {
+    const x = normalise(a);
+    const y = normalise(b);
+    if (!x || !y) {
+        return false;
+    }
+    return x === y || ` ${x} `.includes(` ${y} `) || ` ${y} `.includes(` ${x} `) ||
+        x.replace(/ /g, '') === y.replace(/ /g, '');
+};
+
+/**
+ * Checks a medication against a patient's known allergies and chronic conditions.
+ * An allergy conflicts with any of the medication's allergens or with its name;
+ * a condition conflicts with any of its contraindications.
+ *
+ * @param {Object} patient - Patient document (or null when unknown).
+ * @param {Object} medication - Medication document.
+ * @returns {Array<Object>} Conflicts as { type, patientValue, medicationValue }; empty when safe.
+ */
+const checkMedicationSafety = (patient, medication) => {
+    if (!patient || !medication) {
+        return [];
+    }
+
+    const conflicts = [];
+    const allergens = [medication.name, ...(medication.allergens || [])];
+
+    for (const allergy of patient.allergies || []) {
+        const match = allergens.find((allergen) => termsMatch(allergy, allergen));
+        if (match) {
+            conflicts.push({ type: 'allergy', patientValue: allergy, medicationValue: match });
+        }
+    }
+    for (const condition of patient.chronicConditions || []) {
+        const match = (medication.contraindications || []).find((contraindication) => termsMatch(condition, contraindication));
+        if (match) {
+            conflicts.push({ type: 'contraindication', patientValue: condition, medicationValue: match });
+        }
+    }
+
+    return conflicts;
+};
+
+/**
+ * Describes conflicts for an error message, e.g. 'allergy "penicillin" (Amoxicillin contains penicillin)'.
+ *
+ * @param {Object} medication
+ * @param {Array<Object>} conflicts - From checkMedicationSafety.
+ * @returns {string}
+ */
+const describeConflicts = (medication, conflicts) => conflicts
+    .map((conflict) => (conflict.type === 'allergy'
+        ? `allergy "${conflict.patientValue}" (${medication.name} contains ${conflict.medicationValue})`
+        : `condition "${conflict.patientValue}" (${medication.name} is contraindicated in ${conflict.medicationValue})`))
+    .join('; ');
+
+/**
+ * Picks the kiosk slot to dispense from for a patient, skipping medications that conflict
+ * with the patient when another medication for the disease is loaded and usable.
+ *
+ * @param {string} kioskId
+ * @param {string} disease - The approved disease.
+ * @param {Object} patient - Patient document.
+ * @returns {Promise<Object>} As findSlotForDisease, plus `conflicts` (non-empty only when every
+ *          usable medication conflicts; the first-choice slot is returned in that case).
+ */
+const findSafeSlotForPatient = async (kioskId, disease, patient) => {
+    const excludeMedicationIds = [];
+    let firstConflicting = null;
+
+    for (;;) {
+        const found = await findSlotForDisease(kioskId, disease, { excludeMedicationIds });
+        if (!found.slot) {
+            // Nothing else can dispense: fall back to the conflicting choice so the doctor can decide
+            return firstConflicting || { ...found, conflicts: [] };
+        }
+
+        const conflicts = checkMedicationSafety(patient, found.medication);
+        if (conflicts.length === 0) {
+            return { ...found, conflicts };
+        }
+        if (!firstConflicting) {
+            firstConflicting = { ...found, conflicts };
+        }
+        excludeMedicationIds.push(found.medication._id);
+    }
+};
+
+module.exports = { termsMatch, checkMedicationSafety, describeConflicts, findSafeSlotForPatient };
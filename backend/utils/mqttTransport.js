@@ -0,0 +1,322 @@
+// backend/utils/mqttTransport.js
+
+// MQTT transport for kiosks, alongside the HTTP routes in routes/esp32.js (which older
+// firmware keeps using). Each kiosk has its own topics under MQTT_TOPIC_PREFIX:
+//
+//   <prefix>/kiosks/<kioskId>/vitals     kiosk -> server  { bpm, spo2, temperature }, or a buffered batch
+//                                                         { sentAt, readings: [{ seq, deviceTime, bpm, spo2, temperature }] }
+//   <prefix>/kiosks/<kioskId>/heartbeat  kiosk -> server  { firmwareVersion, selfTest }
+//   <prefix>/kiosks/<kioskId>/status     kiosk -> server  'online' on connect, 'offline' as its last will (retained)
+//   <prefix>/kiosks/<kioskId>/acks       kiosk -> server  { commandId, status, failureReason }
+//   <prefix>/kiosks/<kioskId>/commands   server -> kiosk  { command, commandId, diagnosisId, leaseExpiresAt } (QoS 1)
+//
+// Commands use the same leased queue as HTTP polling: a command that is not acknowledged
+// before its lease runs out is published again.
+//
+// With MQTT_BROKER_PORT set the server runs an embedded Aedes broker that authenticates
+// kiosks and keeps each one to its own topics. With only MQTT_URL set it connects to an
+// external broker, whose ACLs must do the same.
+
+const net = require('net');
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const { createBroker } = require('aedes');
+const mongoose = require('mongoose');
+const Kiosk = require('../models/Kiosk');
+const KioskNonce = require('../models/KioskNonce');
+const { buildSignaturePayload, signPayload, SIGNATURE_WINDOW_SECONDS } = require('./authMiddleware');
+const { processReading, processReadings, recordHeartbeat, MAX_BATCH_READINGS } = require('./kioskTelemetry');
+const { leaseNextCommand, confirmCommand, COMMAND_LEASE_SECONDS } = require('./commandQueue');
+const { recordAudit } = require('./audit');
+const eventBus = require('./eventBus');
+
+const TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'medatm';
+const KIOSK_CHANNELS = ['vitals', 'heartbeat', 'status', 'acks'];
+
+const kioskTopic = (kioskId, channel) => `${TOPIC_PREFIX}/kiosks/${kioskId}/${channel}`;
+
+// Splits '<prefix>/kiosks/<kioskId>/<channel>' into its parts, or null for any other topic
+const parseKioskTopic = (topic) => {
+    const parts = topic.split('/');
+    const prefixParts = TOPIC_PREFIX.split('/');
+    if (parts.length !== prefixParts.length + 3 || parts.slice(0, prefixParts.length).join('/') !== TOPIC_PREFIX) {
+        return null;
+    }
+    const [kiosks, kioskId, channel] = parts.slice(prefixParts.length);
+    return kiosks === 'kiosks' && kioskId ? { kioskId, channel } : null;
+};
+
+/**
+ * Builds the MQTT CONNECT password for a kiosk: '<timestamp>:<nonce>:<signature>', where the
+ * signature is the kiosk's HMAC (as for HTTP requests) over method 'MQTT', path 'CONNECT'
+ * and the kiosk ID as the body. The firmware must build exactly the same string.
+ *
+ * @param {string} kioskId
+ * @param {string} secret
+ * @returns {string}
+ */
+const buildConnectPassword = (kioskId, secret) => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const signature = signPayload(secret, buildSignaturePayload({ timestamp, nonce, method: 'MQTT', path: 'CONNECT', body: kioskId }));
+    return `${timestamp}:${nonce}:${signature}`;
+};
+
+// Checks a kiosk's CONNECT credentials the same way kioskAuth checks a signed request
+const verifyKioskCredentials = async (kioskId, password) => {
+    const [timestamp, nonce, signature] = (password || '').split(':');
+    const requestTime = parseInt(timestamp, 10);
+    if (!nonce || !signature || isNaN(requestTime) || Math.abs(Date.now() / 1000 - requestTime) > SIGNATURE_WINDOW_SECONDS) {
+        return false;
+    }
+
+    const kiosk = await Kiosk.findOne({ kioskId }).select('+secret');
+    if (!kiosk || kiosk.status !== 'active') {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(kiosk.secret, buildSignaturePayload({ timestamp, nonce, method: 'MQTT', path: 'CONNECT', body: kioskId })), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return false;
+    }
+
+    try {
+        await KioskNonce.create({ kioskId, nonce });
+    } catch (err) {
+        if (err.code === 11000) {
+            return false; // Replayed credentials
+        }
+        throw err;
+    }
+    return true;
+};
+
+// Embedded broker: kiosks sign in with their credentials and may only use their own topics;
+// the server's own client signs in with the service credentials and may use any topic.
+const startEmbeddedBroker = (port, service) => {
+    const broker = createBroker();
+
+    broker.authenticate = (client, username, password, callback) => {
+        const given = password ? password.toString() : '';
+        if (username === service.username) {
+            const expected = Buffer.from(service.password || '');
+            const ok = Buffer.byteLength(given) === expected.length && crypto.timingSafeEqual(Buffer.from(given), expected);
+            client.isService = ok;
+            return callback(null, ok);
+        }
+        verifyKioskCredentials(username, given)
+            .then((ok) => {
+                client.kioskId = ok ? username : undefined;
+                callback(null, ok);
+            })
+            .catch((err) => {
+                console.error('MQTT Kiosk Auth Error:', err.message);
+                callback(null, false);
+            });
+    };
+
+    broker.authorizePublish = (client, packet, callback) => {
+        if (client.isService) {
+            return callback(null);
+        }
+        const target = parseKioskTopic(packet.topic);
+        const allowed = target && target.kioskId === client.kioskId && KIOSK_CHANNELS.includes(target.channel);
+        callback(allowed ? null : new Error(`Kiosk ${client.kioskId} may not publish to ${packet.topic}`));
+    };
+
+    broker.authorizeSubscribe = (client, subscription, callback) => {
+        if (client.isService || subscription.topic === kioskTopic(client.kioskId, 'commands')) {
+            return callback(null, subscription);
+        }
+        callback(new Error(`Kiosk ${client.kioskId} may not subscribe to ${subscription.topic}`));
+    };
+
+    const server = net.createServer(broker.handle);
+    server.listen(port, () => console.log(`Embedded MQTT broker listening on port ${port}`));
+
+    return {
+        broker,
+        close: () => new Promise((resolve) => server.close(() => broker.close(resolve)))
+    };
+};
+
+/**
+ * Starts the MQTT transport if it is configured (MQTT_BROKER_PORT and/or MQTT_URL).
+ *
+ * @returns {Object|null} { client, broker, stop } or null when MQTT is not configured.
+ */
+const startMqttTransport = () => {
+    const brokerPort = parseInt(process.env.MQTT_BROKER_PORT, 10);
+    const url = process.env.MQTT_URL || (brokerPort ? `mqtt://localhost:${brokerPort}` : null);
+    if (!url) {
+        return null;
+    }
+
+    const service = {
+        username: process.env.MQTT_USERNAME || 'medatm-backend',
+        // The embedded broker only needs to recognise this process, so a random password will do
+        password: process.env.MQTT_PASSWORD || (brokerPort ? crypto.randomBytes(24).toString('hex') : undefined)
+    };
+    const embedded = brokerPort ? startEmbeddedBroker(brokerPort, service) : null;
+
+    const client = mqtt.connect(url, {
+        clientId: `medatm-backend-${crypto.randomBytes(4).toString('hex')}`,
+        username: service.username,
+        password: service.password,
+        reconnectPeriod: 5000
+    });
+
+    // Kiosks that announced themselves online; commands are pushed only to these
+    const onlineKiosks = new Set();
+
+    // Leases the kiosk's next command and publishes it on its command topic
+    const pushCommands = async (kioskId) => {
+        if (!onlineKiosks.has(kioskId) || !client.connected) {
+            return;
+        }
+        const command = await leaseNextCommand(kioskId);
+        if (!command) {
+            return;
+        }
+
+        await client.publishAsync(kioskTopic(kioskId, 'commands'), JSON.stringify({
+            command: command.command,
+            commandId: command._id,
+            diagnosisId: command.diagnosisId,
+            leaseExpiresAt: command.leaseExpiresAt
+        }), { qos: 1 });
+
+        console.log(`Published ${command.command} to kiosk ${kioskId} over MQTT (command ${command._id}, attempt ${command.attempts}).`);
+        await recordAudit('dispense.command_delivered', {
+            actor: { kind: 'kiosk', id: kioskId },
+            target: { kind: 'DispenseCommand', id: command._id },
+            details: { diagnosisId: command.diagnosisId.toString(), command: command.command, attempt: command.attempts, transport: 'mqtt' }
+        });
+    };
+
+    const handleAck = async (kioskId, { commandId, status, failureReason }) => {
+        if (!commandId || !status || !mongoose.Types.ObjectId.isValid(commandId)) {
+            console.warn(`Kiosk ${kioskId} published an invalid command acknowledgement.`);
+            return;
+        }
+
+        const { outcome, command } = await confirmCommand(kioskId, commandId, { status, failureReason });
+        if (outcome === 'not_found') {
+            console.warn(`Kiosk ${kioskId} sent a confirmation for unknown command ${commandId}.`);
+        } else if (outcome === 'conflict') {
+            console.warn(`Kiosk ${kioskId} reported command ${commandId}, which is already ${command.status}; the report was not applied.`);
+        } else if (outcome === 'confirmed') {
+            console.log(`Kiosk ${kioskId} reported command ${command._id} for diagnosis ${command.diagnosisId} over MQTT. Status: ${status}`);
+            await recordAudit(command.status === 'failed' ? 'dispense.failed' : 'dispense.confirmed', {
+                actor: { kind: 'kiosk', id: kioskId },
+                target: { kind: 'DispenseCommand', id: command._id },
+                details: { diagnosisId: command.diagnosisId.toString(), status, failureReason: command.failureReason, transport: 'mqtt' }
+            });
+        }
+        await pushCommands(kioskId);
+    };
+
+    const handlers = {
+        vitals: async (kioskId, payload) => {
+            if (Array.isArray(payload.readings)) {
+                const { readings, sentAt } = payload;
+                if (readings.length === 0 || readings.length > MAX_BATCH_READINGS ||
+                    readings.some((reading) => !reading || !Number.isInteger(reading.seq) || reading.seq < 0)) {
+                    console.warn(`Kiosk ${kioskId} published an invalid batch of readings over MQTT.`);
+                    return;
+                }
+                await processReadings(kioskId, readings, { sentAt: Number.isFinite(sentAt) ? sentAt : undefined });
+                return;
+            }
+            const { outcome } = await processReading(kioskId, payload);
+            if (outcome === 'invalid') {
+                console.warn(`Kiosk ${kioskId} published invalid sensor data over MQTT.`);
+            }
+        },
+        heartbeat: async (kioskId, { firmwareVersion, selfTest }) => {
+            if (selfTest !== undefined && !Array.isArray(selfTest)) {
+                console.warn(`Kiosk ${kioskId} published a heartbeat whose selfTest is not an array.`);
+                return;
+            }
+            await recordHeartbeat(kioskId, { firmwareVersion, selfTest });
+        },
+        status: async (kioskId, state) => {
+            if (state === 'online') {
+                onlineKiosks.add(kioskId);
+                await pushCommands(kioskId); // Anything queued while the kiosk was away
+            } else {
+                onlineKiosks.delete(kioskId);
+            }
+        },
+        acks: handleAck
+    };
+
+    client.on('connect', () => {
+        console.log(`MQTT transport connected to ${url}`);
+        client.subscribe(KIOSK_CHANNELS.map((channel) => kioskTopic('+', channel)), { qos: 1 }, (err) => {
+            if (err) {
+                console.error('MQTT Subscribe Error:', err.message);
+            }
+        });
+    });
+    client.on('error', (err) => console.error('MQTT Transport Error:', err.message));
+
+    client.on('message', async (topic, message) => {
+        const target = parseKioskTopic(topic);
+        if (!target || !handlers[target.channel]) {
+            return;
+        }
+        const { kioskId, channel } = target;
+
+        try {
+            // A revoked or retired kiosk is ignored; any message from an active one shows it is alive
+            const kiosk = await Kiosk.findOneAndUpdate({ kioskId, status: 'active' }, { $set: { lastSeenAt: new Date() } });
+            if (!kiosk) {
+                console.warn(`Ignoring MQTT ${channel} message from unknown, revoked or retired kiosk ${kioskId}.`);
+                return;
+            }
+
+            let payload = message.toString();
+            if (channel !== 'status') {
+                try {
+                    payload = JSON.parse(payload);
+                } catch (parseErr) {
+                    console.warn(`Kiosk ${kioskId} published a ${channel} message that is not JSON.`);
+                    return;
+                }
+            }
+            await handlers[channel](kioskId, payload || {});
+        } catch (err) {
+            console.error(`MQTT ${channel} Error:`, err.message);
+        }
+    });
+
+    const onQueued = ({ kioskId }) => {
+        pushCommands(kioskId).catch((err) => console.error('MQTT Command Push Error:', err.message));
+    };
+    eventBus.on('dispense:queued', onQueued);
+
+    // Re-publish commands whose lease ran out without an acknowledgement
+    const redelivery = setInterval(() => {
+        for (const kioskId of onlineKiosks) {
+            pushCommands(kioskId).catch((err) => console.error('MQTT Command Push Error:', err.message));
+        }
+    }, COMMAND_LEASE_SECONDS * 1000);
+    redelivery.unref();
+
+    return {
+        client,
+        broker: embedded ? embedded.broker : null,
+        stop: async () => {
+            clearInterval(redelivery);
+            eventBus.off('dispense:queued', onQueued);
+            await client.endAsync();
+            if (embedded) {
+                await embedded.close();
+            }
+        }
+    };
+};
+
+module.exports = { startMqttTransport, buildConnectPassword, kioskTopic, parseKioskTopic };
@@ -0,0 +1,74 @@
+// backend/utils/notifier.js
+
+const eventBus = require('./eventBus');
+const { sendMail } = require('./mailer');
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Notification channels. Each adapter is async (user, notification) => void and throws
+ * when delivery fails. 'sms' is a stub until an SMS gateway adapter is registered: it logs
+ * the message in development (without the recipient's number) and fails in production.
+ */
+const adapters = {
+    in_app: async (user, notification) => {
+        // Picked up by the doctor's event stream
+        eventBus.emit('notification', { recipientId: user._id.toString(), ...notification });
+    },
+    email: async (user, { subject, text }) => {
+        await sendMail({ to: user.email, subject, text });
+    },
+    sms: async (user, { text }) => {
+        if (!user.phoneNumber) {
+            throw new Error('User has no phone number');
+        }
+        if (IS_PRODUCTION) {
+            throw new Error('No SMS gateway configured');
+        }
+        console.log(`[sms] To user ${user._id} | ${text}`);
+    }
+};
+
+/**
+ * Registers (or replaces) the adapter for a channel.
+ *
+ * @param {string} channel - e.g. 'email', 'sms'
+ * @param {Function} adapter - async (user, { subject, text, data }) => void
+ */
+const registerAdapter = (channel, adapter) => {
+    adapters[channel] = adapter;
+};
+
+/**
+ * Sends a notification to a user on each of the given channels.
+ * A failing channel does not stop the others.
+ *
+ * @param {Object} user - User document (needs _id, email and optionally phoneNumber).
+ * @param {Array<string>} channels
+ * @param {Object} notification - { subject, text, data }
+ * @returns {Promise<Array>} One { channel, success, error } entry per channel.
+ */
+const notify = async (user, channels, notification) => {
+    const results = [];
+    for (const channel of channels) {
+        const adapter = adapters[channel];
+        try {
+            if (!adapter) {
+                throw new Error(`No adapter for channel "${channel}"`);
+            }
+            await adapter(user, notification);
+            results.push({ channel, success: true });
+        } catch (err) {
+            console.error(`Notification Error (${channel}):`, err.message);
+            results.push({ channel, success: false, error: err.message });
+        }
+    }
+    return results;
+};
+
+// Parses a comma-separated channel list from the environment
+const parseChannels = (value, fallback) => {
+    return (value || fallback).split(',').map((channel) => channel.trim()).filter(Boolean);
+};
+
+module.exports = { notify, registerAdapter, parseChannels };
@@ -0,0 +1,53 @@
+// backend/utils/passwordPolicy.js
+
+// Configurable through the environment; the defaults follow common guidance for clinical systems
+const POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+};
+
+/**
+ * Checks a new password against the strength policy.
+ *
+ * @param {string} password
+ * @param {Object} [user] - { email, name }, so passwords built from them can be rejected.
+ * @returns {Array<string>} The unmet requirements (empty when the password is acceptable).
+ */
+const checkPasswordStrength = (password, user = {}) => {
+    const problems = [];
+    const value = String(password || '');
+
+    if (value.length < POLICY.minLength) {
+        problems.push(`at least ${POLICY.minLength} characters`);
+    }
+    if (POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+        problems.push('an uppercase letter');
+    }
+    if (POLICY.requireLowercase && !/[a-z]/.test(value)) {
+        problems.push('a lowercase letter');
+    }
+    if (POLICY.requireDigit && !/\d/.test(value)) {
+        problems.push('a digit');
+    }
+    if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+        problems.push('a symbol');
+    }
+
+    const lowered = value.toLowerCase();
+    const personal = [user.email && user.email.split('@')[0], user.name]
+        .filter((part) => part && part.length >= 3)
+        .map((part) => part.toLowerCase());
+    if (personal.some((part) => lowered.includes(part))) {
+        problems.push('no part of your name or email');
+    }
+
+    return problems;
+};
+
+// Formats the unmet requirements as an error message
+const describePasswordProblems = (problems) => `Password must contain ${problems.join(', ')}.`;
+
+module.exports = { checkPasswordStrength, describePasswordProblems, POLICY };
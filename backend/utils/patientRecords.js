@@ -0,0 +1,238 @@
+// backend/utils/patientRecords.js
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Diagnosis = require('../models/Diagnosis');
+const Alert = require('../models/Alert');
+
+const VITALS = ['bpm', 'spo2', 'temperature'];
+
+/**
+ * Accepts a list as an array or a comma-separated string (as sent by simple forms).
+ *
+ * @param {Array<string>|string} value
+ * @returns {Array<string>} Trimmed, non-empty, de-duplicated (case-insensitively) entries.
+ */
+const parseList = (value) => {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    const seen = new Set();
+    return items
+        .map((item) => String(item).trim())
+        .filter((item) => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+};
+
+/**
+ * Looks up the record of a returning patient. A phone number is matched together with the
+ * name, since family members often share a phone. A patient id or code picks one record, but
+ * is only trusted when the phone and name given match that record too, or when the user has
+ * seen the patient before: an id or code alone must not let anyone attach a stranger's record
+ * (and with it their history) to a new session. Anonymised records are never returned.
+ *
+ * @param {Object} identity - { patientId, patientCode, phoneNumber, name }
+ * @param {Object} [options]
+ * @param {Object} [options.user] - The logged-in user starting the session (none at a kiosk).
+ * @returns {Promise<Object|null>} The Patient document, or null for a new or unconfirmed patient.
+ */
+const findReturningPatient = async ({ patientId, patientCode, phoneNumber, name }, { user } = {}) => {
+    // Name and phone are encrypted, so both are matched on their blind indexes
+    const phoneIndex = Patient.phoneIndexFor(phoneNumber);
+    const nameIndex = name ? Patient.nameIndexFor(name) : undefined;
+
+    if (patientId || patientCode) {
+        if (patientId && !mongoose.isValidObjectId(patientId)) {
+            return null;
+        }
+        const patient = await Patient.findOne(patientId
+            ? { _id: patientId, anonymisedAt: null }
+            : { patientCode: String(patientCode).toUpperCase().trim(), anonymisedAt: null });
+        if (!patient) {
+            return null;
+        }
+        const identityMatches = Boolean(phoneIndex && nameIndex) && patient.phoneIndex === phoneIndex && patient.nameIndex === nameIndex;
+        return identityMatches || (user && (await canAccessPatient(user, patient._id))) ? patient : null;
+    }
+
+    if (!phoneIndex || !nameIndex) {
+        return null;
+    }
+    return Patient.findOne({ phoneIndex, nameIndex, anonymisedAt: null }).sort({ lastVisitAt: -1 });
+};
+
+/**
+ * Copies the demographics given on a visit onto the patient. Allergies and chronic
+ * conditions are merged rather than replaced, so one visit can never silently drop a
+ * known allergy; use the patient update endpoint to remove entries.
+ *
+ * @param {Object} patient - Patient document (not saved here).
+ * @param {Object} data - Request body fields.
+ */
+const applyVisitDemographics = (patient, data) => {
+    const { name, age, dateOfBirth, gender, phoneNumber, allergies, chronicConditions } = data;
+
+    if (name) patient.name = name;
+    if (age !== undefined && age !== '') patient.age = age;
+    if (dateOfBirth) patient.dateOfBirth = dateOfBirth;
+    if (gender) patient.gender = String(gender).toLowerCase();
+    if (phoneNumber) patient.phoneNumber = phoneNumber;
+    if (allergies !== undefined) {
+        patient.allergies = parseList([...patient.allergies, ...parseList(allergies)]);
+    }
+    if (chronicConditions !== undefined) {
+        patient.chronicConditions = parseList([...patient.chronicConditions, ...parseList(chronicConditions)]);
+    }
+};
+
+/**
+ * Whether a user may see a patient's record: admins always, doctors once they have
+ * seen the patient in at least one session.
+ *
+ * @param {Object} user - The logged-in user.
+ * @param {string} patientId
+ * @returns {Promise<boolean>}
+ */
+const canAccessPatient = async (user, patientId) => {
+    if (user.role === 'admin') {
+        return true;
+    }
+    const seen = await Diagnosis.exists({ patientId, doctorId: user._id, deletedAt: null });
+    return Boolean(seen);
+};
+
+/**
+ * Summarises the usable readings of one session (readings the sensors flagged are skipped).
+ *
+ * @param {Array<Object>} sensorData
+ * @returns {Object} { readings, bpm, spo2, temperature } with { avg, min, max } per vital.
+ */
+const summariseVitals = (sensorData) => {
+    const usable = sensorData.filter((reading) => !reading.quality || reading.quality === 'ok'); // Older readings have no quality
+    const summary = { readings: usable.length };
+
+    for (const vital of VITALS) {
+        if (usable.length === 0) {
+            summary[vital] = null;
+            continue;
+        }
+        const values = usable.map((reading) => reading[vital]);
+        const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+        summary[vital] = {
+            avg: Math.round(avg * 10) / 10,
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    }
+    return summary;
+};
+
+/**
+ * Builds the longitudinal record of a patient: every visit, oldest first, with its
+ * outcome and vitals summary, plus per-vital trend series across visits.
+ *
+ * @param {string} patientId
+ * @returns {Promise<Object>} { visits, trends: { bpm, spo2, temperature } }
+ */
+const buildPatientTimeline = async (patientId) => {
+    const diagnoses = await Diagnosis.find({ patientId, deletedAt: null })
+                                     .populate('doctorId', 'name')
+                                     .sort({ createdAt: 1 });
+
+    const visits = diagnoses.map((diagnosis) => ({
+        diagnosisId: diagnosis._id,
+        at: diagnosis.createdAt,
+        kioskId: diagnosis.kioskId,
+        doctor: diagnosis.doctorId ? diagnosis.doctorId.name : null,
+        status: diagnosis.status,
+        predictedDisease: diagnosis.predictedDisease,
+        approvedDisease: diagnosis.approvedDisease,
+        dispensedMedication: diagnosis.dispensedMedication && diagnosis.dispensedMedication.name
+            ? diagnosis.dispensedMedication.name
+            : null,
+        vitals: summariseVitals(diagnosis.sensorData)
+    }));
+
+    const trends = {};
+    for (const vital of VITALS) {
+        trends[vital] = visits
+            .filter((visit) => visit.vitals[vital])
+            .map((visit) => ({ at: visit.at, diagnosisId: visit.diagnosisId, value: visit.vitals[vital].avg }));
+    }
+
+    return { visits, trends };
+};
+
+/**
+ * Everything recorded about a patient, decrypted, for a data-subject access request: their
+ * details, every session (including deleted ones) with its readings and status changes, and alerts.
+ *
+ * @param {Object} patient - The Patient document.
+ * @returns {Promise<Object>} { exportedAt, patient, sessions, alerts }
+ */
+const buildPatientExport = async (patient) => {
+    const diagnoses = await Diagnosis.find({ patientId: patient._id })
+                                     .populate('doctorId', 'name')
+                                     .sort({ createdAt: 1 });
+    const alerts = await Alert.find({ patientId: patient._id }).sort({ createdAt: 1 });
+
+    return {
+        exportedAt: new Date(),
+        patient: {
+            patientCode: patient.patientCode,
+            name: patient.name,
+            age: patient.age,
+            dateOfBirth: patient.dateOfBirth,
+            gender: patient.gender,
+            phoneNumber: patient.phoneNumber,
+            allergies: patient.allergies,
+            chronicConditions: patient.chronicConditions,
+            kioskId: patient.kioskId,
+            lastVisitAt: patient.lastVisitAt,
+            anonymisedAt: patient.anonymisedAt,
+            createdAt: patient.createdAt,
+            updatedAt: patient.updatedAt
+        },
+        sessions: diagnoses.map((diagnosis) => ({
+            diagnosisId: diagnosis._id,
+            at: diagnosis.createdAt,
+            kioskId: diagnosis.kioskId,
+            doctor: diagnosis.doctorId ? diagnosis.doctorId.name : null,
+            status: diagnosis.status,
+            statusHistory: diagnosis.statusHistory.map(({ from, to, source, note, at }) => ({ from, to, source, note, at })),
+            predictedDisease: diagnosis.predictedDisease,
+            approvedDisease: diagnosis.approvedDisease,
+            declineReason: diagnosis.declineReason,
+            dispensedMedication: diagnosis.dispensedMedication && diagnosis.dispensedMedication.name
+                ? { name: diagnosis.dispensedMedication.name, dose: diagnosis.dispensedMedication.dose }
+                : null,
+            safetyConflicts: diagnosis.safetyCheck
+                ? diagnosis.safetyCheck.conflicts.map(({ type, patientValue, medicationValue }) => ({ type, patientValue, medicationValue }))
+                : [],
+            readings: diagnosis.sensorData.map(({ timestamp, bpm, spo2, temperature, quality }) => ({ timestamp, bpm, spo2, temperature, quality })),
+            deletedAt: diagnosis.deletedAt
+        })),
+        alerts: alerts.map((alert) => ({
+            at: alert.createdAt,
+            diagnosisId: alert.diagnosisId,
+            vital: alert.vital,
+            value: alert.value,
+            message: alert.message,
+            status: alert.status
+        }))
+    };
+};
+
+module.exports = {
+    parseList,
+    findReturningPatient,
+    applyVisitDemographics,
+    canAccessPatient,
+    summariseVitals,
+    buildPatientTimeline,
+    buildPatientExport
+};
@@ -1,42 +1,142 @@
 // backend/utils/predictionLogic.js
 
+const { assessWindow, MIN_STABLE_SAMPLES } = require('./signalQuality');
+
+// The rules the kiosk shipped with. They seed rule-set version 1 when no rule set exists yet.
+const DEFAULT_RULES = [
+    {
+        ruleId: 'disease-a-fever-hypoxia',
+        name: 'High temperature, slightly low SpO2, elevated BPM', // e.g. common cold/flu like symptoms
+        priority: 20,
+        conditions: [
+            { field: 'temperature', operator: 'gte', value: 37.8 },
+            { field: 'spo2', operator: 'lt', value: 95 },
+            { field: 'bpm', operator: 'gt', value: 90 }
+        ],
+        outcome: { condition: 'Disease A' }
+    },
+    {
+        ruleId: 'disease-b-low-temperature',
+        name: 'Low temperature, normal SpO2, lower BPM', // e.g. mild hypothermia / specific cardiovascular
+        priority: 10,
+        conditions: [
+            { field: 'temperature', operator: 'lte', value: 36.0 },
+            { field: 'spo2', operator: 'gte', value: 96 },
+            { field: 'bpm', operator: 'lt', value: 70 }
+        ],
+        outcome: { condition: 'Disease B' }
+    }
+];
+
+const matchesCondition = (data, { field, operator, value, max }) => {
+    const reading = data[field];
+    switch (operator) {
+        case 'lt': return reading < value;
+        case 'lte': return reading <= value;
+        case 'gt': return reading > value;
+        case 'gte': return reading >= value;
+        case 'eq': return reading === value;
+        case 'between': return reading >= value && reading <= max;
+        default: return false;
+    }
+};
+
 /**
- * Predicts a disease based on sensor data.
- * This is a highly simplified rule-based model. In a real-world scenario,
- * this would be replaced by a trained Machine Learning model.
+ * Predicts a disease based on sensor data by evaluating a rule set.
+ * Rules are checked from highest to lowest priority and the first rule whose
+ * conditions all hold decides the prediction.
  *
  * @param {Object} data - An object containing sensor readings.
  * @param {number} data.bpm - Beats per minute.
  * @param {number} data.spo2 - Blood oxygen saturation percentage.
  * @param {number} data.temperature - Body temperature in Celsius.
- * @returns {string} The predicted disease ('Disease A', 'Disease B', or 'Undetermined').
+ * @param {Object} ruleSet - The rule set to evaluate ({ version, rules }).
+ * @returns {Object} { disease, medication, ruleId, ruleSetVersion }. disease is 'Undetermined'
+ *          (and ruleId null) when the data is invalid or no rule matches.
  */
-const predictDisease = (data) => {
+const predictDisease = (data, ruleSet) => {
     const { bpm, spo2, temperature } = data;
-  if(temperature >=25) return "health is good";
+    const undetermined = { disease: 'Undetermined', medication: null, ruleId: null, ruleSetVersion: ruleSet.version };
+
     // Basic validation of incoming data
     if (isNaN(bpm) || isNaN(spo2) || isNaN(temperature) || bpm === 0 || spo2 === 0 || temperature === 0) {
-        return "Undetermined";
+        return undetermined;
     }
 
-    // --- Disease A Conditions ---
-    // Example: High temperature, slightly low SpO2, elevated BPM
-    if (temperature >= 37.8 && spo2 < 95 && bpm > 90) { // e.g., common cold/flu like symptoms
-        return "Disease A";
+    const readings = { bpm: Number(bpm), spo2: Number(spo2), temperature: Number(temperature) };
+    const rules = [...ruleSet.rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    const rule = rules.find((r) => r.conditions.every((condition) => matchesCondition(readings, condition)));
+    if (!rule) {
+        return undetermined;
     }
-    // Add more conditions for Disease A if needed
-    // else if (some_other_condition_for_A) { return "Disease A"; }
 
-    // --- Disease B Conditions ---
-    // Example: Low temperature, normal SpO2, lower BPM
-    else if (temperature <= 36.0 && spo2 >= 96 && bpm < 70) { // e.g., mild hypothermia / specific cardiovascular
-        return "Disease B";
+    return {
+        disease: rule.outcome.condition,
+        medication: rule.outcome.medication || null,
+        ruleId: rule.ruleId,
+        ruleSetVersion: ruleSet.version
+    };
+};
+
+// Explains which readings a windowed prediction was based on
+const describeWindow = ({ windowSize, stableSamples, rejected }) => {
+    const reasons = Object.entries(rejected)
+        .filter(([, count]) => count > 0)
+        .map(([issue, count]) => `${count} ${issue.replace(/_/g, ' ')}`);
+    return `Used ${stableSamples} of the last ${windowSize} readings` +
+        (reasons.length ? ` (rejected: ${reasons.join(', ')})` : '');
+};
+
+/**
+ * Predicts a disease from a session's recent readings instead of a single sample.
+ * Impossible values, missing-probe readings and BPM spikes are dropped, and a prediction
+ * is only made once enough stable readings are available. The median of the stable
+ * readings is evaluated against the rule set.
+ *
+ * @param {Array} sensorData - The session's readings, oldest first.
+ * @param {Object} ruleSet - The rule set to evaluate ({ version, rules }).
+ * @returns {Object} {
+ *   ready: whether a prediction was made,
+ *   disease, medication, ruleId, ruleSetVersion (when ready),
+ *   confidence: share of stable readings that on their own give the same prediction (0-1, when ready),
+ *   reasoning: human-readable explanation,
+ *   signalQuality: { state, windowSize, stableSamples, rejected }
+ * }
+ */
+const predictFromWindow = (sensorData, ruleSet) => {
+    const { stable, summary, ...signalQuality } = assessWindow(sensorData);
+
+    if (signalQuality.state !== 'good') {
+        const reasoning = [];
+        if (signalQuality.state === 'probe_off') {
+            reasoning.push('Finger or probe not detected on the latest reading');
+        } else if (signalQuality.state === 'no_data') {
+            reasoning.push('No readings received yet');
+        } else {
+            reasoning.push(describeWindow(signalQuality));
+        }
+        if (signalQuality.state !== 'no_data') {
+            reasoning.push(`Waiting for ${MIN_STABLE_SAMPLES} stable readings before predicting`);
+        }
+        return { ready: false, reasoning, signalQuality };
     }
-    // Add more conditions for Disease B if needed
-    // else if (some_other_condition_for_B) { return "Disease B"; }
 
-    // If no specific conditions are met
-    return "Undetermined";
+    const prediction = predictDisease(summary, ruleSet);
+    const agreeing = stable.filter((reading) => predictDisease(reading, ruleSet).disease === prediction.disease).length;
+    const confidence = Math.round((agreeing / stable.length) * 100) / 100;
+
+    const rule = ruleSet.rules.find((r) => r.ruleId === prediction.ruleId);
+    const reasoning = [
+        describeWindow(signalQuality),
+        `Median readings: BPM ${summary.bpm}, SpO2 ${summary.spo2}%, temperature ${summary.temperature}°C`,
+        rule
+            ? `Matched rule "${rule.ruleId}"${rule.name ? ` (${rule.name})` : ''} of rule set v${ruleSet.version}`
+            : `No rule of rule set v${ruleSet.version} matched`,
+        `${agreeing} of ${stable.length} stable readings agree on "${prediction.disease}"`
+    ];
+
+    return { ready: true, ...prediction, confidence, reasoning, signalQuality };
 };
 
-module.exports = { predictDisease };
\ No newline at end of file
+module.exports = { predictDisease, predictFromWindow, DEFAULT_RULES };
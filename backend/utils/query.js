@@ -0,0 +1,12 @@
+// backend/utils/query.js
+
+/**
+ * Escapes user input for use inside a regular expression, so a search term is matched
+ * literally and cannot build a pathological pattern (ReDoS).
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
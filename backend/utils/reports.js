@@ -0,0 +1,256 @@
+// backend/utils/reports.js
+
+// Printable and spreadsheet reports: the per-consultation PDF handed to the patient
+// and the CSV rows of the history export.
+
+const { summariseVitals } = require('./patientRecords');
+
+const VITAL_COLUMNS = [
+    { key: 'bpm', label: 'Heart rate', unit: 'bpm', color: '#e74c3c' },
+    { key: 'spo2', label: 'SpO2', unit: '%', color: '#2980b9' },
+    { key: 'temperature', label: 'Temperature', unit: '°C', color: '#e67e22' }
+];
+
+// Keeps the vitals table to about two pages; the chart still shows every reading
+const MAX_TABLE_ROWS = 60;
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-GB', { timeZone: process.env.REPORT_TIME_ZONE || 'UTC' }) : '—');
+
+const humanise = (value) => (value ? String(value).replace(/_/g, ' ') : '—');
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+    'date', 'patientCode', 'patientName', 'age', 'gender', 'kioskId', 'doctor', 'readings',
+    'avgBpm', 'avgSpo2', 'avgTemperature', 'predictedDisease', 'approvedDisease', 'status', 'medication'
+];
+
+/**
+ * Quotes a value for CSV. Values that a spreadsheet would run as a formula
+ * (starting with =, +, - or @) are prefixed with an apostrophe.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const csvEscape = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvEscape).join(',')}\n`;
+
+/**
+ * Turns a history record (from the history aggregation, with `patient` and `doctor` joined)
+ * into one CSV line.
+ *
+ * @param {Object} record
+ * @returns {string}
+ */
+const historyRecordToCsv = (record) => {
+    const patient = record.patient || {};
+    const vitals = summariseVitals(record.sensorData || []);
+    const avg = (vital) => (vitals[vital] ? vitals[vital].avg : '');
+
+    return csvLine([
+        record.createdAt,
+        patient.patientCode,
+        patient.name,
+        patient.age,
+        patient.gender,
+        record.kioskId,
+        record.doctor ? record.doctor.name : '',
+        vitals.readings,
+        avg('bpm'),
+        avg('spo2'),
+        avg('temperature'),
+        record.predictedDisease,
+        record.approvedDisease,
+        record.status,
+        record.dispensedMedication ? record.dispensedMedication.name : ''
+    ]);
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const sectionTitle = (doc, title) => {
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#00838f').text(title);
+    doc.moveTo(doc.page.margins.left, doc.y + 2)
+       .lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+       .strokeColor('#b2ebf2').lineWidth(1).stroke();
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10).fillColor('#2c3e50');
+};
+
+const field = (doc, label, value) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value === undefined || value === null || value === '' ? '—' : String(value));
+};
+
+// Draws one vital as a line chart over the session's readings
+const drawVitalChart = (doc, { x, y, width, height, vital, readings }) => {
+    const values = readings.map((reading) => reading[vital.key]);
+
+    doc.rect(x, y, width, height).strokeColor('#ced4da').lineWidth(0.5).stroke();
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('#2c3e50').text(`${vital.label} (${vital.unit})`, x + 4, y + 3, { lineBreak: false });
+
+    if (values.length === 0) {
+        doc.font('Helvetica').text('No accepted readings', x + 4, y + height / 2, { lineBreak: false });
+        return;
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const plot = { left: x + 28, right: x + width - 6, top: y + 16, bottom: y + height - 8 };
+    const px = (i) => (values.length === 1
+        ? (plot.left + plot.right) / 2
+        : plot.left + (i / (values.length - 1)) * (plot.right - plot.left));
+    const py = (value) => plot.bottom - ((value - min) / span) * (plot.bottom - plot.top);
+
+    doc.font('Helvetica').fontSize(7).fillColor('#6c757d');
+    doc.text(String(max), x + 2, plot.top - 3, { width: 24, align: 'right', lineBreak: false });
+    doc.text(String(min), x + 2, plot.bottom - 5, { width: 24, align: 'right', lineBreak: false });
+
+    doc.moveTo(px(0), py(values[0]));
+    values.slice(1).forEach((value, i) => doc.lineTo(px(i + 1), py(value)));
+    doc.strokeColor(vital.color).lineWidth(1.2).stroke();
+    values.forEach((value, i) => doc.circle(px(i), py(value), 1.3).fillColor(vital.color).fill());
+};
+
+const drawVitalsTable = (doc, readings) => {
+    const left = doc.page.margins.left;
+    const columns = [
+        { label: 'Time', width: 190 },
+        { label: 'Heart rate (bpm)', width: 100 },
+        { label: 'SpO2 (%)', width: 90 },
+        { label: 'Temperature (°C)', width: 110 }
+    ];
+    const row = (cells, bold) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#2c3e50');
+        cells.forEach((cell, i) => {
+            doc.text(String(cell), x, y, { width: columns[i].width, lineBreak: false });
+            x += columns[i].width;
+        });
+        doc.x = left;
+        doc.y = y + 14;
+    };
+
+    row(columns.map((column) => column.label), true);
+    readings.slice(-MAX_TABLE_ROWS).forEach((reading) => {
+        row([formatDateTime(reading.timestamp), reading.bpm, reading.spo2, reading.temperature], false);
+    });
+    if (readings.length > MAX_TABLE_ROWS) {
+        doc.font('Helvetica-Oblique').fontSize(8)
+           .text(`Showing the last ${MAX_TABLE_ROWS} of ${readings.length} readings; the charts include all of them.`);
+    }
+};
+
+/**
+ * Writes the consultation summary of a diagnosis session into a PDF document:
+ * patient details, vitals charts and table, predicted vs approved diagnosis,
+ * the medication dispensed and the doctor's name.
+ *
+ * @param {Object} doc - A pdfkit PDFDocument.
+ * @param {Object} diagnosis - Diagnosis document with patientId and doctorId populated.
+ */
+const writeConsultationPdf = (doc, diagnosis) => {
+    const patient = diagnosis.patientId || {};
+    const doctorName = diagnosis.doctorId && diagnosis.doctorId.name ? `Dr. ${diagnosis.doctorId.name}` : '—';
+    const readings = diagnosis.sensorData.filter((reading) => !reading.quality || reading.quality === 'ok');
+    const vitals = summariseVitals(diagnosis.sensorData);
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#00bcd4').text('VitalsConnect — Consultation Summary');
+    doc.font('Helvetica').fontSize(9).fillColor('#6c757d')
+       .text(`Session ${diagnosis._id} · Kiosk ${diagnosis.kioskId} · ${formatDateTime(diagnosis.createdAt)}`);
+
+    sectionTitle(doc, 'Patient');
+    field(doc, 'Name', patient.name);
+    field(doc, 'Patient code', patient.patientCode);
+    field(doc, 'Age', patient.age);
+    field(doc, 'Gender', patient.gender);
+    field(doc, 'Phone', patient.phoneNumber);
+    field(doc, 'Known allergies', (patient.allergies || []).join(', ') || 'None recorded');
+    field(doc, 'Chronic conditions', (patient.chronicConditions || []).join(', ') || 'None recorded');
+
+    sectionTitle(doc, 'Vital signs');
+    field(doc, 'Accepted readings', `${vitals.readings} of ${diagnosis.sensorData.length}`);
+    VITAL_COLUMNS.forEach((vital) => {
+        const summary = vitals[vital.key];
+        field(doc, vital.label, summary ? `average ${summary.avg} ${vital.unit} (range ${summary.min}–${summary.max})` : '—');
+    });
+
+    const chartWidth = (doc.page.width - doc.page.margins.left - doc.page.margins.right - 20) / 3;
+    const chartTop = doc.y + 8;
+    VITAL_COLUMNS.forEach((vital, i) => {
+        drawVitalChart(doc, {
+            x: doc.page.margins.left + i * (chartWidth + 10),
+            y: chartTop,
+            width: chartWidth,
+            height: 90,
+            vital,
+            readings
+        });
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = chartTop + 100;
+
+    sectionTitle(doc, 'Diagnosis');
+    field(doc, 'Predicted by the kiosk', diagnosis.predictedDisease);
+    if (diagnosis.predictionConfidence !== undefined && diagnosis.predictionConfidence !== null) {
+        field(doc, 'Prediction confidence', `${Math.round(diagnosis.predictionConfidence * 100)}%`);
+    }
+    field(doc, 'Approved by the doctor', diagnosis.approvedDisease);
+    if (diagnosis.overridden) {
+        doc.font('Helvetica-Oblique').text('The doctor approved a different diagnosis than the prediction.').font('Helvetica');
+    }
+    field(doc, 'Session status', humanise(diagnosis.status));
+    if (diagnosis.declineReason) {
+        field(doc, 'Declined because', diagnosis.declineReason);
+    }
+
+    sectionTitle(doc, 'Medication');
+    const dispensed = diagnosis.dispensedMedication;
+    if (dispensed && dispensed.name) {
+        field(doc, 'Medication', dispensed.name);
+        field(doc, 'Dose', dispensed.dose);
+        field(doc, 'Lot number', dispensed.lotNumber);
+        field(doc, 'Dispensed', diagnosis.status === 'medication_dispensed' || diagnosis.status === 'completed' ? 'Yes' : `No (${humanise(diagnosis.status)})`);
+    } else {
+        doc.text('No medication was dispensed.');
+    }
+
+    sectionTitle(doc, 'Doctor');
+    field(doc, 'Reviewed by', doctorName);
+
+    if (readings.length > 0) {
+        sectionTitle(doc, 'Readings');
+        drawVitalsTable(doc, readings);
+    }
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#6c757d')
+       .text(`Generated ${formatDateTime(new Date())}. This summary supports, and does not replace, advice from your doctor.`);
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    csvEscape,
+    csvLine,
+    historyRecordToCsv,
+    writeConsultationPdf
+};
@@ -0,0 +1,168 @@
+// backend/utils/retention.js
+
+// How long patient data is kept, and erasure of one patient's data on request.
+//
+// - Patients not seen for RETENTION_ANONYMISE_AFTER_DAYS are anonymised: their name, phone
+//   number, date of birth, allergies and conditions are removed, while age, gender and their
+//   sessions stay for analytics.
+// - Sessions older than RETENTION_PURGE_AFTER_DAYS are deleted with their alerts, and so are
+//   patients not seen for that long.
+//
+// Either setting at 0 (the default) turns that step off. Sessions still in progress are never touched.
+
+const Patient = require('../models/Patient');
+const Diagnosis = require('../models/Diagnosis');
+const Alert = require('../models/Alert');
+const { recordAudit } = require('./audit');
+const { ACTIVE_STATUSES } = require('./diagnosisLifecycle');
+
+const ANONYMISE_AFTER_DAYS = parseInt(process.env.RETENTION_ANONYMISE_AFTER_DAYS, 10) || 0;
+const PURGE_AFTER_DAYS = parseInt(process.env.RETENTION_PURGE_AFTER_DAYS, 10) || 0;
+
+// Approved sessions are waiting for the kiosk to dispense, so they count as in progress too
+const IN_PROGRESS_STATUSES = [...ACTIVE_STATUSES, 'approved'];
+
+// Replaces the name of an anonymised patient (the field is required)
+const ANONYMISED_NAME = 'Anonymised patient';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Patients last seen before the cutoff (patients without visits count from when they were registered)
+const notSeenSince = (cutoff) => ({
+    $or: [
+        { lastVisitAt: { $lt: cutoff } },
+        { lastVisitAt: null, createdAt: { $lt: cutoff } }
+    ]
+});
+
+/**
+ * Removes what identifies a patient, keeping age, gender and their sessions. The patient can no
+ * longer be found by name, phone or patient code. Alerts lose their text, which named the
+ * patient in alerts raised before notifications stopped doing so.
+ *
+ * @param {Object} patient - The Patient document.
+ * @returns {Promise<Object>} The saved patient.
+ */
+const anonymisePatient = async (patient) => {
+    patient.name = ANONYMISED_NAME;
+    patient.phoneNumber = undefined;
+    patient.dateOfBirth = undefined;
+    patient.patientCode = undefined;
+    patient.allergies = [];
+    patient.chronicConditions = [];
+    patient.isActive = false;
+    patient.anonymisedAt = new Date();
+    await patient.save();
+
+    await Alert.updateMany({ patientId: patient._id }, { $set: { message: 'Removed when the patient was anonymised.' } });
+    return patient;
+};
+
+/**
+ * Whether a patient has a session still in progress, which erasure and retention leave alone.
+ *
+ * @param {string} patientId
+ * @returns {Promise<boolean>}
+ */
+const hasSessionInProgress = async (patientId) =>
+    Boolean(await Diagnosis.exists({ patientId, status: { $in: IN_PROGRESS_STATUSES }, deletedAt: null }));
+
+/**
+ * Deletes a patient and everything recorded about them: sessions (including soft-deleted
+ * ones) and alerts. Dispense commands and the audit trail only hold IDs and are kept.
+ *
+ * @param {Object} patient - The Patient document.
+ * @returns {Promise<Object>} { outcome, sessions, alerts } where outcome is 'erased' or
+ *          'in_progress' (a session is still running; nothing was deleted).
+ */
+const erasePatient = async (patient) => {
+    if (await hasSessionInProgress(patient._id)) {
+        return { outcome: 'in_progress', sessions: 0, alerts: 0 };
+    }
+    const alerts = await Alert.deleteMany({ patientId: patient._id });
+    const sessions = await Diagnosis.deleteMany({ patientId: patient._id });
+    await Patient.deleteOne({ _id: patient._id });
+    return { outcome: 'erased', sessions: sessions.deletedCount, alerts: alerts.deletedCount };
+};
+
+/**
+ * The configured policy.
+ *
+ * @returns {Object} { anonymiseAfterDays, purgeAfterDays } (0 when a step is off).
+ */
+const retentionPolicy = () => ({ anonymiseAfterDays: ANONYMISE_AFTER_DAYS, purgeAfterDays: PURGE_AFTER_DAYS });
+
+/**
+ * Applies the retention policy once: purges what is older than the purge period, then anonymises
+ * patients not seen for the anonymisation period. Audited when anything changed.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {Object} [options.req] - The admin request that triggered the run, for the audit trail.
+ * @returns {Promise<Object>} { purgedSessions, purgedAlerts, purgedPatients, anonymisedPatients }
+ */
+const applyRetentionPolicy = async ({ now = new Date(), req } = {}) => {
+    const result = { purgedSessions: 0, purgedAlerts: 0, purgedPatients: 0, anonymisedPatients: 0 };
+
+    if (PURGE_AFTER_DAYS > 0) {
+        const cutoff = new Date(now.getTime() - PURGE_AFTER_DAYS * DAY_MS);
+        const expired = await Diagnosis.find({ createdAt: { $lt: cutoff }, status: { $nin: IN_PROGRESS_STATUSES } }).select('_id');
+        const ids = expired.map(({ _id }) => _id);
+        if (ids.length > 0) {
+            result.purgedAlerts = (await Alert.deleteMany({ diagnosisId: { $in: ids } })).deletedCount;
+            result.purgedSessions = (await Diagnosis.deleteMany({ _id: { $in: ids } })).deletedCount;
+        }
+
+        // Patients not seen since the cutoff have no recent sessions left either
+        const stale = await Patient.find(notSeenSince(cutoff)).select('_id');
+        for (const patient of stale) {
+            const { outcome } = await erasePatient(patient);
+            if (outcome === 'erased') {
+                result.purgedPatients += 1;
+            }
+        }
+    }
+
+    if (ANONYMISE_AFTER_DAYS > 0) {
+        const cutoff = new Date(now.getTime() - ANONYMISE_AFTER_DAYS * DAY_MS);
+        const cursor = Patient.find({ ...notSeenSince(cutoff), anonymisedAt: null }).cursor();
+        for await (const patient of cursor) {
+            if (await hasSessionInProgress(patient._id)) {
+                continue;
+            }
+            await anonymisePatient(patient);
+            result.anonymisedPatients += 1;
+        }
+    }
+
+    if (req || Object.values(result).some((count) => count > 0)) {
+        await recordAudit('retention.applied', { req, details: { ...retentionPolicy(), ...result } });
+    }
+    return result;
+};
+
+/**
+ * Starts the periodic retention run, when a policy is configured.
+ *
+ * @param {number} [intervalMs=21600000] - Every six hours.
+ * @returns {Object|null} The interval handle, or null when both steps are off.
+ */
+const startRetentionJob = (intervalMs = 6 * 60 * 60 * 1000) => {
+    if (ANONYMISE_AFTER_DAYS <= 0 && PURGE_AFTER_DAYS <= 0) {
+        return null;
+    }
+    const timer = setInterval(() => {
+        applyRetentionPolicy().catch((err) => console.error('Retention Error:', err.message));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    anonymisePatient,
+    erasePatient,
+    hasSessionInProgress,
+    retentionPolicy,
+    applyRetentionPolicy,
+    startRetentionJob
+};
@@ -0,0 +1,131 @@
+// backend/utils/ruleSets.js
+
+const RuleSet = require('../models/RuleSet');
+const { DEFAULT_RULES } = require('./predictionLogic');
+
+// How long the active rule set is cached before it is read again (other instances may change it)
+const CACHE_TTL_MS = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+const clearRuleSetCache = () => {
+    cached = null;
+    cachedAt = 0;
+};
+
+/**
+ * Returns the active rule set, seeding version 1 from the built-in rules on first use.
+ *
+ * @returns {Promise<Object>} The active RuleSet document.
+ */
+const getActiveRuleSet = async () => {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cached;
+    }
+
+    let ruleSet = await RuleSet.findOne({ isActive: true });
+    if (!ruleSet) {
+        ruleSet = await RuleSet.findOne().sort({ version: -1 });
+    }
+    if (!ruleSet) {
+        try {
+            ruleSet = await RuleSet.create({
+                version: 1,
+                description: 'Built-in default rules',
+                rules: DEFAULT_RULES,
+                isActive: true,
+                activatedAt: Date.now()
+            });
+        } catch (err) {
+            if (err.code !== 11000) {
+                throw err;
+            }
+            // Another request seeded it first
+            ruleSet = await RuleSet.findOne({ version: 1 });
+        }
+    }
+
+    cached = ruleSet;
+    cachedAt = Date.now();
+    return ruleSet;
+};
+
+/**
+ * Checks a list of rules before they are saved as a new version.
+ *
+ * @param {Array} rules
+ * @returns {string|null} A description of the first problem found, or null when the rules are valid.
+ */
+const validateRules = (rules) => {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return 'rules must be a non-empty array';
+    }
+
+    const ruleIds = new Set();
+    for (const rule of rules) {
+        if (!rule || !rule.ruleId) {
+            return 'Every rule needs a ruleId';
+        }
+        if (ruleIds.has(rule.ruleId)) {
+            return `Duplicate ruleId "${rule.ruleId}"`;
+        }
+        ruleIds.add(rule.ruleId);
+
+        if (!rule.outcome || !rule.outcome.condition) {
+            return `Rule "${rule.ruleId}" needs an outcome condition`;
+        }
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+            return `Rule "${rule.ruleId}" needs at least one condition`;
+        }
+        for (const condition of rule.conditions) {
+            if (condition.operator === 'between' && !(condition.max >= condition.value)) {
+                return `Rule "${rule.ruleId}" has a 'between' condition without a valid max`;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Saves rules as the next rule-set version.
+ *
+ * @param {Object} params
+ * @param {Array} params.rules
+ * @param {string} [params.description]
+ * @param {string} [params.createdBy] - The admin's user ID.
+ * @returns {Promise<Object>} The new (inactive) RuleSet document.
+ */
+const createRuleSetVersion = async ({ rules, description, createdBy }) => {
+    const latest = await RuleSet.findOne().sort({ version: -1 });
+    return RuleSet.create({
+        version: latest ? latest.version + 1 : 1,
+        description,
+        rules,
+        createdBy
+    });
+};
+
+/**
+ * Makes a rule-set version the one used for new predictions.
+ *
+ * @param {number} version
+ * @returns {Promise<Object|null>} The activated RuleSet, or null if the version does not exist.
+ */
+const activateRuleSet = async (version) => {
+    const ruleSet = await RuleSet.findOne({ version });
+    if (!ruleSet) {
+        return null;
+    }
+
+    await RuleSet.updateMany({ version: { $ne: version }, isActive: true }, { $set: { isActive: false } });
+    ruleSet.isActive = true;
+    ruleSet.activatedAt = Date.now();
+    await ruleSet.save();
+
+    clearRuleSetCache();
+    return ruleSet;
+};
+
+module.exports = { getActiveRuleSet, validateRules, createRuleSetVersion, activateRuleSet, clearRuleSetCache };
@@ -0,0 +1,93 @@
+// backend/utils/sessions.js
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens look like '<sessionId>.<random secret>'; only the secret's hash is stored
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+/**
+ * Starts a new session for a user who just logged in.
+ *
+ * @param {Object} user - User document.
+ * @param {Object} req - The login request (for user agent and IP).
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ */
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+    });
+    return { session, refreshToken: buildRefreshToken(session, secret) };
+};
+
+/**
+ * Exchanges a refresh token for a new one. A refresh token that was already rotated
+ * away means it has been stolen or replayed, so the whole session is revoked.
+ *
+ * @param {string} refreshToken
+ * @returns {Promise<Object>} { session, refreshToken } on success, or { error } describing the rejection.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Session expired or revoked' };
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    // Only the holder of the current secret can rotate it, even with concurrent requests
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+        { $set: { refreshTokenHash: hashSecret(newSecret), lastUsedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!rotated) {
+        await revokeSession(session._id, 'refresh_token_reuse');
+        return { error: 'Refresh token reuse detected; the session has been revoked', reuse: true, session };
+    }
+
+    return { session: rotated, refreshToken: buildRefreshToken(rotated, newSecret) };
+};
+
+/**
+ * Revokes one session.
+ *
+ * @param {string} sessionId
+ * @param {string} reason
+ */
+const revokeSession = async (sessionId, reason) => {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+/**
+ * Revokes every session of a user, optionally keeping one (e.g. the device changing the password).
+ *
+ * @param {string} userId
+ * @param {string} reason
+ * @param {string} [exceptSessionId]
+ * @returns {Promise<number>} How many sessions were revoked.
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+module.exports = { createSession, rotateRefreshToken, revokeSession, revokeAllSessions };
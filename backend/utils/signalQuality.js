@@ -0,0 +1,94 @@
+// backend/utils/signalQuality.js
+
+// Readings outside these ranges cannot come from a living patient and are treated as sensor errors
+const PHYSIOLOGICAL_LIMITS = {
+    bpm: { min: 25, max: 250 },
+    spo2: { min: 50, max: 100 },
+    temperature: { min: 30, max: 43 }
+};
+
+// How many recent readings a prediction looks at, and how many of them must be stable
+const WINDOW_SIZE = parseInt(process.env.PREDICTION_WINDOW_SIZE, 10) || 10;
+const MIN_STABLE_SAMPLES = parseInt(process.env.PREDICTION_MIN_STABLE_SAMPLES, 10) || 5;
+// A BPM this far from the window's median is treated as a motion artefact
+const BPM_SPIKE_THRESHOLD = parseInt(process.env.BPM_SPIKE_THRESHOLD, 10) || 25;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Checks a single reading on its own.
+ * A zero SpO2, BPM or temperature means the finger or probe is not in place.
+ *
+ * @param {Object} reading - { bpm, spo2, temperature }
+ * @returns {string} 'ok', 'probe_off' or 'out_of_range'.
+ */
+const assessReading = (reading) => {
+    const fields = Object.keys(PHYSIOLOGICAL_LIMITS);
+    if (fields.some((field) => !Number(reading[field]))) {
+        return 'probe_off';
+    }
+    const outOfRange = fields.some((field) => {
+        const { min, max } = PHYSIOLOGICAL_LIMITS[field];
+        return reading[field] < min || reading[field] > max;
+    });
+    return outOfRange ? 'out_of_range' : 'ok';
+};
+
+/**
+ * Assesses the most recent readings of a session and summarises the stable ones.
+ *
+ * @param {Array} sensorData - The session's readings, oldest first.
+ * @returns {Object} {
+ *   state: 'no_data' | 'probe_off' | 'noisy' | 'stabilising' | 'good',
+ *   windowSize, stableSamples, rejected: { probe_off, out_of_range, spike },
+ *   stable: the stable readings, summary: median { bpm, spo2, temperature } of the stable readings (or null)
+ * }
+ */
+const assessWindow = (sensorData) => {
+    const window = sensorData.slice(-WINDOW_SIZE);
+    const rejected = { probe_off: 0, out_of_range: 0, spike: 0 };
+
+    if (window.length === 0) {
+        return { state: 'no_data', windowSize: 0, stableSamples: 0, rejected, stable: [], summary: null };
+    }
+
+    const valid = [];
+    window.forEach((reading) => {
+        const quality = assessReading(reading);
+        if (quality === 'ok') {
+            valid.push(reading);
+        } else {
+            rejected[quality] += 1;
+        }
+    });
+
+    // Drop BPM spikes relative to the other valid readings
+    const bpmMedian = valid.length ? median(valid.map((reading) => reading.bpm)) : 0;
+    const stable = valid.filter((reading) => Math.abs(reading.bpm - bpmMedian) <= BPM_SPIKE_THRESHOLD);
+    rejected.spike = valid.length - stable.length;
+
+    const summary = stable.length === 0 ? null : {
+        bpm: median(stable.map((reading) => reading.bpm)),
+        spo2: median(stable.map((reading) => reading.spo2)),
+        temperature: median(stable.map((reading) => reading.temperature))
+    };
+
+    let state;
+    if (assessReading(window[window.length - 1]) === 'probe_off') {
+        state = 'probe_off';
+    } else if (stable.length >= MIN_STABLE_SAMPLES) {
+        state = 'good';
+    } else if (window.length - stable.length > stable.length) {
+        state = 'noisy';
+    } else {
+        state = 'stabilising';
+    }
+
+    return { state, windowSize: window.length, stableSamples: stable.length, rejected, stable, summary };
+};
+
+module.exports = { assessReading, assessWindow, PHYSIOLOGICAL_LIMITS, MIN_STABLE_SAMPLES };
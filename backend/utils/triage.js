@@ -0,0 +1,250 @@
+// backend/utils/triage.js
+
+// The shared triage queue: sessions nobody holds (doctorId empty), such as those patients start
+// themselves at a self-service kiosk. Any on-duty doctor can claim one; the doctor holding a
+// session can release it back to the queue or hand it off to another on-duty doctor.
+
+const Diagnosis = require('../models/Diagnosis');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const eventBus = require('./eventBus');
+const { findCrossedThresholds } = require('./alerting');
+const { ACTIVE_STATUSES } = require('./diagnosisLifecycle');
+
+/**
+ * Thresholds that make a session urgent, short of the critical alert thresholds in
+ * utils/alerting.js (which make it critical). Same shape as those; override the whole
+ * list with TRIAGE_URGENT_THRESHOLDS.
+ */
+const DEFAULT_URGENT_THRESHOLDS = [
+    { vital: 'spo2', operator: 'lt', value: 94 },
+    { vital: 'temperature', operator: 'gt', value: 38.5 },
+    { vital: 'temperature', operator: 'lt', value: 35.5 },
+    { vital: 'bpm', operator: 'gt', value: 150, maxAge: 12 },
+    { vital: 'bpm', operator: 'lt', value: 70, maxAge: 12 },
+    { vital: 'bpm', operator: 'gt', value: 110 },
+    { vital: 'bpm', operator: 'lt', value: 50 }
+];
+
+const URGENT_THRESHOLDS = process.env.TRIAGE_URGENT_THRESHOLDS
+    ? JSON.parse(process.env.TRIAGE_URGENT_THRESHOLDS)
+    : DEFAULT_URGENT_THRESHOLDS;
+
+// Severity is assessed on the median of this many of the latest accepted readings, so one artefact does not move the queue
+const TRIAGE_WINDOW = 5;
+
+const LEVEL_SCORES = { awaiting_vitals: 0, routine: 1, urgent: 2, critical: 3 };
+
+const VITAL_LABELS = { bpm: 'Heart rate', spo2: 'SpO2', temperature: 'Temperature' };
+
+// Sessions in the queue: unclaimed and still being measured
+const QUEUE_FILTER = { doctorId: null, status: { $in: ACTIVE_STATUSES }, deletedAt: null };
+const QUEUE_SORT = { 'triage.score': -1, createdAt: 1 };
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const describeCrossing = (reading, { vital, operator, value }) =>
+    `${VITAL_LABELS[vital]} ${Number(reading[vital].toFixed(1))} is ${operator === 'lt' ? 'below' : 'above'} ${value}`;
+
+/**
+ * Sets the session's triage level from the current measurement's latest accepted readings:
+ * 'critical' when their median crosses a critical alert threshold, 'urgent' when it crosses an
+ * urgent one, otherwise 'routine' ('awaiting_vitals' before any accepted reading). Within a level,
+ * each abnormal vital adds to the score. The caller saves the document.
+ *
+ * @param {Object} diagnosis - The Diagnosis document.
+ * @param {Object} patient - The Patient document (for age-specific thresholds).
+ * @returns {boolean} Whether the level changed.
+ */
+const assessTriage = (diagnosis, patient) => {
+    const previousLevel = diagnosis.triage ? diagnosis.triage.level : undefined;
+    const window = diagnosis.sensorData
+        .slice(diagnosis.measurementStartIndex)
+        .filter((reading) => reading.quality === 'ok')
+        .slice(-TRIAGE_WINDOW);
+
+    let level = 'awaiting_vitals';
+    let crossed = [];
+    let abnormalVitals = 0;
+    let typical = null;
+    if (window.length > 0) {
+        typical = {
+            bpm: median(window.map((reading) => reading.bpm)),
+            spo2: median(window.map((reading) => reading.spo2)),
+            temperature: median(window.map((reading) => reading.temperature))
+        };
+        const critical = findCrossedThresholds(typical, patient.age);
+        const urgent = findCrossedThresholds(typical, patient.age, URGENT_THRESHOLDS);
+        crossed = critical.length > 0 ? critical : urgent;
+        level = critical.length > 0 ? 'critical' : (urgent.length > 0 ? 'urgent' : 'routine');
+        abnormalVitals = new Set([...critical, ...urgent].map((threshold) => threshold.vital)).size;
+    }
+
+    diagnosis.triage = {
+        level,
+        score: LEVEL_SCORES[level] * 10 + abnormalVitals,
+        reasons: crossed.map((threshold) => describeCrossing(typical, threshold)),
+        assessedAt: new Date()
+    };
+    return level !== previousLevel;
+};
+
+/**
+ * Tells connected dashboards the queue changed. The payload carries no patient details,
+ * so it can go to every doctor.
+ *
+ * @param {Object} diagnosis - The Diagnosis document.
+ * @param {string} action - 'queued', 'updated', 'claimed', 'released', 'handed_off' or 'left'.
+ */
+const publishTriageChange = (diagnosis, action) => {
+    eventBus.emit('triage:changed', {
+        diagnosisId: diagnosis._id.toString(),
+        kioskId: diagnosis.kioskId,
+        action,
+        doctorId: diagnosis.doctorId ? diagnosis.doctorId.toString() : null,
+        level: diagnosis.triage ? diagnosis.triage.level : undefined,
+        status: diagnosis.status
+    });
+};
+
+/**
+ * Lists the triage queue, most severe first and, within a level, longest waiting first.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Array>} Diagnosis documents with patientId populated.
+ */
+const listTriageQueue = ({ limit = 50 } = {}) => Diagnosis.find(QUEUE_FILTER)
+    .sort(QUEUE_SORT)
+    .limit(limit)
+    .populate('patientId', 'name age gender patientCode allergies chronicConditions');
+
+/**
+ * The session's place in the queue (1 is next), or null when it is not queued.
+ *
+ * @param {Object} diagnosis - The Diagnosis document.
+ * @returns {Promise<number|null>}
+ */
+const queuePosition = async (diagnosis) => {
+    if (diagnosis.doctorId || !ACTIVE_STATUSES.includes(diagnosis.status) || diagnosis.deletedAt) {
+        return null;
+    }
+    const score = diagnosis.triage ? diagnosis.triage.score : 0;
+    const ahead = await Diagnosis.countDocuments({
+        ...QUEUE_FILTER,
+        _id: { $ne: diagnosis._id },
+        $or: [
+            { 'triage.score': { $gt: score } },
+            { 'triage.score': score, createdAt: { $lt: diagnosis.createdAt } }
+        ]
+    });
+    return ahead + 1;
+};
+
+// Moves a session from `holder` (null for the queue) to `doctorId` (null to return it to the queue).
+// The holder is part of the filter, so of two doctors racing for a session exactly one wins.
+const moveSession = async (diagnosisId, holder, { action, doctorId, by, note }) => {
+    const now = new Date();
+    const diagnosis = await Diagnosis.findOneAndUpdate(
+        { _id: diagnosisId, doctorId: holder, status: { $in: ACTIVE_STATUSES }, deletedAt: null },
+        {
+            $set: { doctorId, claimedAt: doctorId ? now : null },
+            $push: { claimHistory: { action, doctorId, by, note, at: now } }
+        },
+        { new: true }
+    );
+
+    if (!diagnosis) {
+        // Explain why: gone, no longer being measured, or someone else holds it
+        const existing = await Diagnosis.findOne({ _id: diagnosisId, deletedAt: null });
+        if (!existing) {
+            return { outcome: 'not_found', diagnosis: null };
+        }
+        return { outcome: ACTIVE_STATUSES.includes(existing.status) ? 'held' : 'closed', diagnosis: existing };
+    }
+
+    // Open alerts follow the session to whoever holds it
+    await Alert.updateMany({ diagnosisId: diagnosis._id, status: { $in: ['open', 'escalated'] } }, { $set: { doctorId } });
+    publishTriageChange(diagnosis, action);
+    return { outcome: action, diagnosis };
+};
+
+/**
+ * Claims a queued session for a doctor.
+ *
+ * @param {string} diagnosisId
+ * @param {string} doctorId - The claiming doctor, who must be on duty (checked by the caller).
+ * @returns {Promise<Object>} { outcome, diagnosis } where outcome is 'claimed', 'not_found',
+ *          'held' (another doctor has it) or 'closed' (no longer being measured).
+ */
+const claimDiagnosis = (diagnosisId, doctorId) =>
+    moveSession(diagnosisId, null, { action: 'claimed', doctorId, by: doctorId });
+
+/**
+ * Returns a session the doctor holds to the queue.
+ *
+ * @param {string} diagnosisId
+ * @param {string} doctorId - The doctor holding it.
+ * @param {Object} [options]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} { outcome, diagnosis } where outcome is 'released', 'not_found',
+ *          'held' (the doctor does not hold it) or 'closed'.
+ */
+const releaseDiagnosis = (diagnosisId, doctorId, { note } = {}) =>
+    moveSession(diagnosisId, doctorId, { action: 'released', doctorId: null, by: doctorId, note });
+
+/**
+ * Hands a session the doctor holds to another on-duty doctor.
+ *
+ * @param {string} diagnosisId
+ * @param {string} doctorId - The doctor holding it.
+ * @param {string} toDoctorId - The doctor taking over.
+ * @param {Object} [options]
+ * @param {string} [options.note] - Hand-off notes for the receiving doctor.
+ * @returns {Promise<Object>} { outcome, diagnosis, recipient } where outcome is 'handed_off',
+ *          'unavailable' (the recipient is not an active, on-duty doctor), 'not_found', 'held' or 'closed'.
+ */
+const handOffDiagnosis = async (diagnosisId, doctorId, toDoctorId, { note } = {}) => {
+    const recipient = await User.findOne({ _id: toDoctorId, role: 'doctor', status: 'active', onDuty: true });
+    if (!recipient) {
+        return { outcome: 'unavailable', diagnosis: null, recipient: null };
+    }
+    const result = await moveSession(diagnosisId, doctorId, { action: 'handed_off', doctorId: recipient._id, by: doctorId, note });
+    return { ...result, recipient };
+};
+
+/**
+ * Returns every session a doctor holds to the queue, e.g. when they go off duty.
+ *
+ * @param {string} doctorId
+ * @param {Object} [options]
+ * @param {string} [options.note]
+ * @returns {Promise<Array<string>>} IDs of the released sessions.
+ */
+const releaseAllHeld = async (doctorId, { note } = {}) => {
+    const held = await Diagnosis.find({ doctorId, status: { $in: ACTIVE_STATUSES }, deletedAt: null }).select('_id');
+    const released = [];
+    for (const { _id } of held) {
+        const { outcome } = await releaseDiagnosis(_id, doctorId, { note });
+        if (outcome === 'released') {
+            released.push(_id.toString());
+        }
+    }
+    return released;
+};
+
+module.exports = {
+    assessTriage,
+    publishTriageChange,
+    listTriageQueue,
+    queuePosition,
+    claimDiagnosis,
+    releaseDiagnosis,
+    handOffDiagnosis,
+    releaseAllHeld,
+    TRIAGE_LEVELS: Object.keys(LEVEL_SCORES)
+};